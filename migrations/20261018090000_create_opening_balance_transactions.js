@@ -0,0 +1,67 @@
+const logger = require('../src/core/logger')('api');
+const { User, Transaction } = require('../src/models');
+const { DEFAULT_CURRENCY, toMinorUnits } = require('../src/utils/money');
+
+/**
+ * Read a legacy balance in integer minor units. Balances are strings in major
+ * units until the minor units migration converts them to numbers.
+ * @param {*} value - Legacy balance
+ * @returns {number} Minor units, or null if the balance cannot be read
+ */
+function toBalance(value) {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  const exact = toMinorUnits(String(value).trim());
+  if (exact !== null) {
+    return exact;
+  }
+
+  // Balances written with more than two decimals through parseFloat
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? Math.round(parsed * 100) : null;
+}
+
+// Balances stored before the ledger existed have no history behind them, so
+// record them as opening balance entries to keep balances derivable.
+logger.info('Creating opening balance transactions');
+
+(async () => {
+  try {
+    // Read through the native collection, the fields are no longer in the schema
+    const cursor = User.collection.find({ account_number: { $exists: true } });
+
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const user of cursor) {
+      // eslint-disable-next-line no-await-in-loop
+      const numTransactions = await Transaction.countDocuments({
+        account_number: user.account_number,
+      });
+      const balance = toBalance(user.balance);
+
+      if (balance === null) {
+        // Leave malformed balances to be fixed by hand
+        logger.error(`Malformed balance of account ${user.account_number}`);
+      } else if (numTransactions === 0 && balance !== 0) {
+        // eslint-disable-next-line no-await-in-loop
+        await Transaction.create({
+          account_number: user.account_number,
+          type: 'opening_balance',
+          direction: balance < 0 ? 'debit' : 'credit',
+          amount: Math.abs(balance),
+          currency: user.currency || DEFAULT_CURRENCY,
+          balance_after: balance,
+        });
+      }
+    }
+  } catch (e) {
+    logger.error(e);
+  } finally {
+    process.exit(0);
+  }
+})();
@@ -0,0 +1,75 @@
+const logger = require('../src/core/logger')('api');
+const { User, Transaction } = require('../src/models');
+const { DEFAULT_CURRENCY, toMinorUnits } = require('../src/utils/money');
+
+/**
+ * Convert a legacy string amount into integer minor units
+ * @param {*} value - Legacy amount
+ * @returns {number} Minor units, or null if the amount cannot be converted
+ */
+function convertAmount(value) {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+
+  const exact = toMinorUnits(String(value).trim());
+  if (exact !== null) {
+    return exact;
+  }
+
+  // Amounts written with more than two decimals through parseFloat
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? Math.round(parsed * 100) : null;
+}
+
+/**
+ * Convert the string amount fields of every document in a collection. The
+ * native collection is used so the append-only ledger hooks are bypassed.
+ * @param {object} collection - MongoDB collection
+ * @param {Array} fields - Amount fields to convert
+ */
+async function convertCollection(collection, fields) {
+  const cursor = collection.find({
+    $or: fields.map((field) => ({ [field]: { $type: 'string' } })),
+  });
+
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const doc of cursor) {
+    const { _id: id } = doc;
+    const update = { currency: doc.currency || DEFAULT_CURRENCY };
+    let malformed = false;
+
+    fields.forEach((field) => {
+      const converted = convertAmount(doc[field]);
+      if (converted === null) {
+        malformed = true;
+      } else {
+        update[field] = converted;
+      }
+    });
+
+    if (malformed) {
+      // Leave malformed documents untouched so they can be fixed by hand
+      logger.error(`Malformed amount in ${collection.collectionName} ${id}`);
+    } else {
+      // eslint-disable-next-line no-await-in-loop
+      await collection.updateOne({ _id: id }, { $set: update });
+    }
+  }
+}
+
+logger.info('Converting balances to minor units');
+
+(async () => {
+  try {
+    await convertCollection(User.collection, ['balance']);
+    await convertCollection(Transaction.collection, [
+      'amount',
+      'balance_after',
+    ]);
+  } catch (e) {
+    logger.error(e);
+  } finally {
+    process.exit(0);
+  }
+})();
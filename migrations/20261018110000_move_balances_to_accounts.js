@@ -0,0 +1,52 @@
+const logger = require('../src/core/logger')('api');
+const { User, Account } = require('../src/models');
+const { DEFAULT_CURRENCY } = require('../src/utils/money');
+
+// Users used to hold a single account directly on the user document. Move
+// it into its own account document, keeping the number and balance.
+logger.info('Moving user balances to accounts');
+
+(async () => {
+  try {
+    // Read through the native collection, the fields are no longer in the schema
+    const cursor = User.collection.find({ account_number: { $exists: true } });
+
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const user of cursor) {
+      const { _id: id } = user;
+
+      // eslint-disable-next-line no-await-in-loop
+      const exists = await Account.exists({
+        account_number: user.account_number,
+      });
+
+      if (!exists) {
+        // eslint-disable-next-line no-await-in-loop
+        await Account.create({
+          user_id: id.toString(),
+          account_number: user.account_number,
+          type: user.account_type || 'savings',
+          balance: user.balance || 0,
+          currency: user.currency || DEFAULT_CURRENCY,
+        });
+      }
+
+      // eslint-disable-next-line no-await-in-loop
+      await User.collection.updateOne(
+        { _id: id },
+        {
+          $unset: {
+            account_number: '',
+            account_type: '',
+            balance: '',
+            currency: '',
+          },
+        }
+      );
+    }
+  } catch (e) {
+    logger.error(e);
+  } finally {
+    process.exit(0);
+  }
+})();
@@ -0,0 +1,130 @@
+const logger = require('../src/core/logger')('api');
+const {
+  Account,
+  Beneficiary,
+  FraudReview,
+  InterestAccrual,
+  InterestPosting,
+  PaymentRequest,
+  Pocket,
+  ReconciliationReport,
+  ScheduledTransfer,
+  Transaction,
+  WebhookDelivery,
+} = require('../src/models');
+const {
+  generateAccountNumber,
+  isValidAccountNumber,
+} = require('../src/utils/account-number');
+
+// Every place an account number is stored, as a model and the paths holding
+// it. Array elements are matched through the `entry` array filter. The ledger
+// and webhook deliveries are re-keyed through the native collection since
+// their models reject updates or do not know the payload fields.
+const references = [
+  [Transaction.collection, ['account_number', 'counterparty']],
+  [Beneficiary, ['account_number']],
+  [ScheduledTransfer, ['from_account', 'to_account']],
+  [PaymentRequest, ['to_account', 'parties.$[entry].account_number']],
+  [FraudReview, ['account_number', 'counterparty']],
+  [Pocket, ['account_number']],
+  [InterestAccrual, ['account_number']],
+  [InterestPosting, ['account_number']],
+  [ReconciliationReport, ['discrepancies.$[entry].account_number']],
+  [
+    WebhookDelivery.collection,
+    ['payload.data.account_number', 'payload.data.counterparty'],
+  ],
+];
+
+/**
+ * Pick an unused account number with a check digit
+ * @returns {Promise<string>}
+ */
+async function pickAccountNumber() {
+  let accountNumber = generateAccountNumber();
+  while (
+    // eslint-disable-next-line no-await-in-loop
+    await Account.exists({
+      $or: [
+        { account_number: accountNumber },
+        { renumbering_to: accountNumber },
+      ],
+    })
+  ) {
+    accountNumber = generateAccountNumber();
+  }
+
+  return accountNumber;
+}
+
+/**
+ * Point every stored reference to an account at its new number. Only the
+ * old number is matched, so running it again changes nothing.
+ * @param {string} previous - Old account number
+ * @param {string} accountNumber - New account number
+ */
+async function rekey(previous, accountNumber) {
+  /* eslint-disable no-await-in-loop, no-restricted-syntax */
+  for (const [model, paths] of references) {
+    for (const path of paths) {
+      const [array, field] = path.split('.$[entry].');
+
+      await model.updateMany(
+        { [field ? `${array}.${field}` : path]: previous },
+        { $set: { [path]: accountNumber } },
+        field ? { arrayFilters: [{ [`entry.${field}`]: previous }] } : {}
+      );
+    }
+  }
+  /* eslint-enable no-await-in-loop, no-restricted-syntax */
+}
+
+// Give accounts opened before checksummed numbers a new valid number, keeping
+// the old one on the account. The new number is stored on the account before
+// anything is re-keyed and the account itself is renumbered last, so a run
+// that stops halfway picks up where it stopped. Run it with the API stopped.
+logger.info('Renumbering accounts without a check digit');
+
+(async () => {
+  try {
+    const accounts = await Account.find({});
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const account of accounts) {
+      if (!isValidAccountNumber(account.account_number)) {
+        const previous = account.account_number;
+
+        /* eslint-disable no-await-in-loop */
+        let accountNumber = account.renumbering_to;
+        if (!accountNumber) {
+          accountNumber = await pickAccountNumber();
+          await Account.updateOne(
+            { account_number: previous },
+            { $set: { renumbering_to: accountNumber } }
+          );
+        }
+
+        await rekey(previous, accountNumber);
+
+        await Account.updateOne(
+          { account_number: previous },
+          {
+            $set: {
+              account_number: accountNumber,
+              previous_account_number: previous,
+            },
+            $unset: { renumbering_to: '' },
+          }
+        );
+        /* eslint-enable no-await-in-loop */
+
+        logger.info(`Account ${previous} renumbered to ${accountNumber}`);
+      }
+    }
+  } catch (e) {
+    logger.error(e);
+  } finally {
+    process.exit(0);
+  }
+})();
@@ -0,0 +1,38 @@
+const logger = require('../src/core/logger')('api');
+const { Account, Transaction } = require('../src/models');
+
+// Accounts opened before activity tracking get the date of their latest
+// ledger entry, or their opening date, as last activity. Accounts without it
+// are never picked up by the dormancy job.
+logger.info('Backfilling last activity of accounts');
+
+(async () => {
+  try {
+    const accounts = await Account.find({
+      last_activity_at: { $exists: false },
+    });
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const account of accounts) {
+      // eslint-disable-next-line no-await-in-loop
+      const latest = await Transaction.findOne({
+        account_number: account.account_number,
+      }).sort({ created_at: -1 });
+      const lastActivityAt = latest ? latest.created_at : account.created_at;
+
+      // eslint-disable-next-line no-await-in-loop
+      await Account.updateOne(
+        { account_number: account.account_number },
+        { $set: { last_activity_at: lastActivityAt } }
+      );
+
+      logger.info(
+        `Account ${account.account_number} last active at ${lastActivityAt.toISOString()}`
+      );
+    }
+  } catch (e) {
+    logger.error(e);
+  } finally {
+    process.exit(0);
+  }
+})();
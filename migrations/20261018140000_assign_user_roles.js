@@ -0,0 +1,72 @@
+const logger = require('../src/core/logger')('api');
+const config = require('../src/core/config');
+const { User } = require('../src/models');
+const { passwordMatched } = require('../src/utils/password');
+
+// The default user created by the first migration. Its credentials are
+// public, so it never becomes an admin.
+const defaultEmail = 'admin@example.com';
+const defaultPassword = '123456';
+
+/**
+ * Make the account in FIRST_ADMIN_EMAIL the first admin, as long as it does
+ * not use the public default credentials
+ * @returns {boolean} Whether the account is an admin
+ */
+async function assignFirstAdmin() {
+  const email = config.roles.firstAdminEmail;
+  if (!email) {
+    logger.warn('FIRST_ADMIN_EMAIL is not set, no user made admin');
+    return false;
+  }
+
+  const user = await User.findOne({ email });
+  if (!user) {
+    logger.error(`User ${email} does not exist, register it first`);
+    return false;
+  }
+
+  if (
+    email === defaultEmail ||
+    (await passwordMatched(defaultPassword, user.password))
+  ) {
+    logger.error(
+      `User ${email} uses the default credentials, pick another account`
+    );
+    return false;
+  }
+
+  await User.updateOne({ _id: user.id }, { $set: { role: 'admin' } });
+  logger.info(`User ${email} made admin`);
+  return true;
+}
+
+// Users created before roles become customers, except the configured first
+// admin. Other staff are promoted by an admin through `PUT /users/:id/role`.
+// Safe to run again, e.g. after setting FIRST_ADMIN_EMAIL.
+logger.info('Assigning roles to users');
+
+(async () => {
+  try {
+    await assignFirstAdmin();
+
+    // The default user may have been seeded as an admin before
+    const demoted = await User.updateOne(
+      { email: defaultEmail, role: 'admin' },
+      { $set: { role: 'customer' } }
+    );
+    if (demoted.modifiedCount > 0) {
+      logger.warn(`User ${defaultEmail} is no longer admin`);
+    }
+
+    const customers = await User.updateMany(
+      { role: { $exists: false } },
+      { $set: { role: 'customer' } }
+    );
+    logger.info(`${customers.modifiedCount} user(s) made customer`);
+  } catch (e) {
+    logger.error(e);
+  } finally {
+    process.exit(0);
+  }
+})();
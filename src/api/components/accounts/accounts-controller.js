@@ -0,0 +1,275 @@
+const accountsService = require('./accounts-service');
+const usersService = require('../users/users-service');
+const { errorResponder, errorTypes } = require('../../../core/errors');
+
+/**
+ * Handle get list of accounts request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function getAccounts(request, response, next) {
+  try {
+    const accounts = await accountsService.getAccounts(request.params.id);
+
+    if (!accounts) {
+      throw errorResponder(errorTypes.UNPROCESSABLE_ENTITY, 'Unknown user');
+    }
+
+    return response.status(200).json(accounts);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle open account request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function openAccount(request, response, next) {
+  try {
+    const account = await accountsService.openAccount(
+      request.params.id,
+      request.body.type
+    );
+
+    if (!account) {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'Failed to open account'
+      );
+    }
+
+    return response.status(200).json(account);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle close account request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function closeAccount(request, response, next) {
+  try {
+    const accountNumber = request.params.account_number;
+
+    const account = await accountsService.getOwnedAccount(
+      request.params.id,
+      accountNumber
+    );
+    if (!account) {
+      throw errorResponder(errorTypes.NOT_FOUND, 'Unknown account');
+    }
+
+    if (account.status === 'closed') {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'Account is already closed'
+      );
+    }
+
+    accountsService.assertClosable(account);
+
+    const success = await accountsService.closeAccount(
+      accountNumber,
+      request.user.id
+    );
+    if (!success) {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'Failed to close account'
+      );
+    }
+
+    return response
+      .status(200)
+      .json({ message: `Account ${accountNumber} has been closed.` });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle get account limits request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function getLimits(request, response, next) {
+  try {
+    const account = await accountsService.getOwnedAccount(
+      request.params.id,
+      request.params.account_number
+    );
+    if (!account) {
+      throw errorResponder(errorTypes.NOT_FOUND, 'Unknown account');
+    }
+
+    const limits = await usersService.getAccountLimits(account);
+
+    return response.status(200).json(limits);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle override account limits request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function updateLimits(request, response, next) {
+  try {
+    const account = await accountsService.getOwnedAccount(
+      request.params.id,
+      request.params.account_number
+    );
+    if (!account) {
+      throw errorResponder(errorTypes.NOT_FOUND, 'Unknown account');
+    }
+
+    const success = await accountsService.updateLimits(account, request.body);
+    if (!success) {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'Failed to update account limits'
+      );
+    }
+
+    const updated = await accountsService.getOwnedAccount(
+      request.params.id,
+      request.params.account_number
+    );
+    const limits = await usersService.getAccountLimits(updated);
+
+    return response.status(200).json(limits);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Get the account of the request
+ * @param {object} request - Express request object
+ * @returns {object}
+ */
+async function getRequestedAccount(request) {
+  const account = await accountsService.getAccount(
+    request.params.account_number
+  );
+
+  if (!account) {
+    throw errorResponder(errorTypes.NOT_FOUND, 'Unknown account');
+  }
+
+  return account;
+}
+
+/**
+ * Handle freeze account request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function freezeAccount(request, response, next) {
+  try {
+    const account = await getRequestedAccount(request);
+
+    const frozen = await accountsService.freezeAccount(
+      account.account_number,
+      request.body.reason,
+      request.user.id
+    );
+    if (!frozen) {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        `Account is ${account.status} and cannot be frozen`
+      );
+    }
+
+    return response.status(200).json(frozen);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle unfreeze account request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function unfreezeAccount(request, response, next) {
+  try {
+    const account = await getRequestedAccount(request);
+
+    const unfrozen = await accountsService.unfreezeAccount(
+      account.account_number,
+      request.body.reason,
+      request.user.id
+    );
+    if (!unfrozen) {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'Account is not frozen'
+      );
+    }
+
+    return response.status(200).json(unfrozen);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle reactivate dormant account request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function reactivateAccount(request, response, next) {
+  try {
+    const account = await getRequestedAccount(request);
+
+    const reactivated = await accountsService.reactivateAccount(
+      account.account_number,
+      request.body.reason,
+      request.user.id
+    );
+    if (!reactivated) {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'Account is not dormant'
+      );
+    }
+
+    return response.status(200).json(reactivated);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = {
+  getAccounts,
+  openAccount,
+  closeAccount,
+  getLimits,
+  updateLimits,
+  freezeAccount,
+  unfreezeAccount,
+  reactivateAccount,
+};
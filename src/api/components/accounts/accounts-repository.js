@@ -0,0 +1,263 @@
+const { mongoose, Account } = require('../../../models');
+
+/**
+ * Start a new database session for running a transaction
+ * @returns {Promise}
+ */
+async function startSession() {
+  return mongoose.startSession();
+}
+
+/**
+ * Open a new account
+ * @param {string} userId - Owner user ID
+ * @param {string} accountNumber - Account number
+ * @param {string} type - Account type
+ * @param {string} currency - Currency
+ * @returns {Promise}
+ */
+async function createAccount(userId, accountNumber, type, currency) {
+  return Account.create({
+    user_id: userId,
+    account_number: accountNumber,
+    type,
+    currency,
+    last_activity_at: new Date(),
+  });
+}
+
+/**
+ * Get all accounts owned by a user
+ * @param {string} userId - User ID
+ * @returns {Promise}
+ */
+async function getAccountsByUser(userId) {
+  return Account.find({ user_id: userId }).sort({ created_at: 1 });
+}
+
+/**
+ * Get all accounts owned by any of the users
+ * @param {Array} userIds - User IDs
+ * @returns {Promise}
+ */
+async function getAccountsByUsers(userIds) {
+  return Account.find({ user_id: { $in: userIds } }).sort({ created_at: 1 });
+}
+
+/**
+ * Get every account
+ * @returns {Promise}
+ */
+async function getAllAccounts() {
+  return Account.find({}).sort({ created_at: 1 });
+}
+
+/**
+ * Get active and dormant accounts of a type
+ * @param {string} type - Account type
+ * @returns {Promise}
+ */
+async function getOpenAccountsOfType(type) {
+  return Account.find({ type, status: { $in: ['active', 'dormant'] } });
+}
+
+/**
+ * Get account by account number
+ * @param {string} accountNumber - Account number
+ * @param {object} session - Mongoose session
+ * @returns {Promise}
+ */
+async function getAccount(accountNumber, session = null) {
+  return Account.findOne({ account_number: accountNumber }).session(session);
+}
+
+/**
+ * Change the status of an account if it is in one of the statuses
+ * @param {string} accountNumber - Account number
+ * @param {Array} fromStatuses - Statuses the account may currently have
+ * @param {string} status - New status
+ * @param {string} reason - Reason of the change
+ * @param {string} userId - ID of the user making the change
+ * @param {object} fields - Other fields to set along with the status
+ * @returns {Promise} The updated account, or null if nothing matched
+ */
+async function changeStatus(
+  accountNumber,
+  fromStatuses,
+  status,
+  reason,
+  userId,
+  fields = {}
+) {
+  return Account.findOneAndUpdate(
+    { account_number: accountNumber, status: { $in: fromStatuses } },
+    {
+      $set: { status, ...fields },
+      $push: { status_history: { status, reason, user_id: userId } },
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Close an active or dormant account with zero balance and empty pockets
+ * @param {string} accountNumber - Account number
+ * @param {string} userId - ID of the user closing the account
+ * @returns {Promise} The updated account, or null if nothing matched
+ */
+async function closeAccount(accountNumber, userId) {
+  return Account.findOneAndUpdate(
+    {
+      account_number: accountNumber,
+      status: { $in: ['active', 'dormant'] },
+      balance: 0,
+      pocket_balance: { $not: { $gt: 0 } },
+    },
+    {
+      $set: { status: 'closed', closed_at: new Date() },
+      $push: {
+        status_history: { status: 'closed', reason: 'Closed', user_id: userId },
+      },
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Mark active accounts without any activity since the cutoff as dormant
+ * @param {Date} cutoff - Last activity date to keep an account active
+ * @returns {Promise}
+ */
+async function markDormant(cutoff) {
+  return Account.updateMany(
+    { status: 'active', last_activity_at: { $lt: cutoff } },
+    {
+      $set: { status: 'dormant' },
+      $push: {
+        status_history: { status: 'dormant', reason: 'No activity' },
+      },
+    }
+  );
+}
+
+/**
+ * Replace the limit overrides of an account
+ * @param {string} accountNumber - Account number
+ * @param {object} limits - Limit overrides in minor units
+ * @returns {Promise}
+ */
+async function updateLimits(accountNumber, limits) {
+  return Account.updateOne(
+    { account_number: accountNumber },
+    { $set: { limits } }
+  );
+}
+
+/**
+ * Add to the balance of an active or dormant account
+ * @param {string} accountNumber - Account number
+ * @param {number} amount - Amount in minor units
+ * @param {object} session - Mongoose session
+ * @param {boolean} activity - Whether the credit counts as account activity,
+ * which keeps the account from going dormant
+ * @returns {Promise} The updated account, or null if it cannot receive money
+ */
+async function creditBalance(accountNumber, amount, session, activity = true) {
+  return Account.findOneAndUpdate(
+    {
+      account_number: accountNumber,
+      status: { $in: ['active', 'dormant'] },
+    },
+    {
+      $inc: { balance: amount },
+      ...(activity && { $set: { last_activity_at: new Date() } }),
+    },
+    { new: true, session }
+  );
+}
+
+/**
+ * Subtract from an active account's balance as long as it stays at or above
+ * the floor
+ * @param {string} accountNumber - Account number
+ * @param {number} amount - Amount in minor units
+ * @param {number} floor - Lowest allowed balance in minor units
+ * @param {object} session - Mongoose session
+ * @returns {Promise} The updated account, or null if nothing matched
+ */
+async function debitBalance(accountNumber, amount, floor, session) {
+  return Account.findOneAndUpdate(
+    {
+      account_number: accountNumber,
+      status: 'active',
+      balance: { $gte: floor + amount },
+    },
+    { $inc: { balance: -amount }, $set: { last_activity_at: new Date() } },
+    { new: true, session }
+  );
+}
+
+/**
+ * Set money of an active account aside in its pockets as long as the balance
+ * stays at or above the floor
+ * @param {string} accountNumber - Account number
+ * @param {number} amount - Amount in minor units
+ * @param {number} floor - Lowest balance allowed after the move in minor units
+ * @param {object} session - Mongoose session
+ * @returns {Promise} The updated account, or null if nothing matched
+ */
+async function moveToPockets(accountNumber, amount, floor, session) {
+  return Account.findOneAndUpdate(
+    {
+      account_number: accountNumber,
+      status: 'active',
+      balance: { $gte: floor + amount },
+    },
+    {
+      $inc: { balance: -amount, pocket_balance: amount },
+      $set: { last_activity_at: new Date() },
+    },
+    { new: true, session }
+  );
+}
+
+/**
+ * Return money set aside in the pockets of an active or dormant account to
+ * its balance
+ * @param {string} accountNumber - Account number
+ * @param {number} amount - Amount in minor units
+ * @param {object} session - Mongoose session
+ * @returns {Promise} The updated account, or null if nothing matched
+ */
+async function moveFromPockets(accountNumber, amount, session) {
+  return Account.findOneAndUpdate(
+    {
+      account_number: accountNumber,
+      status: { $in: ['active', 'dormant'] },
+      pocket_balance: { $gte: amount },
+    },
+    {
+      $inc: { balance: amount, pocket_balance: -amount },
+      $set: { last_activity_at: new Date() },
+    },
+    { new: true, session }
+  );
+}
+
+module.exports = {
+  startSession,
+  createAccount,
+  getAccountsByUser,
+  getAccountsByUsers,
+  getAllAccounts,
+  getOpenAccountsOfType,
+  getAccount,
+  changeStatus,
+  closeAccount,
+  markDormant,
+  updateLimits,
+  creditBalance,
+  debitBalance,
+  moveToPockets,
+  moveFromPockets,
+};
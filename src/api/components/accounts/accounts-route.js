@@ -0,0 +1,89 @@
+const express = require('express');
+
+const authenticationMiddleware = require('../../middlewares/authentication-middleware');
+const {
+  requireRole,
+  requireOwner,
+} = require('../../middlewares/permission-middleware');
+const celebrate = require('../../../core/celebrate-wrappers');
+const accountsControllers = require('./accounts-controller');
+const accountsValidator = require('./accounts-validator');
+
+const route = express.Router();
+const statusRoute = express.Router();
+
+module.exports = (app) => {
+  app.use('/users', route);
+  app.use('/accounts', statusRoute);
+
+  // Get list of accounts of a user
+  route.get(
+    '/:id/accounts',
+    authenticationMiddleware,
+    requireOwner('teller', 'admin'),
+    accountsControllers.getAccounts
+  );
+
+  // Open a new account for a user
+  route.post(
+    '/:id/accounts',
+    authenticationMiddleware,
+    requireOwner('teller', 'admin'),
+    celebrate(accountsValidator.openAccount),
+    accountsControllers.openAccount
+  );
+
+  // Close an account of a user
+  route.delete(
+    '/:id/accounts/:account_number',
+    authenticationMiddleware,
+    requireOwner('teller', 'admin'),
+    celebrate(accountsValidator.closeAccount),
+    accountsControllers.closeAccount
+  );
+
+  // Get limits of an account
+  route.get(
+    '/:id/accounts/:account_number/limits',
+    authenticationMiddleware,
+    requireOwner('teller', 'admin'),
+    celebrate(accountsValidator.getLimits),
+    accountsControllers.getLimits
+  );
+
+  // Override limits of an account
+  route.put(
+    '/:id/accounts/:account_number/limits',
+    authenticationMiddleware,
+    requireRole('admin'),
+    celebrate(accountsValidator.updateLimits),
+    accountsControllers.updateLimits
+  );
+
+  // Freeze an account, stopping all money movement
+  statusRoute.post(
+    '/:account_number/freeze',
+    authenticationMiddleware,
+    requireRole('teller', 'admin'),
+    celebrate(accountsValidator.freezeAccount),
+    accountsControllers.freezeAccount
+  );
+
+  // Unfreeze a frozen account
+  statusRoute.post(
+    '/:account_number/unfreeze',
+    authenticationMiddleware,
+    requireRole('admin'),
+    celebrate(accountsValidator.unfreezeAccount),
+    accountsControllers.unfreezeAccount
+  );
+
+  // Reactivate a dormant account
+  statusRoute.post(
+    '/:account_number/reactivate',
+    authenticationMiddleware,
+    requireRole('admin'),
+    celebrate(accountsValidator.reactivateAccount),
+    accountsControllers.reactivateAccount
+  );
+};
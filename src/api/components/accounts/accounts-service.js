@@ -0,0 +1,364 @@
+const accountsRepository = require('./accounts-repository');
+const usersRepository = require('../users/users-repository');
+const webhooksService = require('../webhooks/webhooks-service');
+const config = require('../../../core/config');
+const { errorResponder, errorTypes } = require('../../../core/errors');
+const {
+  generateAccountNumber: generateCheckedAccountNumber,
+} = require('../../../utils/account-number');
+const {
+  DEFAULT_CURRENCY,
+  formatAmount,
+  toMinorUnits,
+} = require('../../../utils/money');
+
+/**
+ * Format an account for the response
+ * @param {object} account - Account
+ * @returns {object}
+ */
+function formatAccount(account) {
+  return {
+    account_number: account.account_number,
+    type: account.type,
+    balance: formatAmount(account.balance),
+    pocket_balance: formatAmount(account.pocket_balance || 0),
+    currency: account.currency,
+    status: account.status,
+    last_activity_at: account.last_activity_at,
+    created_at: account.created_at,
+    closed_at: account.closed_at,
+  };
+}
+
+/**
+ * Generate a unique account number with a check digit
+ * @returns {string}
+ */
+async function generateAccountNumber() {
+  const accountNumber = generateCheckedAccountNumber();
+
+  // Draw a fresh number on the rare collision with an existing account
+  if (await accountsRepository.getAccount(accountNumber)) {
+    return generateAccountNumber();
+  }
+
+  return accountNumber;
+}
+
+/**
+ * Open a new account for a user
+ * @param {string} userId - User ID
+ * @param {string} type - Account type
+ * @returns {object} The new account, or null if the user is not found
+ */
+async function openAccount(userId, type) {
+  const user = await usersRepository.getUser(userId);
+
+  // User not found
+  if (!user) {
+    return null;
+  }
+
+  const accountNumber = await generateAccountNumber();
+
+  try {
+    const account = await accountsRepository.createAccount(
+      user.id,
+      accountNumber,
+      type,
+      DEFAULT_CURRENCY
+    );
+
+    await webhooksService.publish('account.opened', {
+      user_id: user.id,
+      ...formatAccount(account),
+    });
+    return formatAccount(account);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Get list of accounts owned by a user
+ * @param {string} userId - User ID
+ * @returns {Array} Accounts, or null if the user is not found
+ */
+async function getAccounts(userId) {
+  const user = await usersRepository.getUser(userId);
+
+  // User not found
+  if (!user) {
+    return null;
+  }
+
+  const accounts = await accountsRepository.getAccountsByUser(user.id);
+  return accounts.map(formatAccount);
+}
+
+/**
+ * Get an account if it is owned by the user
+ * @param {string} userId - User ID
+ * @param {string} accountNumber - Account number
+ * @returns {object} The account, or null if the user does not own it
+ */
+async function getOwnedAccount(userId, accountNumber) {
+  const account = await accountsRepository.getAccount(accountNumber);
+
+  if (!account || account.user_id !== String(userId)) {
+    return null;
+  }
+
+  return account;
+}
+
+/**
+ * Get account by account number
+ * @param {string} accountNumber - Account number
+ * @returns {object}
+ */
+async function getAccount(accountNumber) {
+  return accountsRepository.getAccount(accountNumber);
+}
+
+/**
+ * Make sure money can move in or out of an account. Dormant accounts only
+ * receive money, frozen and closed accounts neither send nor receive.
+ * @param {object} account - Account
+ * @param {string} direction - 'credit' or 'debit'
+ */
+function assertCanMoveMoney(account, direction) {
+  const allowed = direction === 'credit' ? ['active', 'dormant'] : ['active'];
+
+  if (!allowed.includes(account.status)) {
+    throw errorResponder(
+      errorTypes.UNPROCESSABLE_ENTITY,
+      `Account ${account.account_number} is ${account.status}`
+    );
+  }
+}
+
+/**
+ * Make sure an account can be closed. Frozen accounts stay open until they
+ * are unfrozen, and the balance has to be moved out first.
+ * @param {object} account - Account
+ */
+function assertClosable(account) {
+  if (account.status === 'frozen') {
+    throw errorResponder(
+      errorTypes.UNPROCESSABLE_ENTITY,
+      `Account ${account.account_number} is frozen and cannot be closed`
+    );
+  }
+
+  if (account.balance !== 0) {
+    throw errorResponder(
+      errorTypes.UNPROCESSABLE_ENTITY,
+      `Account ${account.account_number} still holds ${formatAmount(
+        account.balance
+      )}, its balance must be zero before it can be closed`
+    );
+  }
+
+  if (account.pocket_balance > 0) {
+    throw errorResponder(
+      errorTypes.UNPROCESSABLE_ENTITY,
+      `Account ${account.account_number} still holds ${formatAmount(
+        account.pocket_balance
+      )} in pockets, they must be broken before it can be closed`
+    );
+  }
+}
+
+/**
+ * Close an account. Only active or dormant accounts with zero balance and
+ * empty pockets can be closed.
+ * @param {string} accountNumber - Account number
+ * @param {string} userId - ID of the user closing the account
+ * @returns {boolean}
+ */
+async function closeAccount(accountNumber, userId) {
+  const account = await accountsRepository.closeAccount(
+    accountNumber,
+    String(userId)
+  );
+
+  if (!account) {
+    return null;
+  }
+
+  await webhooksService.publish('account.closed', {
+    user_id: account.user_id,
+    account_number: account.account_number,
+  });
+  return true;
+}
+
+/**
+ * Publish the status change of an account
+ * @param {object} account - Account
+ * @param {string} reason - Reason of the change
+ */
+async function publishStatusChange(account, reason) {
+  await webhooksService.publish('account.status_changed', {
+    user_id: account.user_id,
+    account_number: account.account_number,
+    status: account.status,
+    reason,
+  });
+}
+
+/**
+ * Freeze an active or dormant account
+ * @param {string} accountNumber - Account number
+ * @param {string} reason - Reason
+ * @param {string} userId - ID of the user freezing the account
+ * @returns {object} The account, or null if it cannot be frozen
+ */
+async function freezeAccount(accountNumber, reason, userId) {
+  const account = await accountsRepository.changeStatus(
+    accountNumber,
+    ['active', 'dormant'],
+    'frozen',
+    reason,
+    String(userId)
+  );
+
+  if (!account) {
+    return null;
+  }
+
+  await publishStatusChange(account, reason);
+  return formatAccount(account);
+}
+
+/**
+ * Unfreeze a frozen account. The account becomes active, with its
+ * inactivity period starting over.
+ * @param {string} accountNumber - Account number
+ * @param {string} reason - Reason
+ * @param {string} userId - ID of the user unfreezing the account
+ * @returns {object} The account, or null if it is not frozen
+ */
+async function unfreezeAccount(accountNumber, reason, userId) {
+  const account = await accountsRepository.changeStatus(
+    accountNumber,
+    ['frozen'],
+    'active',
+    reason,
+    String(userId),
+    { last_activity_at: new Date() }
+  );
+
+  if (!account) {
+    return null;
+  }
+
+  await publishStatusChange(account, reason);
+  return formatAccount(account);
+}
+
+/**
+ * Reactivate a dormant account
+ * @param {string} accountNumber - Account number
+ * @param {string} reason - Reason
+ * @param {string} userId - ID of the user reactivating the account
+ * @returns {object} The account, or null if it is not dormant
+ */
+async function reactivateAccount(accountNumber, reason, userId) {
+  const account = await accountsRepository.changeStatus(
+    accountNumber,
+    ['dormant'],
+    'active',
+    reason,
+    String(userId),
+    { last_activity_at: new Date() }
+  );
+
+  if (!account) {
+    return null;
+  }
+
+  await publishStatusChange(account, reason);
+  return formatAccount(account);
+}
+
+/**
+ * Mark active accounts dormant once no money moved in or out of them for the
+ * configured number of months
+ * @returns {number} Number of accounts marked dormant
+ */
+async function markDormantAccounts() {
+  const cutoff = new Date();
+  cutoff.setMonth(cutoff.getMonth() - config.accounts.dormancyMonths);
+
+  const result = await accountsRepository.markDormant(cutoff);
+  return result.modifiedCount;
+}
+
+/**
+ * Set or clear limit overrides of an account. A `null` value removes the
+ * override so the tier limit applies again.
+ * @param {object} account - Account
+ * @param {object} overrides - Limits per operation as amount strings
+ * @returns {boolean}
+ */
+async function updateLimits(account, overrides) {
+  const limits = { ...account.limits };
+
+  Object.entries(overrides).forEach(([operation, values]) => {
+    limits[operation] = { ...limits[operation] };
+    Object.entries(values).forEach(([name, value]) => {
+      if (value === null) {
+        delete limits[operation][name];
+      } else {
+        limits[operation][name] = toMinorUnits(value);
+      }
+    });
+  });
+
+  try {
+    await accountsRepository.updateLimits(account.account_number, limits);
+  } catch (err) {
+    return null;
+  }
+
+  return true;
+}
+
+/**
+ * Get the lowest balance an account may be left with after money goes out.
+ * Account types with an overdraft limit may go below zero down to the limit,
+ * other accounts must keep the configured minimum balance.
+ * @param {string} accountType - Account type
+ * @returns {number} Balance floor in minor units
+ */
+function getBalanceFloor(accountType) {
+  const overdraftLimit =
+    toMinorUnits(config.balance.overdraftLimits[accountType || 'savings']) || 0;
+
+  if (overdraftLimit > 0) {
+    return -overdraftLimit;
+  }
+
+  return toMinorUnits(config.balance.minimum) || 0;
+}
+
+module.exports = {
+  formatAccount,
+  generateAccountNumber,
+  openAccount,
+  getAccounts,
+  getOwnedAccount,
+  getAccount,
+  assertCanMoveMoney,
+  assertClosable,
+  closeAccount,
+  freezeAccount,
+  unfreezeAccount,
+  reactivateAccount,
+  markDormantAccounts,
+  updateLimits,
+  getBalanceFloor,
+};
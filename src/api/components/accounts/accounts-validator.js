@@ -0,0 +1,80 @@
+const joi = require('joi');
+const { accountNumberSchema } = require('../../../utils/account-number');
+const { AMOUNT_PATTERN } = require('../../../utils/money');
+
+const accountParams = {
+  id: joi.string().required().label('User ID'),
+  account_number: accountNumberSchema().required().label('Account Number'),
+};
+
+const accountStatusParams = {
+  account_number: accountNumberSchema().required().label('Account Number'),
+};
+
+// Limit override of one operation, `null` clears the override
+const limitOverride = joi
+  .object({
+    per_transaction: joi
+      .string()
+      .pattern(AMOUNT_PATTERN)
+      .allow(null)
+      .label('Per-transaction limit'),
+    daily: joi
+      .string()
+      .pattern(AMOUNT_PATTERN)
+      .allow(null)
+      .label('Daily limit'),
+  })
+  .min(1);
+
+module.exports = {
+  openAccount: {
+    body: {
+      type: joi
+        .string()
+        .valid('savings', 'checking', 'merchant')
+        .required()
+        .label('Account Type'),
+    },
+  },
+
+  closeAccount: {
+    params: accountParams,
+  },
+
+  getLimits: {
+    params: accountParams,
+  },
+
+  updateLimits: {
+    params: accountParams,
+    body: joi
+      .object({
+        top_up: limitOverride.label('Top-up limits'),
+        transfer: limitOverride.label('Transfer limits'),
+        withdrawal: limitOverride.label('Withdrawal limits'),
+      })
+      .min(1),
+  },
+
+  freezeAccount: {
+    params: accountStatusParams,
+    body: {
+      reason: joi.string().min(3).max(200).required().label('Reason'),
+    },
+  },
+
+  unfreezeAccount: {
+    params: accountStatusParams,
+    body: {
+      reason: joi.string().min(3).max(200).required().label('Reason'),
+    },
+  },
+
+  reactivateAccount: {
+    params: accountStatusParams,
+    body: {
+      reason: joi.string().max(200).label('Reason'),
+    },
+  },
+};
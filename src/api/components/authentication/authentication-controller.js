@@ -1,6 +1,15 @@
 const { errorResponder, errorTypes } = require('../../../core/errors');
 const authenticationServices = require('./authentication-service');
 
+/**
+ * Get the user agent and IP address of the client of a request
+ * @param {object} request - Express request object
+ * @returns {object}
+ */
+function getClient(request) {
+  return { userAgent: request.get('user-agent'), ip: request.ip };
+}
+
 
 /**
  * Handle login request
@@ -14,7 +23,7 @@ const authenticationServices = require('./authentication-service');
 let loginAttempts = {};
 
 async function login(request, response, next) {
-  const { email, password } = request.body;
+  const { email, password, fingerprint } = request.body;
 
 // Helper function to calculate remaining time until the attempts limit resets
 const calculateRemainingTime = (email) => {
@@ -46,7 +55,9 @@ const calculateRemainingTime = (email) => {
     // Check login credentials
     const loginSuccess = await authenticationServices.checkLoginCredentials(
       email,
-      password
+      password,
+      fingerprint,
+      getClient(request)
     );
 
     if (!loginSuccess) {
@@ -68,6 +79,152 @@ const calculateRemainingTime = (email) => {
   }
 }
 
+/**
+ * Handle verify login with two-factor code request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function verifyLogin(request, response, next) {
+  try {
+    const loginSuccess = await authenticationServices.completeLogin(
+      request.body.challenge_token,
+      { code: request.body.code, recoveryCode: request.body.recovery_code },
+      request.body.fingerprint,
+      getClient(request)
+    );
+
+    return response.status(200).json(loginSuccess);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle refresh session request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function refresh(request, response, next) {
+  try {
+    const tokens = await authenticationServices.refreshSession(
+      request.body.refresh_token,
+      request.body.fingerprint,
+      getClient(request)
+    );
+
+    return response.status(200).json(tokens);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle logout request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function logout(request, response, next) {
+  try {
+    await authenticationServices.logout(request.token);
+
+    return response.status(200).json({ id: request.user.id });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle logout of all devices request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function logoutAll(request, response, next) {
+  try {
+    await authenticationServices.revokeAllTokens(
+      request.user.id,
+      'Logged out of all devices'
+    );
+
+    return response.status(200).json({ id: request.user.id });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle start two-factor enrolment request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function enrollTwoFactor(request, response, next) {
+  try {
+    const enrolment = await authenticationServices.enrollTwoFactor(
+      request.user
+    );
+
+    return response.status(200).json(enrolment);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle confirm two-factor enrolment request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function confirmTwoFactor(request, response, next) {
+  try {
+    const recoveryCodes = await authenticationServices.confirmTwoFactor(
+      request.user,
+      request.body.code
+    );
+
+    return response.status(200).json(recoveryCodes);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle disable two-factor authentication request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function disableTwoFactor(request, response, next) {
+  try {
+    await authenticationServices.disableTwoFactor(request.user, {
+      code: request.body.code,
+      recoveryCode: request.body.recovery_code,
+    });
+
+    return response.status(200).json({ id: request.user.id });
+  } catch (error) {
+    return next(error);
+  }
+}
+
 module.exports = {
   login,
+  verifyLogin,
+  refresh,
+  logout,
+  logoutAll,
+  enrollTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
 };
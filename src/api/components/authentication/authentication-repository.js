@@ -1,4 +1,4 @@
-const { User } = require('../../../models');
+const { User, Session, RevokedToken } = require('../../../models');
 
 /**
  * Get user by email for login information
@@ -9,6 +9,261 @@ async function getUserByEmail(email) {
   return User.findOne({ email });
 }
 
+/**
+ * Get user by ID
+ * @param {string} id - User ID
+ * @returns {Promise}
+ */
+async function getUser(id) {
+  return User.findById(id);
+}
+
+/**
+ * Store a new refresh token
+ * @param {object} session - Session
+ * @returns {Promise}
+ */
+async function createSession(session) {
+  return Session.create(session);
+}
+
+/**
+ * Get the session of a refresh token
+ * @param {string} tokenHash - Hash of the refresh token
+ * @returns {Promise}
+ */
+async function getSessionByTokenHash(tokenHash) {
+  return Session.findOne({ token_hash: tokenHash });
+}
+
+/**
+ * Mark an active refresh token as exchanged for a new one
+ * @param {string} id - Session ID
+ * @returns {Promise} The updated session, or null if it was not active
+ */
+async function rotateSession(id) {
+  return Session.findOneAndUpdate(
+    { _id: id, status: 'active' },
+    { $set: { status: 'rotated', rotated_at: new Date() } },
+    { new: true }
+  );
+}
+
+/**
+ * Revoke every refresh token of a session family
+ * @param {string} familyId - Family ID
+ * @param {string} reason - Reason
+ * @returns {Promise}
+ */
+async function revokeFamily(familyId, reason) {
+  return Session.updateMany(
+    { family_id: familyId, status: { $ne: 'revoked' } },
+    {
+      $set: {
+        status: 'revoked',
+        revoked_at: new Date(),
+        revoked_reason: reason,
+      },
+    }
+  );
+}
+
+/**
+ * Revoke every refresh token of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Reason
+ * @returns {Promise}
+ */
+async function revokeUserSessions(userId, reason) {
+  return Session.updateMany(
+    { user_id: userId, status: { $ne: 'revoked' } },
+    {
+      $set: {
+        status: 'revoked',
+        revoked_at: new Date(),
+        revoked_reason: reason,
+      },
+    }
+  );
+}
+
+/**
+ * Revoke a single access token
+ * @param {string} jti - Token ID
+ * @param {string} userId - User ID
+ * @param {Date} expiresAt - When the token expires
+ * @returns {Promise}
+ */
+async function revokeToken(jti, userId, expiresAt) {
+  return RevokedToken.updateOne(
+    { jti },
+    { $setOnInsert: { jti, user_id: userId, expires_at: expiresAt } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Reject every access token of a user issued before a moment
+ * @param {string} userId - User ID
+ * @param {Date} date - Moment
+ * @returns {Promise}
+ */
+async function setTokensValidAfter(userId, date) {
+  return User.updateOne(
+    { _id: userId },
+    { $set: { tokens_valid_after: date } }
+  );
+}
+
+/**
+ * Store the TOTP secret of a two-factor enrolment until it is confirmed
+ * @param {string} userId - User ID
+ * @param {string} secret - Encrypted secret
+ * @returns {Promise}
+ */
+async function setPendingTwoFactorSecret(userId, secret) {
+  return User.updateOne(
+    { _id: userId },
+    { $set: { 'two_factor.pending_secret': secret } }
+  );
+}
+
+/**
+ * Turn two-factor authentication on with the confirmed pending secret
+ * @param {string} userId - User ID
+ * @param {string} secret - Encrypted secret, as still pending
+ * @param {Array} recoveryCodes - Hashes of the recovery codes
+ * @param {number} step - Time step of the confirming code
+ * @returns {Promise} The updated user, or null if the secret changed meanwhile
+ */
+async function enableTwoFactor(userId, secret, recoveryCodes, step) {
+  return User.findOneAndUpdate(
+    { '_id': userId, 'two_factor.pending_secret': secret },
+    {
+      $set: {
+        two_factor: {
+          enabled: true,
+          secret,
+          recovery_codes: recoveryCodes,
+          last_used_step: step,
+          failed_attempts: 0,
+          enabled_at: new Date(),
+        },
+      },
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Turn two-factor authentication off
+ * @param {string} userId - User ID
+ * @returns {Promise}
+ */
+async function disableTwoFactor(userId) {
+  return User.updateOne(
+    { _id: userId },
+    { $set: { two_factor: { enabled: false } } }
+  );
+}
+
+/**
+ * Accept a code of a time step, unless a code of that or a later step was
+ * already accepted
+ * @param {string} userId - User ID
+ * @param {number} step - Time step
+ * @returns {Promise<boolean>}
+ */
+async function useTwoFactorStep(userId, step) {
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { 'two_factor.last_used_step': { $lt: step } },
+        { 'two_factor.last_used_step': { $exists: false } },
+      ],
+    },
+    {
+      $set: {
+        'two_factor.last_used_step': step,
+        'two_factor.failed_attempts': 0,
+      },
+    }
+  );
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Use up a recovery code
+ * @param {string} userId - User ID
+ * @param {string} codeHash - Hash of the recovery code
+ * @returns {Promise<boolean>}
+ */
+async function useRecoveryCode(userId, codeHash) {
+  const result = await User.updateOne(
+    { '_id': userId, 'two_factor.recovery_codes': codeHash },
+    {
+      $pull: { 'two_factor.recovery_codes': codeHash },
+      $set: { 'two_factor.failed_attempts': 0 },
+    }
+  );
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Count a two-factor code attempt before the code is checked, unless codes
+ * are locked. An accepted code resets the count.
+ * @param {string} userId - User ID
+ * @returns {Promise} The updated user, or null if codes are locked
+ */
+async function claimTwoFactorAttempt(userId) {
+  return User.findOneAndUpdate(
+    {
+      _id: userId,
+      $or: [
+        { 'two_factor.locked_until': { $exists: false } },
+        { 'two_factor.locked_until': null },
+        { 'two_factor.locked_until': { $lte: new Date() } },
+      ],
+    },
+    { $inc: { 'two_factor.failed_attempts': 1 } },
+    { new: true }
+  );
+}
+
+/**
+ * Refuse two-factor codes of a user for a while
+ * @param {string} userId - User ID
+ * @param {Date} until - End of the lockout
+ * @returns {Promise}
+ */
+async function lockTwoFactor(userId, until) {
+  return User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        'two_factor.locked_until': until,
+        'two_factor.failed_attempts': 0,
+      },
+    }
+  );
+}
+
 module.exports = {
   getUserByEmail,
+  getUser,
+  createSession,
+  getSessionByTokenHash,
+  rotateSession,
+  revokeFamily,
+  revokeUserSessions,
+  revokeToken,
+  setTokensValidAfter,
+  setPendingTwoFactorSecret,
+  enableTwoFactor,
+  disableTwoFactor,
+  useTwoFactorStep,
+  useRecoveryCode,
+  claimTwoFactorAttempt,
+  lockTwoFactor,
 };
@@ -1,5 +1,6 @@
 const express = require('express');
 
+const authenticationMiddleware = require('../../middlewares/authentication-middleware');
 const authenticationControllers = require('./authentication-controller');
 const authenticationValidators = require('./authentication-validator');
 const celebrate = require('../../../core/celebrate-wrappers');
@@ -14,4 +15,55 @@ module.exports = (app) => {
     celebrate(authenticationValidators.login),
     authenticationControllers.login
   );
+
+  // Finish a login with the code of a user with two-factor authentication
+  route.post(
+    '/login/verify',
+    celebrate(authenticationValidators.verifyLogin),
+    authenticationControllers.verifyLogin
+  );
+
+  // Exchange a refresh token for a new access token and refresh token
+  route.post(
+    '/refresh',
+    celebrate(authenticationValidators.refresh),
+    authenticationControllers.refresh
+  );
+
+  // Log out of the current session
+  route.post(
+    '/logout',
+    authenticationMiddleware,
+    authenticationControllers.logout
+  );
+
+  // Log out of every session on every device
+  route.post(
+    '/logout-all',
+    authenticationMiddleware,
+    authenticationControllers.logoutAll
+  );
+
+  // Start two-factor enrolment, returning the secret as an otpauth URI
+  route.post(
+    '/2fa/enroll',
+    authenticationMiddleware,
+    authenticationControllers.enrollTwoFactor
+  );
+
+  // Confirm two-factor enrolment with a code, returning recovery codes
+  route.post(
+    '/2fa/confirm',
+    authenticationMiddleware,
+    celebrate(authenticationValidators.confirmTwoFactor),
+    authenticationControllers.confirmTwoFactor
+  );
+
+  // Turn two-factor authentication off with a fresh code
+  route.post(
+    '/2fa/disable',
+    authenticationMiddleware,
+    celebrate(authenticationValidators.disableTwoFactor),
+    authenticationControllers.disableTwoFactor
+  );
 };
@@ -1,14 +1,68 @@
+const { v4: uuidv4 } = require('uuid');
+
 const authenticationRepository = require('./authentication-repository');
-const { generateToken } = require('../../../utils/session-token');
+const config = require('../../../core/config');
+const logger = require('../../../core/logger')('app');
+const { errorResponder, errorTypes } = require('../../../core/errors');
+const {
+  generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateRefreshToken,
+  hashToken,
+} = require('../../../utils/session-token');
 const { passwordMatched } = require('../../../utils/password');
+const {
+  generateSecret,
+  verifyTotp,
+  otpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+} = require('../../../utils/totp');
+
+// Wrong two-factor codes in a row before codes are refused for a while
+const MAX_FAILED_CODES = 5;
+const TWO_FACTOR_LOCKOUT = 15 * 60 * 1000;
+
+/**
+ * Issue an access token and a refresh token bound to the client fingerprint
+ * @param {object} user - User
+ * @param {string} familyId - Session family the tokens belong to
+ * @param {string} fingerprint - Client fingerprint
+ * @param {object} client - User agent and IP address of the client
+ * @returns {object} Tokens
+ */
+async function issueTokens(user, familyId, fingerprint, client) {
+  const refreshToken = generateRefreshToken();
+  const expiresAt = new Date(Date.now() + config.secret.refreshTokenTtl * 1000);
+
+  await authenticationRepository.createSession({
+    user_id: user.id,
+    family_id: familyId,
+    token_hash: hashToken(refreshToken),
+    fingerprint_hash: hashToken(fingerprint),
+    user_agent: client.userAgent,
+    ip: client.ip,
+    expires_at: expiresAt,
+  });
+
+  return {
+    token: generateToken(user.email, user.id, familyId),
+    refresh_token: refreshToken,
+    refresh_token_expires_at: expiresAt,
+  };
+}
 
 /**
  * Check username and password for login.
  * @param {string} email - Email
  * @param {string} password - Password
- * @returns {object} An object containing, among others, the JWT token if the email and password are matched. Otherwise returns null.
+ * @param {string} fingerprint - Client fingerprint the session is bound to
+ * @param {object} client - User agent and IP address of the client
+ * @returns {object} An object containing, among others, the JWT token and the refresh token if the email and password are matched, or a challenge token to exchange with a two-factor code if the user enabled it. Otherwise returns null.
  */
-async function checkLoginCredentials(email, password) {
+async function checkLoginCredentials(email, password, fingerprint, client) {
   const user = await authenticationRepository.getUserByEmail(email);
 
   // We define default user password here as '<RANDOM_PASSWORD_FILTER>'
@@ -22,17 +76,337 @@ async function checkLoginCredentials(email, password) {
   // login attempt as successful when the `user` is found (by email) and
   // the password matches.
   if (user && passwordChecked) {
+    if (user.two_factor && user.two_factor.enabled) {
+      return {
+        two_factor_required: true,
+        challenge_token: generateChallengeToken(
+          user.id,
+          hashToken(fingerprint)
+        ),
+        challenge_expires_in: config.twoFactor.challengeTtl,
+      };
+    }
+
     return {
       email: user.email,
       name: user.name,
       user_id: user.id,
-      token: generateToken(user.email, user.id),
+      ...(await issueTokens(user, uuidv4(), fingerprint, client)),
     };
   }
 
   return null;
 }
 
+/**
+ * Revoke a whole session family after its refresh token was misused
+ * @param {object} session - Session of the misused token
+ * @param {string} reason - Reason
+ */
+async function revokeFamily(session, reason) {
+  logger.warn(
+    `Revoked session family ${session.family_id} of user ${session.user_id}: ${reason}`
+  );
+  await authenticationRepository.revokeFamily(session.family_id, reason);
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token. Every
+ * refresh token works once: presenting one that was already exchanged means
+ * it leaked, so the whole family is revoked and its holder has to log in
+ * again.
+ * @param {string} refreshToken - Refresh token
+ * @param {string} fingerprint - Client fingerprint
+ * @param {object} client - User agent and IP address of the client
+ * @returns {object} Tokens
+ */
+async function refreshSession(refreshToken, fingerprint, client) {
+  const session = await authenticationRepository.getSessionByTokenHash(
+    hashToken(refreshToken)
+  );
+
+  if (!session || session.status === 'revoked') {
+    throw errorResponder(errorTypes.BAD_REFRESH_TOKEN, 'Unknown refresh token');
+  }
+
+  if (session.status === 'rotated') {
+    await revokeFamily(session, 'Refresh token reused');
+    throw errorResponder(
+      errorTypes.BAD_REFRESH_TOKEN,
+      'Refresh token has already been used, please log in again'
+    );
+  }
+
+  if (session.expires_at <= new Date()) {
+    throw errorResponder(
+      errorTypes.SESSION_EXPIRED,
+      'Session expired, please log in again'
+    );
+  }
+
+  if (session.fingerprint_hash !== hashToken(fingerprint)) {
+    await revokeFamily(session, 'Refresh token used by another client');
+    throw errorResponder(
+      errorTypes.INVALID_REFRESH_SESSION,
+      'Refresh token belongs to another client, please log in again'
+    );
+  }
+
+  // Only one of two concurrent refreshes with the same token can win
+  const rotated = await authenticationRepository.rotateSession(session.id);
+  if (!rotated) {
+    await revokeFamily(session, 'Refresh token reused');
+    throw errorResponder(
+      errorTypes.BAD_REFRESH_TOKEN,
+      'Refresh token has already been used, please log in again'
+    );
+  }
+
+  const user = await authenticationRepository.getUser(session.user_id);
+  if (!user) {
+    await revokeFamily(session, 'User deleted');
+    throw errorResponder(errorTypes.BAD_REFRESH_TOKEN, 'Unknown user');
+  }
+
+  return issueTokens(user, session.family_id, fingerprint, client);
+}
+
+/**
+ * Log out of one session: revoke its access token and every refresh token
+ * of its family
+ * @param {object} token - Payload of the access token
+ */
+async function logout(token) {
+  if (token.jti) {
+    await authenticationRepository.revokeToken(
+      token.jti,
+      token.userId,
+      new Date(token.exp * 1000)
+    );
+  }
+
+  if (token.sessionId) {
+    await authenticationRepository.revokeFamily(token.sessionId, 'Logged out');
+  }
+}
+
+/**
+ * Revoke every access token and refresh token a user holds, e.g. to sign
+ * out of all devices or after a password change
+ * @param {string} userId - User ID
+ * @param {string} reason - Reason
+ */
+async function revokeAllTokens(userId, reason) {
+  await authenticationRepository.setTokensValidAfter(userId, new Date());
+  await authenticationRepository.revokeUserSessions(String(userId), reason);
+}
+
+/**
+ * Check a fresh TOTP code or an unused recovery code of a user with
+ * two-factor authentication. Every code works once, and too many wrong codes
+ * lock two-factor authentication for a while. The attempt is counted before
+ * the code is checked, so concurrent requests cannot try more codes than
+ * allowed before the lock.
+ * @param {object} user - User
+ * @param {object} factor - `code` from the authenticator app or `recoveryCode`
+ */
+async function verifySecondFactor(user, factor) {
+  const claimed = await authenticationRepository.claimTwoFactorAttempt(user.id);
+  const attempts = claimed ? claimed.two_factor.failed_attempts : 0;
+
+  // Attempts counted past the limit by concurrent requests are not checked
+  if (attempts > MAX_FAILED_CODES) {
+    await authenticationRepository.lockTwoFactor(
+      user.id,
+      new Date(Date.now() + TWO_FACTOR_LOCKOUT)
+    );
+  }
+
+  if (!claimed || attempts > MAX_FAILED_CODES) {
+    throw errorResponder(
+      errorTypes.FORBIDDEN,
+      'Too many wrong codes. Please try again later.'
+    );
+  }
+
+  const { two_factor: twoFactor } = claimed;
+
+  let accepted = false;
+  if (factor.code) {
+    const step = verifyTotp(decryptSecret(twoFactor.secret), factor.code);
+    accepted =
+      step !== null &&
+      (await authenticationRepository.useTwoFactorStep(user.id, step));
+  } else if (factor.recoveryCode) {
+    accepted = await authenticationRepository.useRecoveryCode(
+      user.id,
+      hashToken(factor.recoveryCode.trim().toLowerCase())
+    );
+  }
+
+  if (!accepted) {
+    if (attempts >= MAX_FAILED_CODES) {
+      await authenticationRepository.lockTwoFactor(
+        user.id,
+        new Date(Date.now() + TWO_FACTOR_LOCKOUT)
+      );
+    }
+
+    throw errorResponder(
+      errorTypes.INVALID_CREDENTIALS,
+      'Wrong or already used code'
+    );
+  }
+}
+
+/**
+ * Finish a login of a user with two-factor authentication
+ * @param {string} challengeToken - Challenge token returned by the login
+ * @param {object} factor - `code` from the authenticator app or `recoveryCode`
+ * @param {string} fingerprint - Client fingerprint, the same as at login
+ * @param {object} client - User agent and IP address of the client
+ * @returns {object} The login result with the tokens
+ */
+async function completeLogin(challengeToken, factor, fingerprint, client) {
+  const challenge = verifyChallengeToken(challengeToken);
+
+  if (!challenge || challenge.fingerprint !== hashToken(fingerprint)) {
+    throw errorResponder(
+      errorTypes.INVALID_CREDENTIALS,
+      'Login challenge is not valid or has expired, please log in again'
+    );
+  }
+
+  const user = await authenticationRepository.getUser(challenge.userId);
+  if (!user || !user.two_factor.enabled) {
+    throw errorResponder(
+      errorTypes.INVALID_CREDENTIALS,
+      'Login challenge is not valid or has expired, please log in again'
+    );
+  }
+
+  await verifySecondFactor(user, factor);
+
+  return {
+    email: user.email,
+    name: user.name,
+    user_id: user.id,
+    ...(await issueTokens(user, uuidv4(), fingerprint, client)),
+  };
+}
+
+/**
+ * Start two-factor enrolment with a new TOTP secret. Nothing changes until
+ * the secret is confirmed with a code.
+ * @param {object} user - User
+ * @returns {object} The secret and its otpauth URI
+ */
+async function enrollTwoFactor(user) {
+  if (user.two_factor && user.two_factor.enabled) {
+    throw errorResponder(
+      errorTypes.UNPROCESSABLE_ENTITY,
+      'Two-factor authentication is already enabled'
+    );
+  }
+
+  const secret = generateSecret();
+  await authenticationRepository.setPendingTwoFactorSecret(
+    user.id,
+    encryptSecret(secret)
+  );
+
+  return {
+    secret,
+    otpauth_uri: otpauthUri(secret, user.email),
+  };
+}
+
+/**
+ * Confirm two-factor enrolment with a code of the new secret
+ * @param {object} user - User
+ * @param {string} code - Code from the authenticator app
+ * @returns {object} One-time recovery codes, shown only this once
+ */
+async function confirmTwoFactor(user, code) {
+  const pending = user.two_factor && user.two_factor.pending_secret;
+
+  if (!pending) {
+    throw errorResponder(
+      errorTypes.UNPROCESSABLE_ENTITY,
+      'Start the two-factor enrolment first'
+    );
+  }
+
+  const step = verifyTotp(decryptSecret(pending), code);
+  if (step === null) {
+    throw errorResponder(errorTypes.INVALID_CREDENTIALS, 'Wrong code');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  const enabled = await authenticationRepository.enableTwoFactor(
+    user.id,
+    pending,
+    recoveryCodes.map(hashToken),
+    step
+  );
+  if (!enabled) {
+    throw errorResponder(
+      errorTypes.UNPROCESSABLE_ENTITY,
+      'Two-factor enrolment was restarted, confirm the new secret'
+    );
+  }
+
+  return { recovery_codes: recoveryCodes };
+}
+
+/**
+ * Turn two-factor authentication off after checking a fresh code
+ * @param {object} user - User
+ * @param {object} factor - `code` from the authenticator app or `recoveryCode`
+ */
+async function disableTwoFactor(user, factor) {
+  if (!user.two_factor || !user.two_factor.enabled) {
+    throw errorResponder(
+      errorTypes.UNPROCESSABLE_ENTITY,
+      'Two-factor authentication is not enabled'
+    );
+  }
+
+  await verifySecondFactor(user, factor);
+  await authenticationRepository.disableTwoFactor(user.id);
+}
+
+/**
+ * Require a fresh two-factor code for a sensitive action of a user who
+ * enabled two-factor authentication
+ * @param {string} userId - User ID
+ * @param {object} factor - `code` from the authenticator app or `recoveryCode`
+ */
+async function assertSecondFactor(userId, factor) {
+  const user = await authenticationRepository.getUser(userId);
+
+  if (!user || !user.two_factor || !user.two_factor.enabled) {
+    return;
+  }
+
+  if (!factor.code && !factor.recoveryCode) {
+    throw errorResponder(
+      errorTypes.INVALID_CREDENTIALS,
+      'A two-factor code is required'
+    );
+  }
+
+  await verifySecondFactor(user, factor);
+}
+
 module.exports = {
   checkLoginCredentials,
+  completeLogin,
+  refreshSession,
+  logout,
+  revokeAllTokens,
+  enrollTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  assertSecondFactor,
 };
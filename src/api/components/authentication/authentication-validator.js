@@ -1,10 +1,57 @@
 const joi = require('joi');
+const { totpCodeSchema, recoveryCodeSchema } = require('../../../utils/totp');
+
+// Stable identifier the client generates once per installation or browser
+const fingerprint = joi
+  .string()
+  .min(8)
+  .max(200)
+  .required()
+  .label('Fingerprint');
+
+// Code from the authenticator app, or one of the recovery codes instead
+const totpCode = totpCodeSchema();
+const recoveryCode = recoveryCodeSchema();
 
 module.exports = {
   login: {
     body: {
       email: joi.string().email().required().label('Email'),
       password: joi.string().required().label('Password'),
+      fingerprint,
+    },
+  },
+
+  verifyLogin: {
+    body: joi
+      .object({
+        challenge_token: joi.string().required().label('Challenge token'),
+        code: totpCode,
+        recovery_code: recoveryCode,
+        fingerprint,
+      })
+      .xor('code', 'recovery_code'),
+  },
+
+  refresh: {
+    body: {
+      refresh_token: joi.string().max(200).required().label('Refresh token'),
+      fingerprint,
     },
   },
+
+  confirmTwoFactor: {
+    body: {
+      code: totpCode.required(),
+    },
+  },
+
+  disableTwoFactor: {
+    body: joi
+      .object({
+        code: totpCode,
+        recovery_code: recoveryCode,
+      })
+      .xor('code', 'recovery_code'),
+  },
 };
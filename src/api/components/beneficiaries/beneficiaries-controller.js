@@ -0,0 +1,146 @@
+const beneficiariesService = require('./beneficiaries-service');
+const { errorResponder, errorTypes } = require('../../../core/errors');
+
+/**
+ * Handle get list of beneficiaries request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function getBeneficiaries(request, response, next) {
+  try {
+    const beneficiaries = await beneficiariesService.getBeneficiaries(
+      request.params.id
+    );
+
+    return response.status(200).json(beneficiaries);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Get the beneficiary of the request if the user saved it
+ * @param {object} request - Express request object
+ * @returns {object}
+ */
+async function getRequestedBeneficiary(request) {
+  const beneficiary = await beneficiariesService.getOwnedBeneficiary(
+    request.params.id,
+    request.params.beneficiary_id
+  );
+
+  if (!beneficiary) {
+    throw errorResponder(errorTypes.NOT_FOUND, 'Unknown beneficiary');
+  }
+
+  return beneficiary;
+}
+
+/**
+ * Handle get beneficiary detail request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function getBeneficiary(request, response, next) {
+  try {
+    const beneficiary = await getRequestedBeneficiary(request);
+
+    return response.status(200).json(beneficiary);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle save beneficiary request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function createBeneficiary(request, response, next) {
+  try {
+    const beneficiary = await beneficiariesService.createBeneficiary(
+      request.params.id,
+      request.body.nickname,
+      request.body.account_number
+    );
+    if (!beneficiary) {
+      throw errorResponder(
+        errorTypes.INVALID_CREDENTIALS,
+        'Account is not valid'
+      );
+    }
+
+    return response.status(200).json(beneficiary);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle rename beneficiary request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function updateBeneficiary(request, response, next) {
+  try {
+    const beneficiary = await getRequestedBeneficiary(request);
+
+    const success = await beneficiariesService.updateBeneficiary(
+      beneficiary.id,
+      request.body.nickname
+    );
+    if (!success) {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'Failed to update beneficiary'
+      );
+    }
+
+    return response.status(200).json({ id: beneficiary.id });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle delete beneficiary request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function deleteBeneficiary(request, response, next) {
+  try {
+    const beneficiary = await getRequestedBeneficiary(request);
+
+    const success = await beneficiariesService.deleteBeneficiary(
+      beneficiary.id
+    );
+    if (!success) {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'Failed to delete beneficiary'
+      );
+    }
+
+    return response.status(200).json({ id: beneficiary.id });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = {
+  getBeneficiaries,
+  getBeneficiary,
+  createBeneficiary,
+  updateBeneficiary,
+  deleteBeneficiary,
+};
@@ -0,0 +1,63 @@
+const { Beneficiary } = require('../../../models');
+
+/**
+ * Get all beneficiaries saved by a user
+ * @param {string} userId - User ID
+ * @returns {Promise}
+ */
+async function getBeneficiaries(userId) {
+  return Beneficiary.find({ user_id: userId }).sort({ nickname: 1 });
+}
+
+/**
+ * Get beneficiary detail
+ * @param {string} id - Beneficiary ID
+ * @returns {Promise}
+ */
+async function getBeneficiary(id) {
+  return Beneficiary.findById(id);
+}
+
+/**
+ * Save a new beneficiary
+ * @param {string} userId - User ID
+ * @param {string} nickname - Nickname
+ * @param {string} accountNumber - Account number
+ * @param {string} holderName - Masked name of the account holder
+ * @returns {Promise}
+ */
+async function createBeneficiary(userId, nickname, accountNumber, holderName) {
+  return Beneficiary.create({
+    user_id: userId,
+    nickname,
+    account_number: accountNumber,
+    holder_name: holderName,
+  });
+}
+
+/**
+ * Rename a beneficiary
+ * @param {string} id - Beneficiary ID
+ * @param {string} nickname - Nickname
+ * @returns {Promise}
+ */
+async function updateBeneficiary(id, nickname) {
+  return Beneficiary.updateOne({ _id: id }, { $set: { nickname } });
+}
+
+/**
+ * Delete a beneficiary
+ * @param {string} id - Beneficiary ID
+ * @returns {Promise}
+ */
+async function deleteBeneficiary(id) {
+  return Beneficiary.deleteOne({ _id: id });
+}
+
+module.exports = {
+  getBeneficiaries,
+  getBeneficiary,
+  createBeneficiary,
+  updateBeneficiary,
+  deleteBeneficiary,
+};
@@ -0,0 +1,58 @@
+const express = require('express');
+
+const authenticationMiddleware = require('../../middlewares/authentication-middleware');
+const { requireOwner } = require('../../middlewares/permission-middleware');
+const celebrate = require('../../../core/celebrate-wrappers');
+const beneficiariesControllers = require('./beneficiaries-controller');
+const beneficiariesValidator = require('./beneficiaries-validator');
+
+const route = express.Router();
+
+module.exports = (app) => {
+  app.use('/users', route);
+
+  // Get list of beneficiaries saved by a user
+  route.get(
+    '/:id/beneficiaries',
+    authenticationMiddleware,
+    requireOwner('teller', 'admin'),
+    celebrate(beneficiariesValidator.getBeneficiaries),
+    beneficiariesControllers.getBeneficiaries
+  );
+
+  // Save a beneficiary
+  route.post(
+    '/:id/beneficiaries',
+    authenticationMiddleware,
+    requireOwner(),
+    celebrate(beneficiariesValidator.createBeneficiary),
+    beneficiariesControllers.createBeneficiary
+  );
+
+  // Get beneficiary detail
+  route.get(
+    '/:id/beneficiaries/:beneficiary_id',
+    authenticationMiddleware,
+    requireOwner('teller', 'admin'),
+    celebrate(beneficiariesValidator.getBeneficiary),
+    beneficiariesControllers.getBeneficiary
+  );
+
+  // Rename a beneficiary
+  route.put(
+    '/:id/beneficiaries/:beneficiary_id',
+    authenticationMiddleware,
+    requireOwner(),
+    celebrate(beneficiariesValidator.updateBeneficiary),
+    beneficiariesControllers.updateBeneficiary
+  );
+
+  // Delete a beneficiary
+  route.delete(
+    '/:id/beneficiaries/:beneficiary_id',
+    authenticationMiddleware,
+    requireOwner(),
+    celebrate(beneficiariesValidator.deleteBeneficiary),
+    beneficiariesControllers.deleteBeneficiary
+  );
+};
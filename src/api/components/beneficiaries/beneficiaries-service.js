@@ -0,0 +1,156 @@
+const beneficiariesRepository = require('./beneficiaries-repository');
+const usersRepository = require('../users/users-repository');
+const { errorResponder, errorTypes } = require('../../../core/errors');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Format a beneficiary for the response
+ * @param {object} beneficiary - Beneficiary
+ * @returns {object}
+ */
+function formatBeneficiary(beneficiary) {
+  return {
+    id: beneficiary.id,
+    nickname: beneficiary.nickname,
+    account_number: beneficiary.account_number,
+    holder_name: beneficiary.holder_name,
+    created_at: beneficiary.created_at,
+  };
+}
+
+/**
+ * Mask a name, keeping the first letter of every word, e.g. 'Budi Santoso'
+ * becomes 'B*** S******'
+ * @param {string} name - Name
+ * @returns {string}
+ */
+function maskName(name) {
+  return name
+    .split(' ')
+    .filter((word) => word)
+    .map((word) => `${word[0]}${'*'.repeat(word.length - 1)}`)
+    .join(' ');
+}
+
+/**
+ * Get list of beneficiaries saved by a user
+ * @param {string} userId - User ID
+ * @returns {Array}
+ */
+async function getBeneficiaries(userId) {
+  const beneficiaries = await beneficiariesRepository.getBeneficiaries(userId);
+  return beneficiaries.map(formatBeneficiary);
+}
+
+/**
+ * Get a beneficiary if it is saved by the user
+ * @param {string} userId - User ID
+ * @param {string} id - Beneficiary ID
+ * @returns {object} The beneficiary, or null if the user did not save it
+ */
+async function getOwnedBeneficiary(userId, id) {
+  const beneficiary = await beneficiariesRepository.getBeneficiary(id);
+
+  if (!beneficiary || beneficiary.user_id !== String(userId)) {
+    return null;
+  }
+
+  return formatBeneficiary(beneficiary);
+}
+
+/**
+ * Get the account number to send money to, given either directly or as the
+ * ID of a beneficiary saved by the user
+ * @param {string} userId - User ID
+ * @param {string} accountNumber - Account number
+ * @param {string} beneficiaryId - Beneficiary ID
+ * @returns {string} Account number. Throws if the beneficiary is unknown.
+ */
+async function resolveAccountNumber(userId, accountNumber, beneficiaryId) {
+  if (!beneficiaryId) {
+    return accountNumber;
+  }
+
+  const beneficiary = await getOwnedBeneficiary(userId, beneficiaryId);
+  if (!beneficiary) {
+    throw errorResponder(errorTypes.NOT_FOUND, 'Unknown beneficiary');
+  }
+
+  return beneficiary.account_number;
+}
+
+/**
+ * Save a beneficiary for a user
+ * @param {string} userId - User ID
+ * @param {string} nickname - Nickname
+ * @param {string} accountNumber - Account number
+ * @returns {object} The beneficiary, or null if the account is not registered.
+ * Throws if the user already saved the account.
+ */
+async function createBeneficiary(userId, nickname, accountNumber) {
+  const account = await usersRepository.getUAN(accountNumber);
+  if (!account) {
+    return null;
+  }
+
+  const holder = await usersRepository.getUser(account.user_id);
+
+  try {
+    const beneficiary = await beneficiariesRepository.createBeneficiary(
+      String(userId),
+      nickname,
+      accountNumber,
+      holder ? maskName(holder.name) : null
+    );
+    return formatBeneficiary(beneficiary);
+  } catch (err) {
+    if (err.code === DUPLICATE_KEY_ERROR) {
+      throw errorResponder(
+        errorTypes.DB_DUPLICATE_CONFLICT,
+        'This account is already saved as a beneficiary'
+      );
+    }
+    throw err;
+  }
+}
+
+/**
+ * Rename a beneficiary
+ * @param {string} id - Beneficiary ID
+ * @param {string} nickname - Nickname
+ * @returns {boolean}
+ */
+async function updateBeneficiary(id, nickname) {
+  try {
+    await beneficiariesRepository.updateBeneficiary(id, nickname);
+  } catch (err) {
+    return null;
+  }
+
+  return true;
+}
+
+/**
+ * Delete a beneficiary
+ * @param {string} id - Beneficiary ID
+ * @returns {boolean}
+ */
+async function deleteBeneficiary(id) {
+  try {
+    await beneficiariesRepository.deleteBeneficiary(id);
+  } catch (err) {
+    return null;
+  }
+
+  return true;
+}
+
+module.exports = {
+  getBeneficiaries,
+  getOwnedBeneficiary,
+  resolveAccountNumber,
+  createBeneficiary,
+  updateBeneficiary,
+  deleteBeneficiary,
+};
@@ -0,0 +1,41 @@
+const joi = require('joi');
+const { accountNumberSchema } = require('../../../utils/account-number');
+const { objectId } = require('../../../utils/object-id');
+
+const beneficiaryParams = {
+  id: joi.string().required().label('User ID'),
+  beneficiary_id: objectId().required().label('Beneficiary ID'),
+};
+
+module.exports = {
+  getBeneficiaries: {
+    params: {
+      id: joi.string().required().label('User ID'),
+    },
+  },
+
+  getBeneficiary: {
+    params: beneficiaryParams,
+  },
+
+  createBeneficiary: {
+    params: {
+      id: joi.string().required().label('User ID'),
+    },
+    body: {
+      nickname: joi.string().min(1).max(50).required().label('Nickname'),
+      account_number: accountNumberSchema().required().label('Account Number'),
+    },
+  },
+
+  updateBeneficiary: {
+    params: beneficiaryParams,
+    body: {
+      nickname: joi.string().min(1).max(50).required().label('Nickname'),
+    },
+  },
+
+  deleteBeneficiary: {
+    params: beneficiaryParams,
+  },
+};
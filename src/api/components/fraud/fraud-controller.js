@@ -0,0 +1,102 @@
+const fraudService = require('./fraud-service');
+const { errorResponder, errorTypes } = require('../../../core/errors');
+
+/**
+ * Handle get fraud review queue request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function getFraudReviews(request, response, next) {
+  try {
+    const fraudReviews = await fraudService.getFraudReviews(
+      request.query.status
+    );
+
+    return response.status(200).json(fraudReviews);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle get fraud review detail request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function getFraudReview(request, response, next) {
+  try {
+    const fraudReview = await fraudService.getFraudReview(request.params.id);
+    if (!fraudReview) {
+      throw errorResponder(errorTypes.NOT_FOUND, 'Unknown fraud review');
+    }
+
+    return response.status(200).json(fraudReview);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle release held transaction request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function releaseFraudReview(request, response, next) {
+  try {
+    const fraudReview = await fraudService.releaseFraudReview(
+      request.params.id,
+      request.user.id,
+      request.body.note
+    );
+    if (!fraudReview) {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'Only pending fraud reviews can be released'
+      );
+    }
+
+    return response.status(200).json(fraudReview);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle reject held transaction request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function rejectFraudReview(request, response, next) {
+  try {
+    const fraudReview = await fraudService.rejectFraudReview(
+      request.params.id,
+      request.user.id,
+      request.body.note
+    );
+    if (!fraudReview) {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'Only pending fraud reviews can be rejected'
+      );
+    }
+
+    return response.status(200).json(fraudReview);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = {
+  getFraudReviews,
+  getFraudReview,
+  releaseFraudReview,
+  rejectFraudReview,
+};
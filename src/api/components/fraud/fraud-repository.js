@@ -0,0 +1,63 @@
+const { FraudReview } = require('../../../models');
+
+/**
+ * Create new fraud review of a held money movement
+ * @param {object} fraudReview - Fraud review
+ * @returns {Promise}
+ */
+async function createFraudReview(fraudReview) {
+  return FraudReview.create(fraudReview);
+}
+
+/**
+ * Get fraud reviews, oldest first so the queue is worked in order
+ * @param {string} status - Status filter, optional
+ * @returns {Promise}
+ */
+async function getFraudReviews(status) {
+  return FraudReview.find(status ? { status } : {}).sort({ created_at: 1 });
+}
+
+/**
+ * Get fraud review detail
+ * @param {string} id - Fraud review ID
+ * @returns {Promise}
+ */
+async function getFraudReview(id) {
+  return FraudReview.findById(id);
+}
+
+/**
+ * Get the unresolved fraud review of a movement reference
+ * @param {string} reference - Movement reference
+ * @returns {Promise}
+ */
+async function getOpenFraudReviewByReference(reference) {
+  return FraudReview.findOne({
+    reference,
+    status: { $in: ['pending', 'releasing'] },
+  });
+}
+
+/**
+ * Change the status of a fraud review if it is in one of the statuses
+ * @param {string} id - Fraud review ID
+ * @param {Array} fromStatuses - Statuses the change is allowed from
+ * @param {object} update - Fields to set, including the new status
+ * @returns {Promise} The updated review, or null if nothing matched
+ */
+async function updateStatus(id, fromStatuses, update) {
+  return FraudReview.findOneAndUpdate(
+    { _id: id, status: { $in: fromStatuses } },
+    { $set: update },
+    { new: true }
+  );
+}
+
+module.exports = {
+  createFraudReview,
+  getFraudReviews,
+  getFraudReview,
+  getOpenFraudReviewByReference,
+  updateStatus,
+};
@@ -0,0 +1,49 @@
+const express = require('express');
+
+const authenticationMiddleware = require('../../middlewares/authentication-middleware');
+const { requireRole } = require('../../middlewares/permission-middleware');
+const celebrate = require('../../../core/celebrate-wrappers');
+const fraudControllers = require('./fraud-controller');
+const fraudValidator = require('./fraud-validator');
+
+const route = express.Router();
+
+module.exports = (app) => {
+  app.use('/fraud/reviews', route);
+
+  // Get the queue of transactions held by fraud screening
+  route.get(
+    '/',
+    authenticationMiddleware,
+    requireRole('admin'),
+    celebrate(fraudValidator.getFraudReviews),
+    fraudControllers.getFraudReviews
+  );
+
+  // Get fraud review detail
+  route.get(
+    '/:id',
+    authenticationMiddleware,
+    requireRole('admin'),
+    celebrate(fraudValidator.getFraudReview),
+    fraudControllers.getFraudReview
+  );
+
+  // Release a held transaction
+  route.post(
+    '/:id/release',
+    authenticationMiddleware,
+    requireRole('admin'),
+    celebrate(fraudValidator.releaseFraudReview),
+    fraudControllers.releaseFraudReview
+  );
+
+  // Reject a held transaction
+  route.post(
+    '/:id/reject',
+    authenticationMiddleware,
+    requireRole('admin'),
+    celebrate(fraudValidator.rejectFraudReview),
+    fraudControllers.rejectFraudReview
+  );
+};
@@ -0,0 +1,376 @@
+const fraudRepository = require('./fraud-repository');
+const transactionsRepository = require('../transactions/transactions-repository');
+const config = require('../../../core/config');
+const { errorResponder, errorTypes } = require('../../../core/errors');
+const { formatAmount, toMinorUnits } = require('../../../utils/money');
+
+// Ledger entry type of each screened operation
+const operationTypes = {
+  top_up: 'top_up',
+  transfer: 'transfer_out',
+  withdrawal: 'withdrawal',
+};
+
+// Screening rules. Each one gets the money movement and its settings from
+// `config.fraud`, and returns the reason it triggers or null.
+const rules = {
+  async velocity(movement, settings) {
+    const since = new Date(Date.now() - settings.window * 1000);
+    const count = await transactionsRepository.countTransactions(
+      movement.accountNumber,
+      since
+    );
+
+    if (count < settings.maxTransactions) {
+      return null;
+    }
+
+    return `${count} transactions in the last ${Math.round(
+      settings.window / 60
+    )} minutes`;
+  },
+
+  async unusualAmount(movement, settings) {
+    const history = await transactionsRepository.getLatestTransactions(
+      movement.accountNumber,
+      operationTypes[movement.operation],
+      settings.history
+    );
+
+    if (history.length < settings.minHistory) {
+      return null;
+    }
+
+    const average =
+      history.reduce((total, entry) => total + entry.amount, 0) /
+      history.length;
+    if (movement.amount <= average * settings.multiplier) {
+      return null;
+    }
+
+    return `Amount is over ${settings.multiplier} times the average of ${formatAmount(
+      Math.round(average)
+    )}`;
+  },
+
+  async newBeneficiary(movement, settings) {
+    if (
+      movement.operation !== 'transfer' ||
+      movement.amount < toMinorUnits(settings.amount)
+    ) {
+      return null;
+    }
+
+    const known = await transactionsRepository.hasTransferredTo(
+      movement.accountNumber,
+      movement.counterparty
+    );
+    if (known) {
+      return null;
+    }
+
+    return `First transfer to ${movement.counterparty} is ${formatAmount(
+      movement.amount
+    )} or more`;
+  },
+};
+
+/**
+ * Format a fraud review for the response
+ * @param {object} fraudReview - Fraud review
+ * @returns {object}
+ */
+function formatFraudReview(fraudReview) {
+  return {
+    id: fraudReview.id,
+    user_id: fraudReview.user_id,
+    operation: fraudReview.operation,
+    account_number: fraudReview.account_number,
+    counterparty: fraudReview.counterparty,
+    amount: formatAmount(fraudReview.amount),
+    description: fraudReview.description,
+    reference: fraudReview.reference,
+    rules: fraudReview.rules.map((result) => ({
+      rule: result.rule,
+      decision: result.decision,
+      reason: result.reason,
+    })),
+    status: fraudReview.status,
+    reviewed_by: fraudReview.reviewed_by,
+    review_note: fraudReview.review_note,
+    reviewed_at: fraudReview.reviewed_at,
+    failure: fraudReview.failure,
+    created_at: fraudReview.created_at,
+  };
+}
+
+/**
+ * Format the result of a money movement held for review
+ * @param {object} fraudReview - Fraud review
+ * @returns {object}
+ */
+function formatHeld(fraudReview) {
+  return {
+    status: 'held',
+    fraud_review_id: fraudReview.id,
+    message: 'Transaction is held for review',
+  };
+}
+
+/**
+ * Check whether the result of a money movement is held for review
+ * @param {object} result - Result of the money movement
+ * @returns {boolean}
+ */
+function isHeld(result) {
+  return Boolean(result) && result.status === 'held';
+}
+
+/**
+ * Run every enabled rule on a money movement
+ * @param {object} movement - Money movement
+ * @returns {Array} Triggered rules with their decision and reason
+ */
+async function evaluateRules(movement) {
+  const names = Object.keys(rules).filter(
+    (name) => config.fraud[name].action !== 'off'
+  );
+  const reasons = await Promise.all(
+    names.map((name) => rules[name](movement, config.fraud[name]))
+  );
+
+  return names
+    .map((name, index) => ({
+      rule: name,
+      decision: config.fraud[name].action,
+      reason: reasons[index],
+    }))
+    .filter((result) => result.reason);
+}
+
+/**
+ * Screen a money movement before it is committed. Blocked movements are
+ * refused, held ones are queued for admin review. A movement retried with
+ * the same reference joins its open review instead of queueing another one.
+ * @param {object} movement - Money movement
+ * @param {string} movement.operation - 'top_up', 'withdrawal' or 'transfer'
+ * @param {string} movement.userId - ID of the user moving the money
+ * @param {string} movement.accountNumber - Account the operation runs on
+ * @param {string} movement.counterparty - Recipient of a transfer
+ * @param {number} movement.amount - Amount in minor units
+ * @param {string} movement.description - Description
+ * @param {string} movement.reference - Reference, optional
+ * @returns {object} The held result if the movement is held for review, or
+ * null if it can go ahead. Throws if the movement is blocked.
+ */
+async function screen(movement) {
+  if (movement.reference) {
+    const open = await fraudRepository.getOpenFraudReviewByReference(
+      movement.reference
+    );
+    if (open) {
+      return formatHeld(open);
+    }
+  }
+
+  const results = await evaluateRules(movement);
+
+  const blocked = results.filter((result) => result.decision === 'block');
+  if (blocked.length > 0) {
+    throw errorResponder(
+      errorTypes.ALERT,
+      `Transaction blocked: ${blocked.map((result) => result.reason).join('; ')}`
+    );
+  }
+
+  if (results.length > 0) {
+    const fraudReview = await fraudRepository.createFraudReview({
+      user_id: String(movement.userId),
+      operation: movement.operation,
+      account_number: movement.accountNumber,
+      counterparty: movement.counterparty,
+      amount: movement.amount,
+      description: movement.description,
+      reference: movement.reference,
+      rules: results,
+    });
+
+    return formatHeld(fraudReview);
+  }
+
+  return null;
+}
+
+/**
+ * Get list of fraud reviews
+ * @param {string} status - Status filter, optional
+ * @returns {Array}
+ */
+async function getFraudReviews(status) {
+  const fraudReviews = await fraudRepository.getFraudReviews(status);
+  return fraudReviews.map(formatFraudReview);
+}
+
+/**
+ * Get fraud review detail
+ * @param {string} id - Fraud review ID
+ * @returns {object}
+ */
+async function getFraudReview(id) {
+  const fraudReview = await fraudRepository.getFraudReview(id);
+
+  if (!fraudReview) {
+    return null;
+  }
+
+  return formatFraudReview(fraudReview);
+}
+
+/**
+ * Claim a pending fraud review for release, so it cannot be released twice
+ * @param {string} id - Fraud review ID
+ * @returns {object} The raw review, or null if it is not pending
+ */
+async function claimFraudReview(id) {
+  return fraudRepository.updateStatus(id, ['pending'], {
+    status: 'releasing',
+  });
+}
+
+/**
+ * Record the outcome of releasing a fraud review. A failed movement puts the
+ * review back in the queue with the failure.
+ * @param {string} id - Fraud review ID
+ * @param {string} userId - Reviewing user ID
+ * @param {string} note - Review note
+ * @param {string} failure - Error message if the movement failed
+ * @returns {object}
+ */
+async function completeRelease(id, userId, note, failure = null) {
+  const fraudReview = await fraudRepository.updateStatus(id, ['releasing'], {
+    status: failure ? 'pending' : 'released',
+    reviewed_by: String(userId),
+    review_note: note,
+    reviewed_at: new Date(),
+    failure,
+  });
+
+  return formatFraudReview(fraudReview);
+}
+
+/**
+ * Run a held money movement without screening it again
+ * @param {object} fraudReview - Fraud review
+ */
+async function runHeldMovement(fraudReview) {
+  // The money services screen through this module, so they are loaded on use
+  // to keep the circular requires resolvable
+  /* eslint-disable global-require */
+  const paymentRequestsService = require('../payment-requests/payment-requests-service');
+  const transfersService = require('../transfers/transfers-service');
+  const usersService = require('../users/users-service');
+  /* eslint-enable global-require */
+
+  let result;
+
+  if (fraudReview.operation === 'top_up') {
+    result = await usersService.updateBalance(
+      fraudReview.user_id,
+      fraudReview.amount,
+      fraudReview.account_number,
+      false
+    );
+  } else if (fraudReview.operation === 'withdrawal') {
+    result = await usersService.withdraw(
+      fraudReview.user_id,
+      fraudReview.amount,
+      fraudReview.account_number,
+      false
+    );
+  } else {
+    result = await transfersService.transfer(
+      fraudReview.account_number,
+      fraudReview.counterparty,
+      fraudReview.amount,
+      fraudReview.description,
+      fraudReview.reference,
+      false
+    );
+
+    // The transfer may pay a payment request that was waiting for the review
+    if (result) {
+      await paymentRequestsService.settleTransfer(fraudReview.reference);
+    }
+  }
+
+  if (!result) {
+    throw errorResponder(
+      errorTypes.UNPROCESSABLE_ENTITY,
+      'Account is not valid'
+    );
+  }
+}
+
+/**
+ * Release a pending fraud review, running the held movement. A failed
+ * movement puts the review back in the queue with the failure.
+ * @param {string} id - Fraud review ID
+ * @param {string} userId - Reviewing user ID
+ * @param {string} note - Review note
+ * @returns {object} The review, or null if it is not pending. Throws if the
+ * held movement fails.
+ */
+async function releaseFraudReview(id, userId, note) {
+  const fraudReview = await claimFraudReview(id);
+  if (!fraudReview) {
+    return null;
+  }
+
+  let failure = null;
+  try {
+    await runHeldMovement(fraudReview);
+  } catch (error) {
+    failure = error.message;
+  }
+
+  const released = await completeRelease(fraudReview.id, userId, note, failure);
+  if (failure) {
+    throw errorResponder(
+      errorTypes.UNPROCESSABLE_ENTITY,
+      `Held transaction failed: ${failure}`
+    );
+  }
+
+  return released;
+}
+
+/**
+ * Reject a pending fraud review, dropping the held movement
+ * @param {string} id - Fraud review ID
+ * @param {string} userId - Reviewing user ID
+ * @param {string} note - Review note
+ * @returns {object} The review, or null if it is not pending
+ */
+async function rejectFraudReview(id, userId, note) {
+  const fraudReview = await fraudRepository.updateStatus(id, ['pending'], {
+    status: 'rejected',
+    reviewed_by: String(userId),
+    review_note: note,
+    reviewed_at: new Date(),
+  });
+
+  if (!fraudReview) {
+    return null;
+  }
+
+  return formatFraudReview(fraudReview);
+}
+
+module.exports = {
+  screen,
+  isHeld,
+  getFraudReviews,
+  getFraudReview,
+  releaseFraudReview,
+  rejectFraudReview,
+};
@@ -0,0 +1,35 @@
+const joi = require('joi');
+const { objectId } = require('../../../utils/object-id');
+
+const fraudReviewParams = {
+  id: objectId().required().label('Fraud Review ID'),
+};
+
+module.exports = {
+  getFraudReviews: {
+    query: {
+      status: joi
+        .string()
+        .valid('pending', 'releasing', 'released', 'rejected')
+        .label('Status'),
+    },
+  },
+
+  getFraudReview: {
+    params: fraudReviewParams,
+  },
+
+  releaseFraudReview: {
+    params: fraudReviewParams,
+    body: {
+      note: joi.string().max(200).label('Note'),
+    },
+  },
+
+  rejectFraudReview: {
+    params: fraudReviewParams,
+    body: {
+      note: joi.string().min(3).max(200).required().label('Note'),
+    },
+  },
+};
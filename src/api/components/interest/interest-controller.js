@@ -0,0 +1,143 @@
+const interestService = require('./interest-service');
+const accountsService = require('../accounts/accounts-service');
+const { errorResponder, errorTypes } = require('../../../core/errors');
+const { toMinorUnits } = require('../../../utils/money');
+const { toRateUnits } = require('../../../utils/interest');
+
+/**
+ * Convert the rate and amount of an interest product request body
+ * @param {object} body - Request body
+ * @returns {object} Product fields
+ */
+function toProductFields(body) {
+  const fields = { ...body };
+
+  if (body.annual_rate !== undefined) {
+    fields.annual_rate = toRateUnits(body.annual_rate);
+  }
+
+  if (body.minimum_balance !== undefined) {
+    fields.minimum_balance = toMinorUnits(body.minimum_balance);
+    if (fields.minimum_balance === null) {
+      throw errorResponder(
+        errorTypes.INVALID_AMOUNT,
+        'Invalid minimum balance'
+      );
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Handle get list of interest products request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function getProducts(request, response, next) {
+  try {
+    const products = await interestService.getProducts();
+
+    return response.status(200).json(products);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle get interest product detail request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function getProduct(request, response, next) {
+  try {
+    const product = await interestService.getProduct(request.params.id);
+    if (!product) {
+      throw errorResponder(errorTypes.NOT_FOUND, 'Unknown interest product');
+    }
+
+    return response.status(200).json(product);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle create interest product request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function createProduct(request, response, next) {
+  try {
+    const product = await interestService.createProduct(
+      toProductFields(request.body),
+      request.user.id
+    );
+
+    return response.status(200).json(product);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle update interest product request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function updateProduct(request, response, next) {
+  try {
+    const product = await interestService.updateProduct(
+      request.params.id,
+      toProductFields(request.body)
+    );
+    if (!product) {
+      throw errorResponder(errorTypes.NOT_FOUND, 'Unknown interest product');
+    }
+
+    return response.status(200).json(product);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle get account interest request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function getAccountInterest(request, response, next) {
+  try {
+    const account = await accountsService.getOwnedAccount(
+      request.params.id,
+      request.params.account_number
+    );
+    if (!account) {
+      throw errorResponder(errorTypes.NOT_FOUND, 'Unknown account');
+    }
+
+    const interest = await interestService.getAccountInterest(account);
+
+    return response.status(200).json(interest);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = {
+  getProducts,
+  getProduct,
+  createProduct,
+  updateProduct,
+  getAccountInterest,
+};
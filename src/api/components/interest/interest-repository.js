@@ -0,0 +1,195 @@
+const {
+  InterestProduct,
+  InterestAccrual,
+  InterestPosting,
+} = require('../../../models');
+
+/**
+ * Get list of interest products
+ * @returns {Promise}
+ */
+async function getProducts() {
+  return InterestProduct.find({}).sort({ created_at: 1 });
+}
+
+/**
+ * Get interest product detail
+ * @param {string} id - Product ID
+ * @returns {Promise}
+ */
+async function getProduct(id) {
+  return InterestProduct.findById(id);
+}
+
+/**
+ * Get the active interest product of an account type
+ * @param {string} accountType - Account type
+ * @returns {Promise}
+ */
+async function getActiveProduct(accountType) {
+  return InterestProduct.findOne({ account_type: accountType, active: true });
+}
+
+/**
+ * Get active interest products not yet accrued up to a day
+ * @param {string} date - Day (YYYY-MM-DD)
+ * @returns {Promise}
+ */
+async function getProductsToAccrue(date) {
+  return InterestProduct.find({
+    active: true,
+    last_accrued_for: { $lt: date },
+  });
+}
+
+/**
+ * Create new interest product
+ * @param {object} product - Product
+ * @returns {Promise}
+ */
+async function createProduct(product) {
+  return InterestProduct.create(product);
+}
+
+/**
+ * Update an interest product
+ * @param {string} id - Product ID
+ * @param {object} update - Fields to set
+ * @returns {Promise} The updated product
+ */
+async function updateProduct(id, update) {
+  return InterestProduct.findOneAndUpdate(
+    { _id: id },
+    { $set: { ...update, updated_at: new Date() } },
+    { new: true }
+  );
+}
+
+/**
+ * Record the last day interest of a product was accrued for
+ * @param {string} id - Product ID
+ * @param {string} date - Day (YYYY-MM-DD)
+ * @returns {Promise}
+ */
+async function setLastAccruedFor(id, date) {
+  return InterestProduct.updateOne(
+    { _id: id },
+    { $set: { last_accrued_for: date } }
+  );
+}
+
+/**
+ * Record daily accruals, leaving days already accrued for an account as they
+ * are
+ * @param {Array} accruals - Accruals
+ * @returns {Promise}
+ */
+async function upsertAccruals(accruals) {
+  if (accruals.length === 0) {
+    return null;
+  }
+
+  return InterestAccrual.bulkWrite(
+    accruals.map((accrual) => ({
+      updateOne: {
+        filter: { account_number: accrual.account_number, date: accrual.date },
+        update: { $setOnInsert: accrual },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+}
+
+/**
+ * Get accruals of an account not posted yet
+ * @param {string} accountNumber - Account number
+ * @param {object} session - Mongoose session
+ * @returns {Promise}
+ */
+async function getUnpostedAccruals(accountNumber, session = null) {
+  return InterestAccrual.find({
+    account_number: accountNumber,
+    posting_reference: { $exists: false },
+  })
+    .sort({ date: 1 })
+    .session(session);
+}
+
+/**
+ * Get accounts with accruals of a product not posted yet
+ * @param {string} productId - Product ID
+ * @returns {Promise} Account numbers
+ */
+async function getAccountsWithUnpostedAccruals(productId) {
+  return InterestAccrual.distinct('account_number', {
+    product_id: productId,
+    posting_reference: { $exists: false },
+  });
+}
+
+/**
+ * Mark accruals as paid out by a posting
+ * @param {Array} ids - Accrual IDs
+ * @param {string} reference - Posting reference
+ * @param {object} session - Mongoose session
+ * @returns {Promise}
+ */
+async function markAccrualsPosted(ids, reference, session) {
+  return InterestAccrual.updateMany(
+    { _id: { $in: ids } },
+    { $set: { posting_reference: reference } },
+    { session }
+  );
+}
+
+/**
+ * Get the latest interest posting of an account
+ * @param {string} accountNumber - Account number
+ * @param {object} session - Mongoose session
+ * @returns {Promise}
+ */
+async function getLatestPosting(accountNumber, session = null) {
+  return InterestPosting.findOne({ account_number: accountNumber })
+    .sort({ posted_at: -1 })
+    .session(session);
+}
+
+/**
+ * Get interest postings of an account, latest first
+ * @param {string} accountNumber - Account number
+ * @returns {Promise}
+ */
+async function getPostings(accountNumber) {
+  return InterestPosting.find({ account_number: accountNumber }).sort({
+    posted_at: -1,
+  });
+}
+
+/**
+ * Create new interest posting
+ * @param {object} posting - Posting
+ * @param {object} session - Mongoose session
+ * @returns {Promise}
+ */
+async function createPosting(posting, session) {
+  const [created] = await InterestPosting.create([posting], { session });
+  return created;
+}
+
+module.exports = {
+  getProducts,
+  getProduct,
+  getActiveProduct,
+  getProductsToAccrue,
+  createProduct,
+  updateProduct,
+  setLastAccruedFor,
+  upsertAccruals,
+  getUnpostedAccruals,
+  getAccountsWithUnpostedAccruals,
+  markAccrualsPosted,
+  getLatestPosting,
+  getPostings,
+  createPosting,
+};
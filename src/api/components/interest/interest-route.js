@@ -0,0 +1,61 @@
+const express = require('express');
+
+const authenticationMiddleware = require('../../middlewares/authentication-middleware');
+const {
+  requireRole,
+  requireOwner,
+} = require('../../middlewares/permission-middleware');
+const celebrate = require('../../../core/celebrate-wrappers');
+const interestControllers = require('./interest-controller');
+const interestValidator = require('./interest-validator');
+
+const route = express.Router();
+const accountRoute = express.Router();
+
+module.exports = (app) => {
+  app.use('/interest', route);
+  app.use('/users', accountRoute);
+
+  // Get list of interest products
+  route.get(
+    '/products',
+    authenticationMiddleware,
+    interestControllers.getProducts
+  );
+
+  // Create an interest product for an account type
+  route.post(
+    '/products',
+    authenticationMiddleware,
+    requireRole('admin'),
+    celebrate(interestValidator.createProduct),
+    interestControllers.createProduct
+  );
+
+  // Get interest product detail
+  route.get(
+    '/products/:id',
+    authenticationMiddleware,
+    celebrate(interestValidator.getProduct),
+    interestControllers.getProduct
+  );
+
+  // Change the rate, posting day or minimum balance of an interest product,
+  // or (de)activate it
+  route.put(
+    '/products/:id',
+    authenticationMiddleware,
+    requireRole('admin'),
+    celebrate(interestValidator.updateProduct),
+    interestControllers.updateProduct
+  );
+
+  // Get interest accrued to date and posted on an account
+  accountRoute.get(
+    '/:id/accounts/:account_number/interest',
+    authenticationMiddleware,
+    requireOwner('teller', 'admin'),
+    celebrate(interestValidator.getAccountInterest),
+    interestControllers.getAccountInterest
+  );
+};
@@ -0,0 +1,397 @@
+const interestRepository = require('./interest-repository');
+const accountsRepository = require('../accounts/accounts-repository');
+const transactionsRepository = require('../transactions/transactions-repository');
+const webhooksService = require('../webhooks/webhooks-service');
+const logger = require('../../../core/logger')('app');
+const { errorResponder, errorTypes } = require('../../../core/errors');
+const { formatAmount } = require('../../../utils/money');
+const {
+  formatRate,
+  dailyAccrual,
+  splitAccrual,
+  formatAccrual,
+} = require('../../../utils/interest');
+
+const DUPLICATE_KEY_ERROR = 11000;
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a day as YYYY-MM-DD in UTC
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+function toDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the day after a day
+ * @param {string} day - Day (YYYY-MM-DD)
+ * @returns {string}
+ */
+function nextDay(day) {
+  return toDay(new Date(Date.parse(`${day}T00:00:00Z`) + ONE_DAY));
+}
+
+/**
+ * Format an interest product for the response
+ * @param {object} product - Product
+ * @returns {object}
+ */
+function formatProduct(product) {
+  return {
+    id: product.id,
+    name: product.name,
+    account_type: product.account_type,
+    annual_rate: formatRate(product.annual_rate),
+    posting_day: product.posting_day,
+    minimum_balance: formatAmount(product.minimum_balance),
+    active: product.active,
+    created_by: product.created_by,
+    last_accrued_for: product.last_accrued_for,
+    created_at: product.created_at,
+    updated_at: product.updated_at,
+  };
+}
+
+/**
+ * Format an interest posting for the response
+ * @param {object} posting - Posting
+ * @returns {object}
+ */
+function formatPosting(posting) {
+  return {
+    period: posting.period,
+    amount: formatAmount(posting.amount),
+    accrued: formatAccrual(posting.accrued_units),
+    carried_in: formatAccrual(posting.carried_in_units),
+    carried_out: formatAccrual(posting.carried_out_units),
+    days: posting.days,
+    reference: posting.reference,
+    transaction_id: posting.transaction_id,
+    posted_at: posting.posted_at,
+  };
+}
+
+/**
+ * Surface the one-active-product-per-account-type rule as a conflict
+ * @param {Error} error - Error thrown while saving a product
+ */
+function rethrowProductError(error) {
+  if (error.code === DUPLICATE_KEY_ERROR) {
+    throw errorResponder(
+      errorTypes.DB_DUPLICATE_CONFLICT,
+      'This account type already has an active interest product'
+    );
+  }
+  throw error;
+}
+
+/**
+ * Get list of interest products
+ * @returns {Array}
+ */
+async function getProducts() {
+  const products = await interestRepository.getProducts();
+  return products.map(formatProduct);
+}
+
+/**
+ * Get interest product detail
+ * @param {string} id - Product ID
+ * @returns {object}
+ */
+async function getProduct(id) {
+  const product = await interestRepository.getProduct(id);
+
+  if (!product) {
+    return null;
+  }
+
+  return formatProduct(product);
+}
+
+/**
+ * Create new interest product. It starts earning interest from today.
+ * @param {object} fields - Product fields, rate and amount already converted
+ * @param {string} userId - Creating user ID
+ * @returns {object}
+ */
+async function createProduct(fields, userId) {
+  const yesterday = new Date(Date.now() - ONE_DAY);
+
+  try {
+    const product = await interestRepository.createProduct({
+      ...fields,
+      created_by: String(userId),
+      last_accrued_for: toDay(yesterday),
+    });
+    return formatProduct(product);
+  } catch (error) {
+    return rethrowProductError(error);
+  }
+}
+
+/**
+ * Update an interest product. A new rate applies from the next accrual on.
+ * @param {string} id - Product ID
+ * @param {object} fields - Fields to change, rate and amount already converted
+ * @returns {object} The product, or null if it is not found
+ */
+async function updateProduct(id, fields) {
+  const current = await interestRepository.getProduct(id);
+
+  if (!current) {
+    return null;
+  }
+
+  // A reactivated product earns interest again from today, not for the days
+  // it was inactive
+  const update = { ...fields };
+  if (fields.active && !current.active) {
+    update.last_accrued_for = toDay(new Date(Date.now() - ONE_DAY));
+  }
+
+  try {
+    const product = await interestRepository.updateProduct(id, update);
+    if (!product) {
+      return null;
+    }
+
+    return formatProduct(product);
+  } catch (error) {
+    return rethrowProductError(error);
+  }
+}
+
+/**
+ * Accrue one day of interest on every eligible account of a product, using
+ * the balance the account held at the end of the day according to the ledger
+ * @param {object} product - Product
+ * @param {string} date - Day (YYYY-MM-DD)
+ */
+async function accrueInterest(product, date) {
+  const accounts = await accountsRepository.getOpenAccountsOfType(
+    product.account_type
+  );
+  if (accounts.length === 0) {
+    return;
+  }
+
+  const balances = await transactionsRepository.getBalancesAt(
+    accounts.map((account) => account.account_number),
+    new Date(`${nextDay(date)}T00:00:00Z`)
+  );
+
+  await interestRepository.upsertAccruals(
+    balances
+      .filter(
+        ({ balance }) => balance > 0 && balance >= product.minimum_balance
+      )
+      .map(({ _id: accountNumber, balance }) => ({
+        account_number: accountNumber,
+        product_id: product.id,
+        date,
+        balance,
+        annual_rate: product.annual_rate,
+        units: dailyAccrual(balance, product.annual_rate),
+      }))
+  );
+}
+
+/**
+ * Post the interest accrued on an account as a credit. Only whole minor units
+ * are credited, what is left is carried over to the next posting, so no
+ * fraction is ever lost or paid twice.
+ * @param {string} accountNumber - Account number
+ * @param {string} period - Month (YYYY-MM) of the posting
+ */
+async function postAccountInterest(accountNumber, period) {
+  const reference = `interest-${accountNumber}-${period}`;
+  const session = await accountsRepository.startSession();
+
+  try {
+    let entry = null;
+
+    await session.withTransaction(async () => {
+      entry = null;
+      const accruals = await interestRepository.getUnpostedAccruals(
+        accountNumber,
+        session
+      );
+      if (accruals.length === 0) {
+        return;
+      }
+
+      const latest = await interestRepository.getLatestPosting(
+        accountNumber,
+        session
+      );
+      const carriedIn = latest ? latest.carried_out_units : 0;
+      const accrued = accruals.reduce((sum, accrual) => sum + accrual.units, 0);
+      const { amount, remainder } = splitAccrual(accrued + carriedIn);
+
+      let transactionId;
+      if (amount > 0) {
+        // Interest does not count as activity, it keeps dormant accounts dormant
+        const account = await accountsRepository.creditBalance(
+          accountNumber,
+          amount,
+          session,
+          false
+        );
+        if (!account) {
+          throw errorResponder(
+            errorTypes.UNPROCESSABLE_ENTITY,
+            `Account ${accountNumber} cannot receive interest`
+          );
+        }
+
+        entry = {
+          account_number: accountNumber,
+          type: 'interest',
+          direction: 'credit',
+          amount,
+          currency: account.currency,
+          balance_after: account.balance,
+          reference,
+          description: `Interest for ${period}`,
+        };
+        const [created] = await transactionsRepository.createTransaction(
+          entry,
+          session
+        );
+        transactionId = created.id;
+      }
+
+      await interestRepository.createPosting(
+        {
+          account_number: accountNumber,
+          product_id: accruals[accruals.length - 1].product_id,
+          period,
+          accrued_units: accrued,
+          carried_in_units: carriedIn,
+          carried_out_units: remainder,
+          amount,
+          days: accruals.length,
+          reference,
+          transaction_id: transactionId,
+        },
+        session
+      );
+      await interestRepository.markAccrualsPosted(
+        accruals.map((accrual) => accrual.id),
+        reference,
+        session
+      );
+    });
+
+    if (entry) {
+      await webhooksService.publishBalanceChange(entry);
+    }
+  } catch (error) {
+    // Already posted this month
+    if (error.code !== DUPLICATE_KEY_ERROR) {
+      throw error;
+    }
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Post the interest accrued on every account of a product. An account that
+ * cannot receive money keeps its accruals until the next posting day.
+ * @param {object} product - Product
+ * @param {string} period - Month (YYYY-MM) of the posting
+ */
+async function postInterest(product, period) {
+  const accountNumbers =
+    await interestRepository.getAccountsWithUnpostedAccruals(product.id);
+
+  // Accounts are posted one by one to keep the load on the database low
+  // eslint-disable-next-line no-restricted-syntax
+  for (const accountNumber of accountNumbers) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await postAccountInterest(accountNumber, period);
+    } catch (error) {
+      logger.warn(error, `Failed to post interest to ${accountNumber}`);
+    }
+  }
+}
+
+/**
+ * Accrue the interest of every active product for each day since it was last
+ * accrued up to yesterday, and post it on the product's posting day. Days
+ * missed while the job was not running are caught up oldest first, each on
+ * its own end-of-day balances and posted as they would have been on time. A
+ * product is done once per day, so the job can run on every scheduler tick.
+ */
+async function runDailyInterest() {
+  const yesterday = toDay(new Date(Date.now() - ONE_DAY));
+  const products = await interestRepository.getProductsToAccrue(yesterday);
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const product of products) {
+    /* eslint-disable no-await-in-loop */
+    for (
+      let day = nextDay(product.last_accrued_for);
+      day <= yesterday;
+      day = nextDay(day)
+    ) {
+      await accrueInterest(product, day);
+
+      // Posted on the posting day, when the job runs after the day before
+      const runDay = nextDay(day);
+      if (Number(runDay.slice(8)) === product.posting_day) {
+        await postInterest(product, runDay.slice(0, 7));
+      }
+
+      // Saved day by day, so a failure resumes where it stopped
+      await interestRepository.setLastAccruedFor(product.id, day);
+    }
+    /* eslint-enable no-await-in-loop */
+  }
+}
+
+/**
+ * Get the interest of an account: the product it earns under, what has been
+ * accrued since the last posting and every posting so far
+ * @param {object} account - Account
+ * @returns {object}
+ */
+async function getAccountInterest(account) {
+  const product = await interestRepository.getActiveProduct(account.type);
+  const accruals = await interestRepository.getUnpostedAccruals(
+    account.account_number
+  );
+  const postings = await interestRepository.getPostings(account.account_number);
+
+  const carried = postings.length > 0 ? postings[0].carried_out_units : 0;
+  const accrued = accruals.reduce((sum, accrual) => sum + accrual.units, 0);
+
+  return {
+    account_number: account.account_number,
+    product: product && {
+      name: product.name,
+      annual_rate: formatRate(product.annual_rate),
+      posting_day: product.posting_day,
+      minimum_balance: formatAmount(product.minimum_balance),
+    },
+    accrued_to_date: formatAccrual(accrued + carried),
+    accrued_since: accruals.length > 0 ? accruals[0].date : null,
+    accrued_through:
+      accruals.length > 0 ? accruals[accruals.length - 1].date : null,
+    postings: postings.map(formatPosting),
+  };
+}
+
+module.exports = {
+  getProducts,
+  getProduct,
+  createProduct,
+  updateProduct,
+  runDailyInterest,
+  getAccountInterest,
+};
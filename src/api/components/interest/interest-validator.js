@@ -0,0 +1,57 @@
+const joi = require('joi');
+const { accountNumberSchema } = require('../../../utils/account-number');
+const { AMOUNT_PATTERN } = require('../../../utils/money');
+const { RATE_PATTERN } = require('../../../utils/interest');
+const { objectId } = require('../../../utils/object-id');
+
+const annualRate = joi.string().pattern(RATE_PATTERN).label('Annual rate');
+// Days that exist in every month
+const postingDay = joi.number().integer().min(1).max(28).label('Posting day');
+const minimumBalance = joi
+  .string()
+  .pattern(AMOUNT_PATTERN)
+  .label('Minimum balance');
+
+module.exports = {
+  getProduct: {
+    params: {
+      id: objectId().required().label('Product ID'),
+    },
+  },
+
+  createProduct: {
+    body: {
+      name: joi.string().min(1).max(100).required().label('Name'),
+      account_type: joi
+        .string()
+        .valid('savings', 'checking', 'merchant')
+        .required()
+        .label('Account Type'),
+      annual_rate: annualRate.required(),
+      posting_day: postingDay.required(),
+      minimum_balance: minimumBalance,
+    },
+  },
+
+  updateProduct: {
+    params: {
+      id: objectId().required().label('Product ID'),
+    },
+    body: joi
+      .object({
+        name: joi.string().min(1).max(100).label('Name'),
+        annual_rate: annualRate,
+        posting_day: postingDay,
+        minimum_balance: minimumBalance,
+        active: joi.boolean().label('Active'),
+      })
+      .min(1),
+  },
+
+  getAccountInterest: {
+    params: {
+      id: joi.string().required().label('User ID'),
+      account_number: accountNumberSchema().required().label('Account Number'),
+    },
+  },
+};
@@ -0,0 +1,101 @@
+const merchantsService = require('./merchants-service');
+const accountsService = require('../accounts/accounts-service');
+const fraudService = require('../fraud/fraud-service');
+const { errorResponder, errorTypes } = require('../../../core/errors');
+const { toMinorUnits } = require('../../../utils/money');
+
+/**
+ * Handle generate merchant QR payload request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function generateQrPayload(request, response, next) {
+  try {
+    const amount =
+      request.body.amount === undefined
+        ? null
+        : toMinorUnits(request.body.amount);
+
+    // Check if amount is valid
+    if (amount !== null && amount <= 0) {
+      throw errorResponder(errorTypes.INVALID_AMOUNT, 'Invalid amount');
+    }
+
+    // Check if the account belongs to the logged in user
+    const account = await accountsService.getOwnedAccount(
+      request.user.id,
+      request.params.account_number
+    );
+    if (!account) {
+      throw errorResponder(errorTypes.NOT_FOUND, 'Unknown account');
+    }
+
+    if (account.type !== 'merchant') {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'Only merchant accounts can receive QR payments'
+      );
+    }
+
+    accountsService.assertCanMoveMoney(account, 'credit');
+
+    const qrPayload = await merchantsService.generateQrPayload(
+      account,
+      request.body.method,
+      amount
+    );
+
+    return response.status(200).json(qrPayload);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle pay merchant with a scanned QR payload request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function payQrPayload(request, response, next) {
+  try {
+    const fromAccount = request.body.from_account;
+    const amount =
+      request.body.amount === undefined
+        ? null
+        : toMinorUnits(request.body.amount);
+
+    // Check if source account belongs to the logged in user
+    const owned = await accountsService.getOwnedAccount(
+      request.user.id,
+      fromAccount
+    );
+    if (!owned) {
+      throw errorResponder(
+        errorTypes.INVALID_CREDENTIALS,
+        'Source account is not valid'
+      );
+    }
+
+    const payment = await merchantsService.payQrPayload(
+      fromAccount,
+      request.body.payload,
+      amount
+    );
+    if (fraudService.isHeld(payment)) {
+      return response.status(202).json(payment);
+    }
+
+    return response.status(200).json(payment);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = {
+  generateQrPayload,
+  payQrPayload,
+};
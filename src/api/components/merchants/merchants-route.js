@@ -0,0 +1,32 @@
+const express = require('express');
+
+const authenticationMiddleware = require('../../middlewares/authentication-middleware');
+const idempotencyMiddleware = require('../../middlewares/idempotency-middleware');
+const transactionPinMiddleware = require('../../middlewares/transaction-pin-middleware');
+const celebrate = require('../../../core/celebrate-wrappers');
+const merchantsControllers = require('./merchants-controller');
+const merchantsValidator = require('./merchants-validator');
+
+const route = express.Router();
+
+module.exports = (app) => {
+  app.use('/merchants', route);
+
+  // Pay a merchant with a scanned QR payload
+  route.post(
+    '/payments',
+    authenticationMiddleware,
+    celebrate(merchantsValidator.payQrPayload),
+    transactionPinMiddleware,
+    idempotencyMiddleware,
+    merchantsControllers.payQrPayload
+  );
+
+  // Generate the QR payload of a merchant account
+  route.post(
+    '/:account_number/qr',
+    authenticationMiddleware,
+    celebrate(merchantsValidator.generateQrPayload),
+    merchantsControllers.generateQrPayload
+  );
+};
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+
+const accountsRepository = require('../accounts/accounts-repository');
+const accountsService = require('../accounts/accounts-service');
+const fraudService = require('../fraud/fraud-service');
+const transfersService = require('../transfers/transfers-service');
+const usersRepository = require('../users/users-repository');
+const config = require('../../../core/config');
+const { errorResponder, errorTypes } = require('../../../core/errors');
+const { formatAmount, toMinorUnits } = require('../../../utils/money');
+const {
+  encodeQrPayload,
+  parseQrPayload,
+} = require('../../../utils/qr-payload');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Generate the QR payload of a merchant account
+ * @param {object} account - Merchant account
+ * @param {string} method - 'static' or 'dynamic'
+ * @param {number} amount - Fixed amount in minor units, optional for static
+ * payloads
+ * @returns {object}
+ */
+async function generateQrPayload(account, method, amount) {
+  const owner = await usersRepository.getUser(account.user_id);
+  // Dynamic payloads carry a reference so that they can be paid only once
+  const reference =
+    method === 'dynamic' ? crypto.randomBytes(8).toString('hex') : undefined;
+
+  const payload = encodeQrPayload({
+    method,
+    accountNumber: account.account_number,
+    merchantName: owner.name,
+    merchantCity: config.merchants.city,
+    categoryCode: config.merchants.categoryCode,
+    currency: account.currency,
+    amount: amount ? formatAmount(amount) : undefined,
+    reference,
+  });
+
+  return {
+    account_number: account.account_number,
+    method,
+    amount: amount ? formatAmount(amount) : null,
+    currency: account.currency,
+    reference: reference || null,
+    payload,
+  };
+}
+
+/**
+ * Pay a merchant from a scanned QR payload. The amount comes from the payload
+ * when it has one, otherwise from the customer.
+ * @param {string} fromAccount - Customer account number
+ * @param {string} payload - Scanned payload
+ * @param {number} amount - Amount in minor units entered by the customer
+ * @returns {object} The payment, or the held result if fraud screening holds
+ * it. Throws if the payload, the merchant or the amount is not valid.
+ */
+async function payQrPayload(fromAccount, payload, amount) {
+  let content;
+  try {
+    content = parseQrPayload(payload);
+  } catch (err) {
+    throw errorResponder(
+      errorTypes.BAD_REQUEST,
+      `Invalid QR payload: ${err.message}`
+    );
+  }
+
+  const merchant = await accountsRepository.getAccount(content.accountNumber);
+  if (!merchant || merchant.type !== 'merchant') {
+    throw errorResponder(
+      errorTypes.UNPROCESSABLE_ENTITY,
+      'QR payload does not belong to a merchant account'
+    );
+  }
+  accountsService.assertCanMoveMoney(merchant, 'credit');
+
+  if (merchant.currency !== content.currency) {
+    throw errorResponder(
+      errorTypes.UNPROCESSABLE_ENTITY,
+      'QR payload currency does not match the merchant account'
+    );
+  }
+
+  const fixedAmount = content.amount ? toMinorUnits(content.amount) : null;
+  if (fixedAmount !== null && amount !== null && amount !== fixedAmount) {
+    throw errorResponder(
+      errorTypes.INVALID_AMOUNT,
+      `This QR code is for exactly ${content.amount}`
+    );
+  }
+
+  const paidAmount = fixedAmount ?? amount;
+  if (paidAmount === null || paidAmount <= 0) {
+    throw errorResponder(
+      errorTypes.INVALID_AMOUNT,
+      'Please enter the amount to pay'
+    );
+  }
+
+  if (fromAccount === merchant.account_number) {
+    throw errorResponder(
+      errorTypes.UNPROCESSABLE_ENTITY,
+      'Cannot pay to the same account'
+    );
+  }
+
+  try {
+    const payment = await transfersService.transfer(
+      fromAccount,
+      merchant.account_number,
+      paidAmount,
+      `QR payment to ${content.merchantName}`,
+      content.reference
+        ? `qr-${merchant.account_number}-${content.reference}`
+        : undefined
+    );
+
+    if (fraudService.isHeld(payment)) {
+      return payment;
+    }
+
+    return { ...payment, merchant_name: content.merchantName };
+  } catch (err) {
+    if (err.code === DUPLICATE_KEY_ERROR) {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'This QR code has already been paid'
+      );
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  generateQrPayload,
+  payQrPayload,
+};
@@ -0,0 +1,38 @@
+const joi = require('joi');
+const { accountNumberSchema } = require('../../../utils/account-number');
+const { AMOUNT_PATTERN } = require('../../../utils/money');
+
+const amountSchema = joi.string().pattern(AMOUNT_PATTERN).messages({
+  'string.pattern.base':
+    '{{#label}} must be a number with up to two decimal places',
+});
+
+module.exports = {
+  generateQrPayload: {
+    params: {
+      account_number: accountNumberSchema().required().label('Account Number'),
+    },
+    body: {
+      method: joi
+        .string()
+        .valid('static', 'dynamic')
+        .required()
+        .label('Method'),
+      // Dynamic payloads are for one payment of a known amount
+      amount: amountSchema.label('Amount').when('method', {
+        is: 'dynamic',
+        then: joi.required(),
+      }),
+    },
+  },
+
+  payQrPayload: {
+    body: {
+      from_account: accountNumberSchema()
+        .required()
+        .label('Source Account Number'),
+      payload: joi.string().max(512).required().label('QR Payload'),
+      amount: amountSchema.label('Amount'),
+    },
+  },
+};
@@ -0,0 +1,176 @@
+const paymentRequestsService = require('./payment-requests-service');
+const accountsService = require('../accounts/accounts-service');
+const fraudService = require('../fraud/fraud-service');
+const { errorResponder, errorTypes } = require('../../../core/errors');
+const { toMinorUnits } = require('../../../utils/money');
+
+/**
+ * Handle create payment request request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function createPaymentRequest(request, response, next) {
+  try {
+    const toAccount = request.body.to_account;
+    const parties = request.body.parties.map((party) => ({
+      account_number: party.account_number,
+      amount: toMinorUnits(party.amount),
+    }));
+
+    // Check if every amount is valid
+    if (parties.some((party) => party.amount === null || party.amount <= 0)) {
+      throw errorResponder(
+        errorTypes.INVALID_AMOUNT,
+        'Invalid requested amount'
+      );
+    }
+
+    // Check if destination account belongs to the logged in user
+    const owned = await accountsService.getOwnedAccount(
+      request.user.id,
+      toAccount
+    );
+    if (!owned) {
+      throw errorResponder(
+        errorTypes.INVALID_CREDENTIALS,
+        'Destination account is not valid'
+      );
+    }
+
+    if (parties.some((party) => party.account_number === toAccount)) {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'Cannot request money from the destination account'
+      );
+    }
+
+    const paymentRequest = await paymentRequestsService.createPaymentRequest(
+      request.user.id,
+      toAccount,
+      request.body.note,
+      parties
+    );
+
+    return response.status(200).json(paymentRequest);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle get list of payment requests created by the logged in user request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function getOutgoingPaymentRequests(request, response, next) {
+  try {
+    const paymentRequests =
+      await paymentRequestsService.getOutgoingPaymentRequests(request.user.id);
+
+    return response.status(200).json(paymentRequests);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle get list of payment requests addressed to the logged in user request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function getIncomingPaymentRequests(request, response, next) {
+  try {
+    const paymentRequests =
+      await paymentRequestsService.getIncomingPaymentRequests(
+        request.user.id,
+        request.query.status
+      );
+
+    return response.status(200).json(paymentRequests);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle get payment request detail request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function getPaymentRequest(request, response, next) {
+  try {
+    const paymentRequest = await paymentRequestsService.getPaymentRequest(
+      request.user.id,
+      request.params.id
+    );
+    if (!paymentRequest) {
+      throw errorResponder(errorTypes.NOT_FOUND, 'Unknown payment request');
+    }
+
+    return response.status(200).json(paymentRequest);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle pay payment request request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function payPaymentRequest(request, response, next) {
+  try {
+    const transfer = await paymentRequestsService.payPaymentRequest(
+      request.user.id,
+      request.params.id,
+      request.body.account_number
+    );
+    if (fraudService.isHeld(transfer)) {
+      return response.status(202).json(transfer);
+    }
+
+    return response.status(200).json(transfer);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle decline payment request request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function declinePaymentRequest(request, response, next) {
+  try {
+    const paymentRequest = await paymentRequestsService.declinePaymentRequest(
+      request.user.id,
+      request.params.id,
+      request.body.account_number
+    );
+
+    return response.status(200).json(paymentRequest);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = {
+  createPaymentRequest,
+  getOutgoingPaymentRequests,
+  getIncomingPaymentRequests,
+  getPaymentRequest,
+  payPaymentRequest,
+  declinePaymentRequest,
+};
@@ -0,0 +1,121 @@
+const { PaymentRequest } = require('../../../models');
+
+/**
+ * Create new payment request
+ * @param {object} paymentRequest - Payment request
+ * @returns {Promise}
+ */
+async function createPaymentRequest(paymentRequest) {
+  return PaymentRequest.create(paymentRequest);
+}
+
+/**
+ * Get payment requests created by a user, newest first
+ * @param {string} userId - User ID
+ * @returns {Promise}
+ */
+async function getOutgoingPaymentRequests(userId) {
+  return PaymentRequest.find({ user_id: userId }).sort({ created_at: -1 });
+}
+
+/**
+ * Get payment requests addressed to any account of a user, newest first
+ * @param {string} userId - User ID
+ * @returns {Promise}
+ */
+async function getIncomingPaymentRequests(userId) {
+  return PaymentRequest.find({ 'parties.user_id': userId }).sort({
+    created_at: -1,
+  });
+}
+
+/**
+ * Get payment request detail
+ * @param {string} id - Payment request ID
+ * @returns {Promise}
+ */
+async function getPaymentRequest(id) {
+  return PaymentRequest.findById(id);
+}
+
+/**
+ * Change the status of one requested account if it is in one of the statuses
+ * @param {string} id - Payment request ID
+ * @param {string} accountNumber - Requested account number
+ * @param {Array} fromStatuses - Statuses the change is allowed from
+ * @param {object} update - Fields of the party to set, including the status
+ * @param {boolean} unexpiredOnly - Only change requests that have not expired
+ * @returns {Promise} The updated request, or null if nothing matched
+ */
+async function updatePartyStatus(
+  id,
+  accountNumber,
+  fromStatuses,
+  update,
+  unexpiredOnly = true
+) {
+  const set = {};
+  Object.entries(update).forEach(([name, value]) => {
+    set[`parties.$.${name}`] = value;
+  });
+
+  return PaymentRequest.findOneAndUpdate(
+    {
+      _id: id,
+      ...(unexpiredOnly && { expires_at: { $gt: new Date() } }),
+      parties: {
+        $elemMatch: {
+          account_number: accountNumber,
+          status: { $in: fromStatuses },
+        },
+      },
+    },
+    { $set: set },
+    { new: true }
+  );
+}
+
+/**
+ * Change the requested account whose transfer uses a reference, if it is in
+ * one of the statuses
+ * @param {string} reference - Transfer reference
+ * @param {Array} fromStatuses - Statuses the change is allowed from
+ * @param {object} update - Fields of the party to set, including the status
+ * @param {Date} claimedBefore - Only change a party claimed before this time,
+ * optional
+ * @returns {Promise} The updated request, or null if nothing matched
+ */
+async function updatePartyByReference(
+  reference,
+  fromStatuses,
+  update,
+  claimedBefore = null
+) {
+  const set = {};
+  Object.entries(update).forEach(([name, value]) => {
+    set[`parties.$.${name}`] = value;
+  });
+
+  return PaymentRequest.findOneAndUpdate(
+    {
+      parties: {
+        $elemMatch: {
+          reference,
+          status: { $in: fromStatuses },
+          ...(claimedBefore && { claimed_at: { $lte: claimedBefore } }),
+        },
+      },
+    },
+    { $set: set },
+    { new: true }
+  );
+}
+
+module.exports = {
+  createPaymentRequest,
+  getOutgoingPaymentRequests,
+  getIncomingPaymentRequests,
+  getPaymentRequest,
+  updatePartyStatus,
+  updatePartyByReference,
+};
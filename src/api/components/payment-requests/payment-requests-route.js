@@ -0,0 +1,63 @@
+const express = require('express');
+
+const authenticationMiddleware = require('../../middlewares/authentication-middleware');
+const idempotencyMiddleware = require('../../middlewares/idempotency-middleware');
+const transactionPinMiddleware = require('../../middlewares/transaction-pin-middleware');
+const celebrate = require('../../../core/celebrate-wrappers');
+const paymentRequestsControllers = require('./payment-requests-controller');
+const paymentRequestsValidator = require('./payment-requests-validator');
+
+const route = express.Router();
+
+module.exports = (app) => {
+  app.use('/payment-requests', route);
+
+  // Request money from one or more accounts
+  route.post(
+    '/',
+    authenticationMiddleware,
+    celebrate(paymentRequestsValidator.createPaymentRequest),
+    paymentRequestsControllers.createPaymentRequest
+  );
+
+  // Get list of payment requests created by the logged in user
+  route.get(
+    '/outgoing',
+    authenticationMiddleware,
+    paymentRequestsControllers.getOutgoingPaymentRequests
+  );
+
+  // Get list of payment requests addressed to the logged in user
+  route.get(
+    '/incoming',
+    authenticationMiddleware,
+    celebrate(paymentRequestsValidator.getIncomingPaymentRequests),
+    paymentRequestsControllers.getIncomingPaymentRequests
+  );
+
+  // Get payment request detail
+  route.get(
+    '/:id',
+    authenticationMiddleware,
+    celebrate(paymentRequestsValidator.getPaymentRequest),
+    paymentRequestsControllers.getPaymentRequest
+  );
+
+  // Pay the share of a requested account
+  route.post(
+    '/:id/pay',
+    authenticationMiddleware,
+    celebrate(paymentRequestsValidator.payPaymentRequest),
+    transactionPinMiddleware,
+    idempotencyMiddleware,
+    paymentRequestsControllers.payPaymentRequest
+  );
+
+  // Decline the share of a requested account
+  route.post(
+    '/:id/decline',
+    authenticationMiddleware,
+    celebrate(paymentRequestsValidator.declinePaymentRequest),
+    paymentRequestsControllers.declinePaymentRequest
+  );
+};
@@ -0,0 +1,369 @@
+const paymentRequestsRepository = require('./payment-requests-repository');
+const accountsRepository = require('../accounts/accounts-repository');
+const fraudRepository = require('../fraud/fraud-repository');
+const fraudService = require('../fraud/fraud-service');
+const transactionsRepository = require('../transactions/transactions-repository');
+const transfersService = require('../transfers/transfers-service');
+const config = require('../../../core/config');
+const { errorResponder, errorTypes } = require('../../../core/errors');
+const { formatAmount } = require('../../../utils/money');
+
+// Statuses a party can still be in when its transfer is posted. A party goes
+// back to pending while its transfer is held for review. Declining is final,
+// so it is refused while a held transfer could still pay the party.
+const UNSETTLED_STATUSES = ['pending', 'processing'];
+
+/**
+ * Format a payment request for the response. Requested accounts that did not
+ * respond before the request expired show as expired.
+ * @param {object} paymentRequest - Payment request
+ * @returns {object}
+ */
+function formatPaymentRequest(paymentRequest) {
+  const expired = paymentRequest.expires_at <= new Date();
+
+  return {
+    id: paymentRequest.id,
+    user_id: paymentRequest.user_id,
+    to_account: paymentRequest.to_account,
+    note: paymentRequest.note,
+    parties: paymentRequest.parties.map((party) => ({
+      account_number: party.account_number,
+      amount: formatAmount(party.amount),
+      status: expired && party.status === 'pending' ? 'expired' : party.status,
+      reference: party.status === 'paid' ? party.reference : undefined,
+      responded_at: party.responded_at,
+    })),
+    expires_at: paymentRequest.expires_at,
+    created_at: paymentRequest.created_at,
+  };
+}
+
+/**
+ * Bring the parties of a payment request up to date with the ledger. A party
+ * is paid once the transfer under its reference is posted, which can happen
+ * long after the payment when the transfer was held for review. A party left
+ * in processing by a crash goes back to pending once its lease has run out
+ * without a transfer.
+ * @param {object} paymentRequest - Payment request
+ * @returns {object} The payment request, reloaded if a party changed
+ */
+async function reconcileParties(paymentRequest) {
+  const unsettled = paymentRequest.parties.filter(
+    (party) => party.reference && UNSETTLED_STATUSES.includes(party.status)
+  );
+  if (unsettled.length === 0) {
+    return paymentRequest;
+  }
+
+  const leaseStart = new Date(
+    Date.now() - config.paymentRequests.processingLease * 1000
+  );
+
+  const updates = await Promise.all(
+    unsettled.map(async (party) => {
+      const entries = await transactionsRepository.getTransactionsByReference(
+        party.reference
+      );
+      if (entries.length > 0) {
+        return paymentRequestsRepository.updatePartyByReference(
+          party.reference,
+          UNSETTLED_STATUSES,
+          { status: 'paid', responded_at: entries[0].created_at }
+        );
+      }
+
+      if (party.status === 'processing') {
+        return paymentRequestsRepository.updatePartyByReference(
+          party.reference,
+          ['processing'],
+          { status: 'pending' },
+          leaseStart
+        );
+      }
+
+      return null;
+    })
+  );
+
+  if (updates.every((updated) => !updated)) {
+    return paymentRequest;
+  }
+
+  return paymentRequestsRepository.getPaymentRequest(paymentRequest.id);
+}
+
+/**
+ * Mark the party paid by a transfer once the transfer is posted. Does nothing
+ * for transfers that do not pay a payment request.
+ * @param {string} reference - Transfer reference
+ */
+async function settleTransfer(reference) {
+  await paymentRequestsRepository.updatePartyByReference(
+    reference,
+    UNSETTLED_STATUSES,
+    { status: 'paid', responded_at: new Date() }
+  );
+}
+
+/**
+ * Request money from one or more accounts
+ * @param {string} userId - Requesting user ID
+ * @param {string} toAccount - Account of the user to pay into
+ * @param {string} note - Note
+ * @param {Array} parties - Requested accounts with their amounts in minor
+ * units
+ * @returns {object} The payment request. Throws if a requested account is not
+ * registered.
+ */
+async function createPaymentRequest(userId, toAccount, note, parties) {
+  const accounts = await Promise.all(
+    parties.map((party) => accountsRepository.getAccount(party.account_number))
+  );
+
+  const unknown = parties.find((party, index) => !accounts[index]);
+  if (unknown) {
+    throw errorResponder(
+      errorTypes.INVALID_CREDENTIALS,
+      `Account ${unknown.account_number} is not valid`
+    );
+  }
+
+  const paymentRequest = await paymentRequestsRepository.createPaymentRequest({
+    user_id: String(userId),
+    to_account: toAccount,
+    note,
+    parties: parties.map((party, index) => ({
+      account_number: party.account_number,
+      user_id: accounts[index].user_id,
+      amount: party.amount,
+    })),
+    expires_at: new Date(Date.now() + config.paymentRequests.ttl * 1000),
+  });
+
+  return formatPaymentRequest(paymentRequest);
+}
+
+/**
+ * Get list of payment requests created by a user
+ * @param {string} userId - User ID
+ * @returns {Array}
+ */
+async function getOutgoingPaymentRequests(userId) {
+  const paymentRequests = await Promise.all(
+    (
+      await paymentRequestsRepository.getOutgoingPaymentRequests(String(userId))
+    ).map(reconcileParties)
+  );
+  return paymentRequests.map(formatPaymentRequest);
+}
+
+/**
+ * Get list of payment requests addressed to a user, with only the parties of
+ * the user's own accounts
+ * @param {string} userId - User ID
+ * @param {string} status - Only requests where the user has a party in this
+ * status, optional
+ * @returns {Array}
+ */
+async function getIncomingPaymentRequests(userId, status) {
+  const paymentRequests = await Promise.all(
+    (
+      await paymentRequestsRepository.getIncomingPaymentRequests(String(userId))
+    ).map(reconcileParties)
+  );
+
+  return paymentRequests
+    .map((paymentRequest) => {
+      const formatted = formatPaymentRequest(paymentRequest);
+      formatted.parties = formatted.parties.filter(
+        (party, index) =>
+          paymentRequest.parties[index].user_id === String(userId)
+      );
+      return formatted;
+    })
+    .filter(
+      (paymentRequest) =>
+        !status ||
+        paymentRequest.parties.some((party) => party.status === status)
+    );
+}
+
+/**
+ * Get a payment request if the user created it or is asked to pay it
+ * @param {string} userId - User ID
+ * @param {string} id - Payment request ID
+ * @returns {object} The payment request, or null if the user is not involved
+ */
+async function getPaymentRequest(userId, id) {
+  let paymentRequest = await paymentRequestsRepository.getPaymentRequest(id);
+
+  if (
+    !paymentRequest ||
+    (paymentRequest.user_id !== String(userId) &&
+      !paymentRequest.parties.some((party) => party.user_id === String(userId)))
+  ) {
+    return null;
+  }
+
+  paymentRequest = await reconcileParties(paymentRequest);
+  return formatPaymentRequest(paymentRequest);
+}
+
+/**
+ * Get the pending party of a payment request for an account of the user
+ * @param {string} userId - User ID
+ * @param {string} id - Payment request ID
+ * @param {string} accountNumber - Requested account number
+ * @returns {object} Payment request and party. Throws if there is no such
+ * party or it cannot be answered anymore.
+ */
+async function getPendingParty(userId, id, accountNumber) {
+  let paymentRequest = await paymentRequestsRepository.getPaymentRequest(id);
+  if (paymentRequest) {
+    paymentRequest = await reconcileParties(paymentRequest);
+  }
+
+  const party =
+    paymentRequest &&
+    paymentRequest.parties.find(
+      (candidate) =>
+        candidate.account_number === accountNumber &&
+        candidate.user_id === String(userId)
+    );
+
+  if (!party) {
+    throw errorResponder(errorTypes.NOT_FOUND, 'Unknown payment request');
+  }
+
+  if (paymentRequest.expires_at <= new Date()) {
+    throw errorResponder(
+      errorTypes.UNPROCESSABLE_ENTITY,
+      'Payment request has expired'
+    );
+  }
+
+  if (party.status !== 'pending') {
+    throw errorResponder(
+      errorTypes.UNPROCESSABLE_ENTITY,
+      `Payment request is already ${party.status}`
+    );
+  }
+
+  return { paymentRequest, party };
+}
+
+/**
+ * Pay the share of a requested account. The party is claimed first so that
+ * it cannot be paid twice, and released again if the transfer fails. The
+ * transfer reference is fixed per party, so the ledger cannot post it twice
+ * and tells whether an interrupted payment went through.
+ * @param {string} userId - Paying user ID
+ * @param {string} id - Payment request ID
+ * @param {string} accountNumber - Requested account number
+ * @returns {object} The transfer, or the held result if fraud screening holds
+ * it. Throws if the request cannot be paid.
+ */
+async function payPaymentRequest(userId, id, accountNumber) {
+  const { paymentRequest, party } = await getPendingParty(
+    userId,
+    id,
+    accountNumber
+  );
+
+  const reference = `payment-request-${id}-${accountNumber}`;
+  const claimed = await paymentRequestsRepository.updatePartyStatus(
+    id,
+    accountNumber,
+    ['pending'],
+    { status: 'processing', reference, claimed_at: new Date() }
+  );
+  if (!claimed) {
+    throw errorResponder(
+      errorTypes.UNPROCESSABLE_ENTITY,
+      'Payment request can no longer be paid'
+    );
+  }
+
+  let transfer;
+  try {
+    transfer = await transfersService.transfer(
+      accountNumber,
+      paymentRequest.to_account,
+      party.amount,
+      paymentRequest.note,
+      reference
+    );
+  } catch (err) {
+    await paymentRequestsRepository.updatePartyStatus(
+      id,
+      accountNumber,
+      ['processing'],
+      { status: 'pending' },
+      false
+    );
+    throw err;
+  }
+
+  // A held transfer settles the party when the review releases it
+  if (fraudService.isHeld(transfer)) {
+    await paymentRequestsRepository.updatePartyStatus(
+      id,
+      accountNumber,
+      ['processing'],
+      { status: 'pending' },
+      false
+    );
+    return transfer;
+  }
+
+  await settleTransfer(reference);
+
+  return transfer;
+}
+
+/**
+ * Decline the share of a requested account
+ * @param {string} userId - User ID
+ * @param {string} id - Payment request ID
+ * @param {string} accountNumber - Requested account number
+ * @returns {object} The payment request. Throws if it cannot be declined.
+ */
+async function declinePaymentRequest(userId, id, accountNumber) {
+  const { party } = await getPendingParty(userId, id, accountNumber);
+
+  if (
+    party.reference &&
+    (await fraudRepository.getOpenFraudReviewByReference(party.reference))
+  ) {
+    throw errorResponder(
+      errorTypes.UNPROCESSABLE_ENTITY,
+      'Payment request is held for review and cannot be declined'
+    );
+  }
+
+  const declined = await paymentRequestsRepository.updatePartyStatus(
+    id,
+    accountNumber,
+    ['pending'],
+    { status: 'declined', responded_at: new Date() }
+  );
+  if (!declined) {
+    throw errorResponder(
+      errorTypes.UNPROCESSABLE_ENTITY,
+      'Payment request can no longer be declined'
+    );
+  }
+
+  return formatPaymentRequest(declined);
+}
+
+module.exports = {
+  createPaymentRequest,
+  getOutgoingPaymentRequests,
+  getIncomingPaymentRequests,
+  getPaymentRequest,
+  payPaymentRequest,
+  declinePaymentRequest,
+  settleTransfer,
+};
@@ -0,0 +1,70 @@
+const joi = require('joi');
+const { accountNumberSchema } = require('../../../utils/account-number');
+const { AMOUNT_PATTERN } = require('../../../utils/money');
+const { objectId } = require('../../../utils/object-id');
+
+const paymentRequestParams = {
+  id: objectId().required().label('Payment Request ID'),
+};
+
+// Requested account answering the request
+const partyBody = {
+  account_number: accountNumberSchema().required().label('Account Number'),
+};
+
+module.exports = {
+  createPaymentRequest: {
+    body: {
+      to_account: accountNumberSchema()
+        .required()
+        .label('Destination Account Number'),
+      note: joi.string().max(100).required().label('Note'),
+      parties: joi
+        .array()
+        .items(
+          joi.object({
+            account_number: accountNumberSchema()
+              .required()
+              .label('Account Number'),
+            amount: joi
+              .string()
+              .pattern(AMOUNT_PATTERN)
+              .required()
+              .label('Amount')
+              .messages({
+                'string.pattern.base':
+                  '{{#label}} must be a number with up to two decimal places',
+              }),
+          })
+        )
+        .min(1)
+        .max(20)
+        .unique('account_number')
+        .required()
+        .label('Parties'),
+    },
+  },
+
+  getIncomingPaymentRequests: {
+    query: {
+      status: joi
+        .string()
+        .valid('pending', 'processing', 'paid', 'declined', 'expired')
+        .label('Status'),
+    },
+  },
+
+  getPaymentRequest: {
+    params: paymentRequestParams,
+  },
+
+  payPaymentRequest: {
+    params: paymentRequestParams,
+    body: partyBody,
+  },
+
+  declinePaymentRequest: {
+    params: paymentRequestParams,
+    body: partyBody,
+  },
+};
@@ -0,0 +1,197 @@
+const pocketsService = require('./pockets-service');
+const accountsService = require('../accounts/accounts-service');
+const { errorResponder, errorTypes } = require('../../../core/errors');
+const { toMinorUnits } = require('../../../utils/money');
+
+/**
+ * Get the account of the request if the user owns it
+ * @param {object} request - Express request object
+ * @returns {object}
+ */
+async function getRequestedAccount(request) {
+  const account = await accountsService.getOwnedAccount(
+    request.params.id,
+    request.params.account_number
+  );
+
+  if (!account) {
+    throw errorResponder(errorTypes.NOT_FOUND, 'Unknown account');
+  }
+
+  return account;
+}
+
+/**
+ * Get the pocket of the request if it belongs to the requested account
+ * @param {object} request - Express request object
+ * @returns {object}
+ */
+async function getRequestedPocket(request) {
+  const pocket = await pocketsService.getPocket(
+    request.params.account_number,
+    request.params.pocket_id
+  );
+
+  if (!pocket) {
+    throw errorResponder(errorTypes.NOT_FOUND, 'Unknown pocket');
+  }
+
+  return pocket;
+}
+
+/**
+ * Get the amount of a move request
+ * @param {object} request - Express request object
+ * @returns {number} Amount in minor units
+ */
+function getRequestedAmount(request) {
+  const amount = toMinorUnits(request.body.amount);
+
+  if (amount === null || amount <= 0) {
+    throw errorResponder(errorTypes.INVALID_AMOUNT, 'Invalid amount');
+  }
+
+  return amount;
+}
+
+/**
+ * Handle get list of pockets request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function getPockets(request, response, next) {
+  try {
+    const account = await getRequestedAccount(request);
+    const pockets = await pocketsService.getPockets(account.account_number);
+
+    return response.status(200).json(pockets);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle get pocket detail request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function getPocket(request, response, next) {
+  try {
+    await getRequestedAccount(request);
+    const pocket = await getRequestedPocket(request);
+
+    return response.status(200).json(pocket);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle create pocket request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function createPocket(request, response, next) {
+  try {
+    const account = await getRequestedAccount(request);
+
+    const targetAmount = toMinorUnits(request.body.target_amount);
+    if (targetAmount === null || targetAmount <= 0) {
+      throw errorResponder(errorTypes.INVALID_AMOUNT, 'Invalid target amount');
+    }
+
+    const pocket = await pocketsService.createPocket(
+      account,
+      request.body.name,
+      targetAmount,
+      request.body.target_date
+    );
+
+    return response.status(200).json(pocket);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle move money into pocket request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function depositToPocket(request, response, next) {
+  try {
+    const account = await getRequestedAccount(request);
+    const pocket = await getRequestedPocket(request);
+
+    const result = await pocketsService.depositToPocket(
+      account,
+      pocket.id,
+      getRequestedAmount(request)
+    );
+
+    return response.status(200).json(result);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle move money out of pocket request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function withdrawFromPocket(request, response, next) {
+  try {
+    const account = await getRequestedAccount(request);
+    const pocket = await getRequestedPocket(request);
+
+    const result = await pocketsService.withdrawFromPocket(
+      account,
+      pocket.id,
+      getRequestedAmount(request)
+    );
+
+    return response.status(200).json(result);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle break pocket request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function breakPocket(request, response, next) {
+  try {
+    const account = await getRequestedAccount(request);
+    const pocket = await getRequestedPocket(request);
+
+    const result = await pocketsService.breakPocket(account, pocket.id);
+
+    return response.status(200).json(result);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = {
+  getPockets,
+  getPocket,
+  createPocket,
+  depositToPocket,
+  withdrawFromPocket,
+  breakPocket,
+};
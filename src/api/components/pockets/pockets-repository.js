@@ -0,0 +1,84 @@
+const { Pocket } = require('../../../models');
+
+/**
+ * Get the active pockets of an account
+ * @param {string} accountNumber - Account number
+ * @returns {Promise}
+ */
+async function getPockets(accountNumber) {
+  return Pocket.find({ account_number: accountNumber, status: 'active' }).sort({
+    created_at: 1,
+  });
+}
+
+/**
+ * Get pocket detail
+ * @param {string} id - Pocket ID
+ * @returns {Promise}
+ */
+async function getPocket(id) {
+  return Pocket.findById(id);
+}
+
+/**
+ * Create new pocket
+ * @param {object} pocket - Pocket
+ * @returns {Promise}
+ */
+async function createPocket(pocket) {
+  return Pocket.create(pocket);
+}
+
+/**
+ * Add to the balance of an active pocket
+ * @param {string} id - Pocket ID
+ * @param {number} amount - Amount in minor units
+ * @param {object} session - Mongoose session
+ * @returns {Promise} The updated pocket, or null if nothing matched
+ */
+async function creditPocket(id, amount, session) {
+  return Pocket.findOneAndUpdate(
+    { _id: id, status: 'active' },
+    { $inc: { balance: amount } },
+    { new: true, session }
+  );
+}
+
+/**
+ * Subtract from the balance of an active pocket as long as it stays at or
+ * above zero
+ * @param {string} id - Pocket ID
+ * @param {number} amount - Amount in minor units
+ * @param {object} session - Mongoose session
+ * @returns {Promise} The updated pocket, or null if nothing matched
+ */
+async function debitPocket(id, amount, session) {
+  return Pocket.findOneAndUpdate(
+    { _id: id, status: 'active', balance: { $gte: amount } },
+    { $inc: { balance: -amount } },
+    { new: true, session }
+  );
+}
+
+/**
+ * Break an active pocket, emptying it
+ * @param {string} id - Pocket ID
+ * @param {object} session - Mongoose session
+ * @returns {Promise} The pocket as it was before, or null if nothing matched
+ */
+async function breakPocket(id, session) {
+  return Pocket.findOneAndUpdate(
+    { _id: id, status: 'active' },
+    { $set: { status: 'broken', balance: 0, broken_at: new Date() } },
+    { session }
+  );
+}
+
+module.exports = {
+  getPockets,
+  getPocket,
+  createPocket,
+  creditPocket,
+  debitPocket,
+  breakPocket,
+};
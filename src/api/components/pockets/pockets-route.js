@@ -0,0 +1,74 @@
+const express = require('express');
+
+const authenticationMiddleware = require('../../middlewares/authentication-middleware');
+const idempotencyMiddleware = require('../../middlewares/idempotency-middleware');
+const { requireOwner } = require('../../middlewares/permission-middleware');
+const transactionPinMiddleware = require('../../middlewares/transaction-pin-middleware');
+const celebrate = require('../../../core/celebrate-wrappers');
+const pocketsControllers = require('./pockets-controller');
+const pocketsValidator = require('./pockets-validator');
+
+const route = express.Router();
+
+module.exports = (app) => {
+  app.use('/users', route);
+
+  // Get list of pockets of an account with their progress
+  route.get(
+    '/:id/accounts/:account_number/pockets',
+    authenticationMiddleware,
+    requireOwner('teller', 'admin'),
+    celebrate(pocketsValidator.getPockets),
+    pocketsControllers.getPockets
+  );
+
+  // Create a pocket to save towards a target
+  route.post(
+    '/:id/accounts/:account_number/pockets',
+    authenticationMiddleware,
+    requireOwner(),
+    celebrate(pocketsValidator.createPocket),
+    pocketsControllers.createPocket
+  );
+
+  // Get pocket detail with its progress
+  route.get(
+    '/:id/accounts/:account_number/pockets/:pocket_id',
+    authenticationMiddleware,
+    requireOwner('teller', 'admin'),
+    celebrate(pocketsValidator.getPocket),
+    pocketsControllers.getPocket
+  );
+
+  // Set money of the account aside in a pocket
+  route.post(
+    '/:id/accounts/:account_number/pockets/:pocket_id/deposit',
+    authenticationMiddleware,
+    requireOwner(),
+    celebrate(pocketsValidator.depositToPocket),
+    transactionPinMiddleware,
+    idempotencyMiddleware,
+    pocketsControllers.depositToPocket
+  );
+
+  // Return money of a pocket to the account
+  route.post(
+    '/:id/accounts/:account_number/pockets/:pocket_id/withdraw',
+    authenticationMiddleware,
+    requireOwner(),
+    celebrate(pocketsValidator.withdrawFromPocket),
+    transactionPinMiddleware,
+    idempotencyMiddleware,
+    pocketsControllers.withdrawFromPocket
+  );
+
+  // Break a pocket, returning everything it holds to the account
+  route.delete(
+    '/:id/accounts/:account_number/pockets/:pocket_id',
+    authenticationMiddleware,
+    requireOwner(),
+    celebrate(pocketsValidator.breakPocket),
+    transactionPinMiddleware,
+    pocketsControllers.breakPocket
+  );
+};
@@ -0,0 +1,291 @@
+const { v4: uuidv4 } = require('uuid');
+
+const pocketsRepository = require('./pockets-repository');
+const accountsRepository = require('../accounts/accounts-repository');
+const accountsService = require('../accounts/accounts-service');
+const transactionsRepository = require('../transactions/transactions-repository');
+const webhooksService = require('../webhooks/webhooks-service');
+const { errorResponder, errorTypes } = require('../../../core/errors');
+const { formatAmount } = require('../../../utils/money');
+
+/**
+ * Format a pocket for the response, with its progress towards the target
+ * @param {object} pocket - Pocket
+ * @returns {object}
+ */
+function formatPocket(pocket) {
+  return {
+    id: pocket.id,
+    account_number: pocket.account_number,
+    name: pocket.name,
+    balance: formatAmount(pocket.balance),
+    target_amount: formatAmount(pocket.target_amount),
+    target_date: pocket.target_date,
+    remaining: formatAmount(Math.max(0, pocket.target_amount - pocket.balance)),
+    // Whole percent reached, rounded down so 100 means the target is met
+    progress: Math.min(
+      100,
+      Math.floor((pocket.balance * 100) / pocket.target_amount)
+    ),
+    status: pocket.status,
+    created_at: pocket.created_at,
+    broken_at: pocket.broken_at,
+  };
+}
+
+/**
+ * Get the active pockets of an account
+ * @param {string} accountNumber - Account number
+ * @returns {Array}
+ */
+async function getPockets(accountNumber) {
+  const pockets = await pocketsRepository.getPockets(accountNumber);
+  return pockets.map(formatPocket);
+}
+
+/**
+ * Get a pocket of an account
+ * @param {string} accountNumber - Account number
+ * @param {string} id - Pocket ID
+ * @returns {object} The pocket, or null if the account has no such pocket
+ */
+async function getPocket(accountNumber, id) {
+  const pocket = await pocketsRepository.getPocket(id);
+
+  if (!pocket || pocket.account_number !== accountNumber) {
+    return null;
+  }
+
+  return formatPocket(pocket);
+}
+
+/**
+ * Create new pocket in an account
+ * @param {object} account - Account
+ * @param {string} name - Name
+ * @param {number} targetAmount - Target amount in minor units
+ * @param {Date} targetDate - Target date, optional
+ * @returns {object}
+ */
+async function createPocket(account, name, targetAmount, targetDate) {
+  if (account.status !== 'active') {
+    throw errorResponder(
+      errorTypes.UNPROCESSABLE_ENTITY,
+      `Account ${account.account_number} is ${account.status}`
+    );
+  }
+
+  const pocket = await pocketsRepository.createPocket({
+    user_id: account.user_id,
+    account_number: account.account_number,
+    name,
+    target_amount: targetAmount,
+    target_date: targetDate,
+  });
+
+  return formatPocket(pocket);
+}
+
+/**
+ * Build the ledger entry of money moving between an account and a pocket
+ * @param {object} account - Account after the move
+ * @param {object} pocket - Pocket
+ * @param {number} amount - Amount in minor units
+ * @param {string} direction - 'debit' into the pocket, 'credit' out of it
+ * @returns {object}
+ */
+function pocketEntry(account, pocket, amount, direction) {
+  return {
+    account_number: account.account_number,
+    type: 'pocket',
+    direction,
+    amount,
+    currency: account.currency,
+    balance_after: account.balance,
+    reference: `pocket-${pocket.id}-${uuidv4()}`,
+    description:
+      direction === 'debit'
+        ? `Set aside in pocket ${pocket.name}`
+        : `Returned from pocket ${pocket.name}`,
+  };
+}
+
+/**
+ * Move money from the balance of an account into one of its pockets
+ * @param {object} account - Account
+ * @param {string} id - Pocket ID
+ * @param {number} amount - Amount in minor units
+ * @returns {object} The pocket
+ */
+async function depositToPocket(account, id, amount) {
+  accountsService.assertCanMoveMoney(account, 'debit');
+
+  const session = await accountsRepository.startSession();
+
+  try {
+    let pocket = null;
+    let entry = null;
+
+    await session.withTransaction(async () => {
+      pocket = await pocketsRepository.creditPocket(id, amount, session);
+      if (!pocket) {
+        throw errorResponder(
+          errorTypes.UNPROCESSABLE_ENTITY,
+          'Pocket has been broken'
+        );
+      }
+
+      // Overdraft cannot be set aside, only money the account holds above
+      // its minimum balance
+      const floor = Math.max(0, accountsService.getBalanceFloor(account.type));
+      const updated = await accountsRepository.moveToPockets(
+        account.account_number,
+        amount,
+        floor,
+        session
+      );
+      if (!updated) {
+        const current = await accountsRepository.getAccount(
+          account.account_number,
+          session
+        );
+        throw errorResponder(
+          errorTypes.INSUFFICIENT_FUNDS,
+          `Insufficient funds. Available to set aside: ${formatAmount(
+            Math.max(0, (current ? current.balance : 0) - floor)
+          )}`
+        );
+      }
+
+      entry = pocketEntry(updated, pocket, amount, 'debit');
+      await transactionsRepository.createTransaction(entry, session);
+    });
+
+    await webhooksService.publishBalanceChange(entry);
+    return formatPocket(pocket);
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Move money from a pocket back to the balance of its account
+ * @param {object} account - Account
+ * @param {string} id - Pocket ID
+ * @param {number} amount - Amount in minor units
+ * @returns {object} The pocket
+ */
+async function withdrawFromPocket(account, id, amount) {
+  accountsService.assertCanMoveMoney(account, 'credit');
+
+  const session = await accountsRepository.startSession();
+
+  try {
+    let pocket = null;
+    let entry = null;
+
+    await session.withTransaction(async () => {
+      pocket = await pocketsRepository.debitPocket(id, amount, session);
+      if (!pocket) {
+        const current = await pocketsRepository.getPocket(id);
+        if (!current) {
+          throw errorResponder(errorTypes.NOT_FOUND, 'Unknown pocket');
+        }
+
+        throw errorResponder(
+          errorTypes.INSUFFICIENT_FUNDS,
+          current.status === 'active'
+            ? `Insufficient funds. Pocket holds ${formatAmount(current.balance)}`
+            : 'Pocket has been broken'
+        );
+      }
+
+      const updated = await accountsRepository.moveFromPockets(
+        account.account_number,
+        amount,
+        session
+      );
+      if (!updated) {
+        throw errorResponder(
+          errorTypes.UNPROCESSABLE_ENTITY,
+          `Account ${account.account_number} cannot receive money`
+        );
+      }
+
+      entry = pocketEntry(updated, pocket, amount, 'credit');
+      await transactionsRepository.createTransaction(entry, session);
+    });
+
+    await webhooksService.publishBalanceChange(entry);
+    return formatPocket(pocket);
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Break a pocket, returning everything it holds to the balance of its
+ * account
+ * @param {object} account - Account
+ * @param {string} id - Pocket ID
+ * @returns {object} The broken pocket
+ */
+async function breakPocket(account, id) {
+  accountsService.assertCanMoveMoney(account, 'credit');
+
+  const session = await accountsRepository.startSession();
+
+  try {
+    let pocket = null;
+    let entry = null;
+
+    await session.withTransaction(async () => {
+      entry = null;
+      pocket = await pocketsRepository.breakPocket(id, session);
+      if (!pocket) {
+        throw errorResponder(
+          errorTypes.UNPROCESSABLE_ENTITY,
+          'Pocket has already been broken'
+        );
+      }
+
+      if (pocket.balance > 0) {
+        const updated = await accountsRepository.moveFromPockets(
+          account.account_number,
+          pocket.balance,
+          session
+        );
+        if (!updated) {
+          throw errorResponder(
+            errorTypes.UNPROCESSABLE_ENTITY,
+            `Account ${account.account_number} cannot receive money`
+          );
+        }
+
+        entry = pocketEntry(updated, pocket, pocket.balance, 'credit');
+        await transactionsRepository.createTransaction(entry, session);
+      }
+    });
+
+    if (entry) {
+      await webhooksService.publishBalanceChange(entry);
+    }
+
+    const broken = await pocketsRepository.getPocket(id);
+    return {
+      ...formatPocket(broken),
+      returned: formatAmount(pocket.balance),
+    };
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = {
+  getPockets,
+  getPocket,
+  createPocket,
+  depositToPocket,
+  withdrawFromPocket,
+  breakPocket,
+};
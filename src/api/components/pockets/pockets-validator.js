@@ -0,0 +1,55 @@
+const joi = require('joi');
+const { accountNumberSchema } = require('../../../utils/account-number');
+const { AMOUNT_PATTERN } = require('../../../utils/money');
+const { objectId } = require('../../../utils/object-id');
+
+const accountParams = {
+  id: joi.string().required().label('User ID'),
+  account_number: accountNumberSchema().required().label('Account Number'),
+};
+
+const pocketParams = {
+  ...accountParams,
+  pocket_id: objectId().required().label('Pocket ID'),
+};
+
+const moveBody = {
+  amount: joi.string().pattern(AMOUNT_PATTERN).required().label('Amount'),
+};
+
+module.exports = {
+  getPockets: {
+    params: accountParams,
+  },
+
+  getPocket: {
+    params: pocketParams,
+  },
+
+  createPocket: {
+    params: accountParams,
+    body: {
+      name: joi.string().min(1).max(50).required().label('Name'),
+      target_amount: joi
+        .string()
+        .pattern(AMOUNT_PATTERN)
+        .required()
+        .label('Target amount'),
+      target_date: joi.date().iso().greater('now').label('Target date'),
+    },
+  },
+
+  depositToPocket: {
+    params: pocketParams,
+    body: moveBody,
+  },
+
+  withdrawFromPocket: {
+    params: pocketParams,
+    body: moveBody,
+  },
+
+  breakPocket: {
+    params: pocketParams,
+  },
+};
@@ -0,0 +1,62 @@
+const reconciliationService = require('./reconciliation-service');
+const { errorResponder, errorTypes } = require('../../../core/errors');
+
+/**
+ * Handle run reconciliation request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function reconcile(request, response, next) {
+  try {
+    const report = await reconciliationService.reconcile(request.user.id);
+
+    return response.status(200).json(report);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle get list of reconciliation reports request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function getReports(request, response, next) {
+  try {
+    const reports = await reconciliationService.getReports(request.query.limit);
+
+    return response.status(200).json(reports);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle get reconciliation report detail request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function getReport(request, response, next) {
+  try {
+    const report = await reconciliationService.getReport(request.params.id);
+    if (!report) {
+      throw errorResponder(errorTypes.NOT_FOUND, 'Unknown report');
+    }
+
+    return response.status(200).json(report);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = {
+  reconcile,
+  getReports,
+  getReport,
+};
@@ -0,0 +1,49 @@
+const { ReconciliationReport } = require('../../../models');
+
+/**
+ * Create new reconciliation report
+ * @param {object} report - Report
+ * @returns {Promise}
+ */
+async function createReport(report) {
+  return ReconciliationReport.create(report);
+}
+
+/**
+ * Store the outcome of a reconciliation
+ * @param {string} id - Report ID
+ * @param {object} update - Fields to set
+ * @returns {Promise} The updated report
+ */
+async function completeReport(id, update) {
+  return ReconciliationReport.findOneAndUpdate(
+    { _id: id },
+    { $set: { ...update, finished_at: new Date() } },
+    { new: true }
+  );
+}
+
+/**
+ * Get the latest reconciliation reports
+ * @param {number} limit - Maximum number of reports
+ * @returns {Promise}
+ */
+async function getReports(limit) {
+  return ReconciliationReport.find({}).sort({ started_at: -1 }).limit(limit);
+}
+
+/**
+ * Get reconciliation report detail
+ * @param {string} id - Report ID
+ * @returns {Promise}
+ */
+async function getReport(id) {
+  return ReconciliationReport.findById(id);
+}
+
+module.exports = {
+  createReport,
+  completeReport,
+  getReports,
+  getReport,
+};
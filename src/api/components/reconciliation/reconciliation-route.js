@@ -0,0 +1,39 @@
+const express = require('express');
+
+const authenticationMiddleware = require('../../middlewares/authentication-middleware');
+const { requireRole } = require('../../middlewares/permission-middleware');
+const celebrate = require('../../../core/celebrate-wrappers');
+const reconciliationControllers = require('./reconciliation-controller');
+const reconciliationValidator = require('./reconciliation-validator');
+
+const route = express.Router();
+
+module.exports = (app) => {
+  app.use('/reconciliation', route);
+
+  // Get list of the latest reconciliation reports
+  route.get(
+    '/reports',
+    authenticationMiddleware,
+    requireRole('admin'),
+    celebrate(reconciliationValidator.getReports),
+    reconciliationControllers.getReports
+  );
+
+  // Reconcile every account balance with its ledger now
+  route.post(
+    '/reports',
+    authenticationMiddleware,
+    requireRole('admin'),
+    reconciliationControllers.reconcile
+  );
+
+  // Get reconciliation report detail with its discrepancies
+  route.get(
+    '/reports/:id',
+    authenticationMiddleware,
+    requireRole('admin'),
+    celebrate(reconciliationValidator.getReport),
+    reconciliationControllers.getReport
+  );
+};
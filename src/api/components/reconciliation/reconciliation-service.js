@@ -0,0 +1,218 @@
+const reconciliationRepository = require('./reconciliation-repository');
+const accountsRepository = require('../accounts/accounts-repository');
+const transactionsRepository = require('../transactions/transactions-repository');
+const transactionsService = require('../transactions/transactions-service');
+const config = require('../../../core/config');
+const logger = require('../../../core/logger')('app');
+const { formatAmount } = require('../../../utils/money');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Format a reconciliation report for the response
+ * @param {object} report - Report
+ * @param {boolean} withDiscrepancies - Whether to list every discrepancy
+ * @returns {object}
+ */
+function formatReport(report, withDiscrepancies = true) {
+  return {
+    id: report.id,
+    trigger: report.trigger,
+    triggered_by: report.triggered_by,
+    status: report.status,
+    accounts_checked: report.accounts_checked,
+    discrepancy_count: report.discrepancies.length,
+    ...(withDiscrepancies && {
+      discrepancies: report.discrepancies.map((discrepancy) => ({
+        account_number: discrepancy.account_number,
+        stored_balance: formatAmount(discrepancy.stored_balance),
+        ledger_balance: formatAmount(discrepancy.ledger_balance),
+        difference: formatAmount(discrepancy.difference),
+        entries: discrepancy.entries,
+      })),
+    }),
+    error: report.error,
+    started_at: report.started_at,
+    finished_at: report.finished_at,
+  };
+}
+
+/**
+ * Read the stored balance of an account and the sum of its ledger entries
+ * from the same snapshot, so no money movement falls in between
+ * @param {string} accountNumber - Account number
+ * @returns {object} The account and its ledger balance
+ */
+async function readBalances(accountNumber) {
+  const session = await accountsRepository.startSession();
+
+  try {
+    let balances = null;
+
+    await session.withTransaction(
+      async () => {
+        balances = {
+          account: await accountsRepository.getAccount(accountNumber, session),
+          ledgerBalance: await transactionsService.getLedgerBalance(
+            accountNumber,
+            session
+          ),
+        };
+      },
+      { readConcern: { level: 'snapshot' } }
+    );
+
+    return balances;
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Compare the stored balance of every account with the sum of its ledger
+ * entries. Accounts and ledger are read one after the other, so a mismatch
+ * is read again on its own before it is reported, leaving out money that
+ * moved in between.
+ * @returns {object} Number of accounts checked and the discrepancies
+ */
+async function findDiscrepancies() {
+  const accounts = await accountsRepository.getAllAccounts();
+  const ledgerBalances = await transactionsRepository.getLedgerBalances();
+  const ledger = new Map(
+    ledgerBalances.map(({ _id: accountNumber, balance, entries }) => [
+      accountNumber,
+      { balance, entries },
+    ])
+  );
+
+  const suspects = accounts.filter((account) => {
+    const { balance = 0 } = ledger.get(account.account_number) || {};
+    return account.balance !== balance;
+  });
+
+  const rechecked = await Promise.all(
+    suspects.map(async (suspect) => {
+      const { account, ledgerBalance } = await readBalances(
+        suspect.account_number
+      );
+      if (account.balance === ledgerBalance) {
+        return null;
+      }
+
+      const { entries = 0 } = ledger.get(suspect.account_number) || {};
+      return {
+        account_number: account.account_number,
+        stored_balance: account.balance,
+        ledger_balance: ledgerBalance,
+        difference: account.balance - ledgerBalance,
+        entries,
+      };
+    })
+  );
+
+  return {
+    accountsChecked: accounts.length,
+    discrepancies: rechecked.filter((discrepancy) => discrepancy),
+  };
+}
+
+/**
+ * Run a reconciliation and store its report
+ * @param {object} report - Initial report fields
+ * @returns {object} The report
+ */
+async function runReconciliation(report) {
+  const created = await reconciliationRepository.createReport(report);
+  let completed;
+
+  try {
+    const { accountsChecked, discrepancies } = await findDiscrepancies();
+    completed = await reconciliationRepository.completeReport(created.id, {
+      status: 'completed',
+      accounts_checked: accountsChecked,
+      discrepancies,
+    });
+
+    if (discrepancies.length > 0) {
+      logger.warn(
+        `Reconciliation ${created.id} found ${discrepancies.length} accounts with a balance differing from the ledger`
+      );
+    }
+  } catch (error) {
+    logger.error(error, `Reconciliation ${created.id} failed`);
+    completed = await reconciliationRepository.completeReport(created.id, {
+      status: 'failed',
+      error: error.message,
+    });
+  }
+
+  return formatReport(completed);
+}
+
+/**
+ * Run a reconciliation on demand
+ * @param {string} userId - ID of the user running it
+ * @returns {object} The report
+ */
+async function reconcile(userId) {
+  return runReconciliation({
+    trigger: 'manual',
+    triggered_by: String(userId),
+  });
+}
+
+/**
+ * Run the nightly reconciliation once the configured hour has passed, unless
+ * it already ran today
+ */
+async function runNightlyReconciliation() {
+  const now = new Date();
+
+  if (now.getUTCHours() < config.reconciliation.hour) {
+    return;
+  }
+
+  try {
+    await runReconciliation({
+      trigger: 'scheduled',
+      scheduled_for: now.toISOString().slice(0, 10),
+    });
+  } catch (error) {
+    // Already ran today
+    if (error.code !== DUPLICATE_KEY_ERROR) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Get list of the latest reconciliation reports, without their discrepancies
+ * @param {number} limit - Maximum number of reports
+ * @returns {Array}
+ */
+async function getReports(limit) {
+  const reports = await reconciliationRepository.getReports(limit);
+  return reports.map((report) => formatReport(report, false));
+}
+
+/**
+ * Get reconciliation report detail
+ * @param {string} id - Report ID
+ * @returns {object}
+ */
+async function getReport(id) {
+  const report = await reconciliationRepository.getReport(id);
+
+  if (!report) {
+    return null;
+  }
+
+  return formatReport(report);
+}
+
+module.exports = {
+  reconcile,
+  runNightlyReconciliation,
+  getReports,
+  getReport,
+};
@@ -0,0 +1,15 @@
+const joi = require('joi');
+
+module.exports = {
+  getReports: {
+    query: {
+      limit: joi.number().integer().min(1).max(100).default(30).label('Limit'),
+    },
+  },
+
+  getReport: {
+    params: {
+      id: joi.string().required().label('Report ID'),
+    },
+  },
+};
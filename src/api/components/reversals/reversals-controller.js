@@ -0,0 +1,124 @@
+const reversalsService = require('./reversals-service');
+const { errorResponder, errorTypes } = require('../../../core/errors');
+
+/**
+ * Handle get list of reversal requests request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function getReversalRequests(request, response, next) {
+  try {
+    const reversalRequests = await reversalsService.getReversalRequests({
+      status: request.query.status,
+      transaction_id: request.query.transaction_id,
+    });
+
+    return response.status(200).json(reversalRequests);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle get reversal request detail request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function getReversalRequest(request, response, next) {
+  try {
+    const reversalRequest = await reversalsService.getReversalRequest(
+      request.params.id
+    );
+    if (!reversalRequest) {
+      throw errorResponder(errorTypes.NOT_FOUND, 'Unknown reversal request');
+    }
+
+    return response.status(200).json(reversalRequest);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle propose transaction reversal request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function createReversalRequest(request, response, next) {
+  try {
+    const reversalRequest = await reversalsService.createReversalRequest(
+      request.body.transaction_id,
+      request.body.reason,
+      request.user.id
+    );
+    if (!reversalRequest) {
+      throw errorResponder(errorTypes.NOT_FOUND, 'Unknown transaction');
+    }
+
+    return response.status(200).json(reversalRequest);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle approve reversal request request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function approveReversalRequest(request, response, next) {
+  try {
+    const reversalRequest = await reversalsService.approveReversalRequest(
+      request.params.id,
+      request.user.id,
+      request.body.note
+    );
+    if (!reversalRequest) {
+      throw errorResponder(errorTypes.NOT_FOUND, 'Unknown reversal request');
+    }
+
+    return response.status(200).json(reversalRequest);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle reject reversal request request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function rejectReversalRequest(request, response, next) {
+  try {
+    const reversalRequest = await reversalsService.rejectReversalRequest(
+      request.params.id,
+      request.user.id,
+      request.body.note
+    );
+    if (!reversalRequest) {
+      throw errorResponder(errorTypes.NOT_FOUND, 'Unknown reversal request');
+    }
+
+    return response.status(200).json(reversalRequest);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = {
+  getReversalRequests,
+  getReversalRequest,
+  createReversalRequest,
+  approveReversalRequest,
+  rejectReversalRequest,
+};
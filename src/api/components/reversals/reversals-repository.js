@@ -0,0 +1,89 @@
+const { ReversalRequest } = require('../../../models');
+
+/**
+ * Create new reversal request
+ * @param {string} transactionId - Transaction ID
+ * @param {string} reason - Reason
+ * @param {string} userId - Requesting user ID
+ * @returns {Promise}
+ */
+async function createReversalRequest(transactionId, reason, userId) {
+  return ReversalRequest.create({
+    transaction_id: transactionId,
+    reason,
+    requested_by: userId,
+    history: [{ action: 'requested', user_id: userId, note: reason }],
+  });
+}
+
+/**
+ * Get reversal requests matching the filters, newest first
+ * @param {object} filters - Optional `status` and `transaction_id` filters
+ * @returns {Promise}
+ */
+async function getReversalRequests(filters) {
+  const query = {};
+
+  if (filters.status) {
+    query.status = filters.status;
+  }
+
+  if (filters.transaction_id) {
+    query.transaction_id = filters.transaction_id;
+  }
+
+  return ReversalRequest.find(query).sort({ created_at: -1 });
+}
+
+/**
+ * Get reversal request detail
+ * @param {string} id - Reversal request ID
+ * @returns {Promise}
+ */
+async function getReversalRequest(id) {
+  return ReversalRequest.findById(id);
+}
+
+/**
+ * Get the pending or approved reversal request of a transaction
+ * @param {string} transactionId - Transaction ID
+ * @returns {Promise}
+ */
+async function getOpenReversalRequest(transactionId) {
+  return ReversalRequest.findOne({
+    transaction_id: transactionId,
+    status: { $in: ['pending', 'approved'] },
+  });
+}
+
+/**
+ * Approve or reject a pending reversal request
+ * @param {string} id - Reversal request ID
+ * @param {string} status - 'approved' or 'rejected'
+ * @param {string} userId - Reviewing user ID
+ * @param {string} note - Review note
+ * @param {object} session - Mongoose session
+ * @returns {Promise} The updated request, or null if it is not pending
+ */
+async function reviewReversalRequest(id, status, userId, note, session = null) {
+  return ReversalRequest.findOneAndUpdate(
+    { _id: id, status: 'pending' },
+    {
+      $set: {
+        status,
+        reviewed_by: userId,
+        ...(status === 'approved' && { reversal_reference: `reversal-${id}` }),
+      },
+      $push: { history: { action: status, user_id: userId, note } },
+    },
+    { new: true, session }
+  );
+}
+
+module.exports = {
+  createReversalRequest,
+  getReversalRequests,
+  getReversalRequest,
+  getOpenReversalRequest,
+  reviewReversalRequest,
+};
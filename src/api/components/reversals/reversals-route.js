@@ -0,0 +1,58 @@
+const express = require('express');
+
+const authenticationMiddleware = require('../../middlewares/authentication-middleware');
+const { requireRole } = require('../../middlewares/permission-middleware');
+const celebrate = require('../../../core/celebrate-wrappers');
+const reversalsControllers = require('./reversals-controller');
+const reversalsValidator = require('./reversals-validator');
+
+const route = express.Router();
+
+module.exports = (app) => {
+  app.use('/reversals', route);
+
+  // Get list of reversal requests
+  route.get(
+    '/',
+    authenticationMiddleware,
+    requireRole('teller', 'admin'),
+    celebrate(reversalsValidator.getReversalRequests),
+    reversalsControllers.getReversalRequests
+  );
+
+  // Propose reversing a transaction
+  route.post(
+    '/',
+    authenticationMiddleware,
+    requireRole('teller', 'admin'),
+    celebrate(reversalsValidator.createReversalRequest),
+    reversalsControllers.createReversalRequest
+  );
+
+  // Get reversal request detail with its history
+  route.get(
+    '/:id',
+    authenticationMiddleware,
+    requireRole('teller', 'admin'),
+    celebrate(reversalsValidator.getReversalRequest),
+    reversalsControllers.getReversalRequest
+  );
+
+  // Approve a reversal request, posting the compensating entries
+  route.post(
+    '/:id/approve',
+    authenticationMiddleware,
+    requireRole('admin'),
+    celebrate(reversalsValidator.approveReversalRequest),
+    reversalsControllers.approveReversalRequest
+  );
+
+  // Reject a reversal request
+  route.post(
+    '/:id/reject',
+    authenticationMiddleware,
+    requireRole('admin'),
+    celebrate(reversalsValidator.rejectReversalRequest),
+    reversalsControllers.rejectReversalRequest
+  );
+};
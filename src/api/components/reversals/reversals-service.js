@@ -0,0 +1,315 @@
+const reversalsRepository = require('./reversals-repository');
+const accountsRepository = require('../accounts/accounts-repository');
+const accountsService = require('../accounts/accounts-service');
+const transactionsRepository = require('../transactions/transactions-repository');
+const webhooksService = require('../webhooks/webhooks-service');
+const { errorResponder, errorTypes } = require('../../../core/errors');
+
+// Ledger entries of money the customer moved. Other entries have no
+// counterpart a reversal could undo: e.g. a pocket move would return money to
+// the balance while the pocket still holds it, and interest, opening balances
+// and reversals are booked by the bank itself.
+const reversibleTypes = ['transfer_out', 'withdrawal', 'top_up'];
+
+/**
+ * Format a reversal request for the response
+ * @param {object} reversalRequest - Reversal request
+ * @returns {object}
+ */
+function formatReversalRequest(reversalRequest) {
+  return {
+    id: reversalRequest.id,
+    transaction_id: reversalRequest.transaction_id,
+    reason: reversalRequest.reason,
+    status: reversalRequest.status,
+    requested_by: reversalRequest.requested_by,
+    reviewed_by: reversalRequest.reviewed_by,
+    reversal_reference: reversalRequest.reversal_reference,
+    history: reversalRequest.history.map((entry) => ({
+      action: entry.action,
+      user_id: entry.user_id,
+      note: entry.note,
+      at: entry.at,
+    })),
+    created_at: reversalRequest.created_at,
+  };
+}
+
+/**
+ * Make sure a ledger entry can be reversed
+ * @param {object} transaction - Ledger entry
+ */
+function assertReversible(transaction) {
+  if (!reversibleTypes.includes(transaction.type)) {
+    throw errorResponder(
+      errorTypes.UNPROCESSABLE_ENTITY,
+      `Only ${reversibleTypes.join(', ')} transactions can be reversed`
+    );
+  }
+}
+
+/**
+ * Get the ledger entries that a reversal of the transaction has to undo,
+ * i.e. both sides of a transfer, credits first
+ * @param {object} transaction - Ledger entry
+ * @returns {Array}
+ */
+async function getEntriesToReverse(transaction) {
+  const entries = transaction.reference
+    ? await transactionsRepository.getTransactionsByReference(
+        transaction.reference
+      )
+    : [transaction];
+
+  return entries.sort((a, b) => {
+    if (a.direction === b.direction) {
+      return 0;
+    }
+    return a.direction === 'credit' ? -1 : 1;
+  });
+}
+
+/**
+ * Post the compensating entry of a ledger entry
+ * @param {object} entry - Ledger entry to compensate
+ * @param {string} reference - Reversal reference
+ * @param {object} session - Mongoose session
+ * @returns {object} The compensating entry
+ */
+async function postCompensatingEntry(entry, reference, session) {
+  const { account_number: accountNumber, amount } = entry;
+  let account;
+
+  if (entry.direction === 'credit') {
+    // Taking back a credit must not push the account into its overdraft
+    const current = await accountsRepository.getAccount(accountNumber, session);
+    const floor = Math.min(
+      0,
+      accountsService.getBalanceFloor(current && current.type)
+    );
+    account = await accountsRepository.debitBalance(
+      accountNumber,
+      amount,
+      floor,
+      session
+    );
+  } else {
+    account = await accountsRepository.creditBalance(
+      accountNumber,
+      amount,
+      session
+    );
+  }
+
+  if (!account) {
+    throw errorResponder(
+      errorTypes.UNPROCESSABLE_ENTITY,
+      `Account ${accountNumber} is not active or has insufficient funds for the reversal`
+    );
+  }
+
+  const compensation = {
+    account_number: accountNumber,
+    type: 'reversal',
+    direction: entry.direction === 'credit' ? 'debit' : 'credit',
+    amount,
+    currency: entry.currency,
+    counterparty: entry.counterparty,
+    balance_after: account.balance,
+    reference,
+    description: `Reversal of transaction ${entry.id}`,
+  };
+  await transactionsRepository.createTransaction(compensation, session);
+
+  return compensation;
+}
+
+/**
+ * Get list of reversal requests
+ * @param {object} filters - Optional `status` and `transaction_id` filters
+ * @returns {Array}
+ */
+async function getReversalRequests(filters) {
+  const reversalRequests =
+    await reversalsRepository.getReversalRequests(filters);
+  return reversalRequests.map(formatReversalRequest);
+}
+
+/**
+ * Get reversal request detail
+ * @param {string} id - Reversal request ID
+ * @returns {object}
+ */
+async function getReversalRequest(id) {
+  const reversalRequest = await reversalsRepository.getReversalRequest(id);
+
+  if (!reversalRequest) {
+    return null;
+  }
+
+  return formatReversalRequest(reversalRequest);
+}
+
+/**
+ * Propose reversing a transaction
+ * @param {string} transactionId - Transaction ID
+ * @param {string} reason - Reason
+ * @param {string} userId - Requesting user ID
+ * @returns {object} The reversal request, or null if the transaction is not found
+ */
+async function createReversalRequest(transactionId, reason, userId) {
+  const transaction =
+    await transactionsRepository.getTransaction(transactionId);
+
+  if (!transaction) {
+    return null;
+  }
+
+  assertReversible(transaction);
+
+  // One side of a transfer shares its reversal with the other side
+  const entries = await getEntriesToReverse(transaction);
+  const openRequests = await Promise.all(
+    entries.map((entry) => reversalsRepository.getOpenReversalRequest(entry.id))
+  );
+  if (openRequests.some((openRequest) => openRequest)) {
+    throw errorResponder(
+      errorTypes.DB_DUPLICATE_CONFLICT,
+      'This transaction already has a pending or approved reversal'
+    );
+  }
+
+  const reversalRequest = await reversalsRepository.createReversalRequest(
+    transaction.id,
+    reason,
+    userId
+  );
+  return formatReversalRequest(reversalRequest);
+}
+
+/**
+ * Make sure a reversal request can be reviewed by the user
+ * @param {object} reversalRequest - Reversal request
+ * @param {string} userId - Reviewing user ID
+ */
+function assertReviewable(reversalRequest, userId) {
+  if (reversalRequest.requested_by === String(userId)) {
+    throw errorResponder(
+      errorTypes.FORBIDDEN,
+      'A reversal must be reviewed by a different user than its requester'
+    );
+  }
+
+  if (reversalRequest.status !== 'pending') {
+    throw errorResponder(
+      errorTypes.UNPROCESSABLE_ENTITY,
+      `Reversal request is already ${reversalRequest.status}`
+    );
+  }
+}
+
+/**
+ * Approve a reversal request and post the compensating ledger entries in the
+ * same transaction
+ * @param {string} id - Reversal request ID
+ * @param {string} userId - Reviewing user ID
+ * @param {string} note - Review note
+ * @returns {object} The reversal request, or null if it is not found
+ */
+async function approveReversalRequest(id, userId, note) {
+  const reversalRequest = await reversalsRepository.getReversalRequest(id);
+
+  if (!reversalRequest) {
+    return null;
+  }
+
+  assertReviewable(reversalRequest, userId);
+
+  const transaction = await transactionsRepository.getTransaction(
+    reversalRequest.transaction_id
+  );
+  // Requests made before the rule was in place
+  assertReversible(transaction);
+  const entries = await getEntriesToReverse(transaction);
+  const session = await accountsRepository.startSession();
+
+  try {
+    let approved = null;
+    let compensations = [];
+
+    await session.withTransaction(async () => {
+      compensations = [];
+      approved = await reversalsRepository.reviewReversalRequest(
+        id,
+        'approved',
+        String(userId),
+        note,
+        session
+      );
+      if (!approved) {
+        throw errorResponder(
+          errorTypes.UNPROCESSABLE_ENTITY,
+          'Reversal request has already been reviewed'
+        );
+      }
+
+      // Entries are posted one by one, a session runs one operation at a time
+      // eslint-disable-next-line no-restricted-syntax
+      for (const entry of entries) {
+        compensations.push(
+          // eslint-disable-next-line no-await-in-loop
+          await postCompensatingEntry(
+            entry,
+            approved.reversal_reference,
+            session
+          )
+        );
+      }
+    });
+
+    await Promise.all(compensations.map(webhooksService.publishBalanceChange));
+    return formatReversalRequest(approved);
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Reject a reversal request
+ * @param {string} id - Reversal request ID
+ * @param {string} userId - Reviewing user ID
+ * @param {string} note - Review note
+ * @returns {object} The reversal request, or null if it is not found
+ */
+async function rejectReversalRequest(id, userId, note) {
+  const reversalRequest = await reversalsRepository.getReversalRequest(id);
+
+  if (!reversalRequest) {
+    return null;
+  }
+
+  assertReviewable(reversalRequest, userId);
+
+  const rejected = await reversalsRepository.reviewReversalRequest(
+    id,
+    'rejected',
+    String(userId),
+    note
+  );
+  if (!rejected) {
+    throw errorResponder(
+      errorTypes.UNPROCESSABLE_ENTITY,
+      'Reversal request has already been reviewed'
+    );
+  }
+
+  return formatReversalRequest(rejected);
+}
+
+module.exports = {
+  getReversalRequests,
+  getReversalRequest,
+  createReversalRequest,
+  approveReversalRequest,
+  rejectReversalRequest,
+};
@@ -0,0 +1,43 @@
+const joi = require('joi');
+const { objectId } = require('../../../utils/object-id');
+
+const reversalRequestParams = {
+  id: objectId().required().label('Reversal Request ID'),
+};
+
+module.exports = {
+  getReversalRequests: {
+    query: {
+      status: joi
+        .string()
+        .valid('pending', 'approved', 'rejected')
+        .label('Status'),
+      transaction_id: objectId().label('Transaction ID'),
+    },
+  },
+
+  getReversalRequest: {
+    params: reversalRequestParams,
+  },
+
+  createReversalRequest: {
+    body: {
+      transaction_id: objectId().required().label('Transaction ID'),
+      reason: joi.string().min(3).max(200).required().label('Reason'),
+    },
+  },
+
+  approveReversalRequest: {
+    params: reversalRequestParams,
+    body: {
+      note: joi.string().max(200).label('Note'),
+    },
+  },
+
+  rejectReversalRequest: {
+    params: reversalRequestParams,
+    body: {
+      note: joi.string().min(3).max(200).required().label('Note'),
+    },
+  },
+};
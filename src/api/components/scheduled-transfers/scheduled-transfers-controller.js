@@ -0,0 +1,209 @@
+const scheduledTransfersService = require('./scheduled-transfers-service');
+const accountsService = require('../accounts/accounts-service');
+const beneficiariesService = require('../beneficiaries/beneficiaries-service');
+const usersService = require('../users/users-service');
+const { errorResponder, errorTypes } = require('../../../core/errors');
+const { toMinorUnits } = require('../../../utils/money');
+
+/**
+ * Handle get list of scheduled transfers request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function getScheduledTransfers(request, response, next) {
+  try {
+    const scheduledTransfers =
+      await scheduledTransfersService.getScheduledTransfers(request.user.id);
+
+    return response.status(200).json(scheduledTransfers);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle create scheduled transfer request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function createScheduledTransfer(request, response, next) {
+  try {
+    const fromAccount = request.body.from_account;
+    const toAccount = await beneficiariesService.resolveAccountNumber(
+      request.user.id,
+      request.body.to_account,
+      request.body.beneficiary_id
+    );
+    const amount = toMinorUnits(request.body.amount);
+
+    // Check if amount is valid
+    if (amount === null || amount <= 0) {
+      throw errorResponder(
+        errorTypes.INVALID_AMOUNT,
+        'Invalid transfer amount'
+      );
+    }
+
+    if (fromAccount === toAccount) {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'Cannot transfer to the same account'
+      );
+    }
+
+    // Check if source account belongs to the logged in user
+    const owned = await accountsService.getOwnedAccount(
+      request.user.id,
+      fromAccount
+    );
+    if (!owned) {
+      throw errorResponder(
+        errorTypes.INVALID_CREDENTIALS,
+        'Source account is not valid'
+      );
+    }
+
+    // Check if destination account is registered
+    const accountRegistered = await usersService.getUAN(toAccount);
+    if (!accountRegistered) {
+      throw errorResponder(
+        errorTypes.INVALID_CREDENTIALS,
+        'Destination account is not valid'
+      );
+    }
+
+    const scheduledTransfer =
+      await scheduledTransfersService.createScheduledTransfer(request.user.id, {
+        fromAccount,
+        toAccount,
+        amount,
+        description: request.body.description,
+        frequency: request.body.frequency,
+        startAt: request.body.start_at,
+        endAt: request.body.end_at,
+      });
+    if (!scheduledTransfer) {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'Failed to schedule transfer'
+      );
+    }
+
+    return response.status(200).json(scheduledTransfer);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Get the scheduled transfer of the request if the logged in user owns it
+ * @param {object} request - Express request object
+ * @returns {object}
+ */
+async function getRequestedScheduledTransfer(request) {
+  const scheduledTransfer =
+    await scheduledTransfersService.getOwnedScheduledTransfer(
+      request.user.id,
+      request.params.id
+    );
+
+  if (!scheduledTransfer) {
+    throw errorResponder(errorTypes.NOT_FOUND, 'Unknown scheduled transfer');
+  }
+
+  return scheduledTransfer;
+}
+
+/**
+ * Handle pause scheduled transfer request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function pauseScheduledTransfer(request, response, next) {
+  try {
+    const scheduledTransfer = await getRequestedScheduledTransfer(request);
+
+    const success = await scheduledTransfersService.pauseScheduledTransfer(
+      scheduledTransfer.id
+    );
+    if (!success) {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'Only active scheduled transfers can be paused'
+      );
+    }
+
+    return response.status(200).json({ id: scheduledTransfer.id });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle resume scheduled transfer request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function resumeScheduledTransfer(request, response, next) {
+  try {
+    const scheduledTransfer = await getRequestedScheduledTransfer(request);
+
+    const success =
+      await scheduledTransfersService.resumeScheduledTransfer(
+        scheduledTransfer
+      );
+    if (!success) {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'Only paused scheduled transfers can be resumed'
+      );
+    }
+
+    return response.status(200).json({ id: scheduledTransfer.id });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle cancel scheduled transfer request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function cancelScheduledTransfer(request, response, next) {
+  try {
+    const scheduledTransfer = await getRequestedScheduledTransfer(request);
+
+    const success = await scheduledTransfersService.cancelScheduledTransfer(
+      scheduledTransfer.id
+    );
+    if (!success) {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'Scheduled transfer has already finished'
+      );
+    }
+
+    return response.status(200).json({ id: scheduledTransfer.id });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = {
+  getScheduledTransfers,
+  createScheduledTransfer,
+  pauseScheduledTransfer,
+  resumeScheduledTransfer,
+  cancelScheduledTransfer,
+};
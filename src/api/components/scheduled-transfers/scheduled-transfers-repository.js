@@ -0,0 +1,88 @@
+const { ScheduledTransfer } = require('../../../models');
+
+/**
+ * Create new scheduled transfer
+ * @param {object} scheduledTransfer - Scheduled transfer
+ * @returns {Promise}
+ */
+async function createScheduledTransfer(scheduledTransfer) {
+  return ScheduledTransfer.create(scheduledTransfer);
+}
+
+/**
+ * Get scheduled transfers of a user
+ * @param {string} userId - User ID
+ * @returns {Promise}
+ */
+async function getScheduledTransfersByUser(userId) {
+  return ScheduledTransfer.find({ user_id: userId }).sort({ created_at: -1 });
+}
+
+/**
+ * Get scheduled transfer detail
+ * @param {string} id - Scheduled transfer ID
+ * @returns {Promise}
+ */
+async function getScheduledTransfer(id) {
+  return ScheduledTransfer.findById(id);
+}
+
+/**
+ * Change the status of a scheduled transfer if it is in one of the statuses
+ * @param {string} id - Scheduled transfer ID
+ * @param {Array} fromStatuses - Statuses the change is allowed from
+ * @param {object} update - Fields to set, including the new status
+ * @returns {Promise}
+ */
+async function updateStatus(id, fromStatuses, update) {
+  return ScheduledTransfer.updateOne(
+    { _id: id, status: { $in: fromStatuses } },
+    { $set: update }
+  );
+}
+
+/**
+ * Lock one active scheduled transfer that is due, so no other runner picks
+ * it up until the lock expires
+ * @param {Date} now - Current time
+ * @param {Date} lockUntil - Lock expiry
+ * @returns {Promise} The locked scheduled transfer, or null if none is due
+ */
+async function claimDueTransfer(now, lockUntil) {
+  return ScheduledTransfer.findOneAndUpdate(
+    {
+      status: 'active',
+      next_run_at: { $lte: now },
+      $or: [{ locked_until: null }, { locked_until: { $lt: now } }],
+    },
+    { $set: { locked_until: lockUntil } },
+    { new: true, sort: { next_run_at: 1 } }
+  );
+}
+
+/**
+ * Record an execution attempt and release the lock
+ * @param {string} id - Scheduled transfer ID
+ * @param {object} execution - Execution record
+ * @param {object} update - Fields to set for the next run
+ * @returns {Promise}
+ */
+async function recordExecution(id, execution, update) {
+  return ScheduledTransfer.updateOne(
+    { _id: id },
+    {
+      $push: { executions: execution },
+      $set: update,
+      $unset: { locked_until: '' },
+    }
+  );
+}
+
+module.exports = {
+  createScheduledTransfer,
+  getScheduledTransfersByUser,
+  getScheduledTransfer,
+  updateStatus,
+  claimDueTransfer,
+  recordExecution,
+};
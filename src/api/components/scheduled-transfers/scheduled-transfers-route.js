@@ -0,0 +1,56 @@
+const express = require('express');
+
+const authenticationMiddleware = require('../../middlewares/authentication-middleware');
+const idempotencyMiddleware = require('../../middlewares/idempotency-middleware');
+const transactionPinMiddleware = require('../../middlewares/transaction-pin-middleware');
+const celebrate = require('../../../core/celebrate-wrappers');
+const scheduledTransfersControllers = require('./scheduled-transfers-controller');
+const scheduledTransfersValidator = require('./scheduled-transfers-validator');
+
+const route = express.Router();
+
+module.exports = (app) => {
+  app.use('/transfers/scheduled', route);
+
+  // Get list of scheduled transfers of the logged in user
+  route.get(
+    '/',
+    authenticationMiddleware,
+    scheduledTransfersControllers.getScheduledTransfers
+  );
+
+  // Schedule a one-off or recurring transfer
+  route.post(
+    '/',
+    authenticationMiddleware,
+    celebrate(scheduledTransfersValidator.createScheduledTransfer),
+    transactionPinMiddleware,
+    idempotencyMiddleware,
+    scheduledTransfersControllers.createScheduledTransfer
+  );
+
+  // Pause a scheduled transfer
+  route.post(
+    '/:id/pause',
+    authenticationMiddleware,
+    celebrate(scheduledTransfersValidator.updateScheduledTransfer),
+    scheduledTransfersControllers.pauseScheduledTransfer
+  );
+
+  // Resume a paused scheduled transfer
+  route.post(
+    '/:id/resume',
+    authenticationMiddleware,
+    celebrate(scheduledTransfersValidator.updateScheduledTransfer),
+    transactionPinMiddleware,
+    scheduledTransfersControllers.resumeScheduledTransfer
+  );
+
+  // Cancel a scheduled transfer
+  route.delete(
+    '/:id',
+    authenticationMiddleware,
+    celebrate(scheduledTransfersValidator.updateScheduledTransfer),
+    scheduledTransfersControllers.cancelScheduledTransfer
+  );
+};
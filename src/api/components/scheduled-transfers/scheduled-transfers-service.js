@@ -0,0 +1,310 @@
+const scheduledTransfersRepository = require('./scheduled-transfers-repository');
+const fraudService = require('../fraud/fraud-service');
+const transactionsRepository = require('../transactions/transactions-repository');
+const transfersService = require('../transfers/transfers-service');
+const config = require('../../../core/config');
+const logger = require('../../../core/logger')('app');
+const { formatAmount } = require('../../../utils/money');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// A runner that crashes mid-transfer releases its lock after this long
+const LOCK_DURATION = 5 * 60 * 1000;
+
+/**
+ * Format a scheduled transfer for the response
+ * @param {object} scheduledTransfer - Scheduled transfer
+ * @returns {object}
+ */
+function formatScheduledTransfer(scheduledTransfer) {
+  return {
+    id: scheduledTransfer.id,
+    from_account: scheduledTransfer.from_account,
+    to_account: scheduledTransfer.to_account,
+    amount: formatAmount(scheduledTransfer.amount),
+    description: scheduledTransfer.description,
+    frequency: scheduledTransfer.frequency,
+    start_at: scheduledTransfer.start_at,
+    end_at: scheduledTransfer.end_at,
+    status: scheduledTransfer.status,
+    next_run_at:
+      scheduledTransfer.status === 'active'
+        ? scheduledTransfer.next_run_at
+        : null,
+    executions: scheduledTransfer.executions.map((execution) => ({
+      occurrence_at: execution.occurrence_at,
+      executed_at: execution.executed_at,
+      status: execution.status,
+      reference: execution.reference,
+      message: execution.message,
+    })),
+    created_at: scheduledTransfer.created_at,
+  };
+}
+
+/**
+ * Get the occurrence after the given one. Monthly transfers keep the day of
+ * month of the start date, or the last day of shorter months.
+ * @param {string} frequency - 'once', 'daily', 'weekly' or 'monthly'
+ * @param {Date} occurrence - Current occurrence
+ * @param {Date} startAt - First occurrence
+ * @returns {Date} Next occurrence, or null for one-off transfers
+ */
+function nextOccurrence(frequency, occurrence, startAt) {
+  const next = new Date(occurrence);
+
+  switch (frequency) {
+    case 'daily':
+      next.setUTCDate(next.getUTCDate() + 1);
+      return next;
+    case 'weekly':
+      next.setUTCDate(next.getUTCDate() + 7);
+      return next;
+    case 'monthly': {
+      const year = next.getUTCFullYear();
+      const month = next.getUTCMonth() + 1;
+      const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      next.setUTCDate(1);
+      next.setUTCMonth(month);
+      next.setUTCDate(Math.min(startAt.getUTCDate(), lastDay));
+      return next;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Create new scheduled transfer
+ * @param {string} userId - User ID
+ * @param {object} schedule - Accounts, amount in minor units, description,
+ * frequency and start and end date
+ * @returns {object}
+ */
+async function createScheduledTransfer(userId, schedule) {
+  try {
+    const scheduledTransfer =
+      await scheduledTransfersRepository.createScheduledTransfer({
+        user_id: userId,
+        from_account: schedule.fromAccount,
+        to_account: schedule.toAccount,
+        amount: schedule.amount,
+        description: schedule.description,
+        frequency: schedule.frequency,
+        start_at: schedule.startAt,
+        end_at: schedule.endAt,
+        occurrence_at: schedule.startAt,
+        next_run_at: schedule.startAt,
+      });
+    return formatScheduledTransfer(scheduledTransfer);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Get list of scheduled transfers of a user
+ * @param {string} userId - User ID
+ * @returns {Array}
+ */
+async function getScheduledTransfers(userId) {
+  const scheduledTransfers =
+    await scheduledTransfersRepository.getScheduledTransfersByUser(userId);
+  return scheduledTransfers.map(formatScheduledTransfer);
+}
+
+/**
+ * Get a scheduled transfer if it is owned by the user
+ * @param {string} userId - User ID
+ * @param {string} id - Scheduled transfer ID
+ * @returns {object} The scheduled transfer, or null if not owned by the user
+ */
+async function getOwnedScheduledTransfer(userId, id) {
+  const scheduledTransfer =
+    await scheduledTransfersRepository.getScheduledTransfer(id);
+
+  if (!scheduledTransfer || scheduledTransfer.user_id !== String(userId)) {
+    return null;
+  }
+
+  return scheduledTransfer;
+}
+
+/**
+ * Pause an active scheduled transfer
+ * @param {string} id - Scheduled transfer ID
+ * @returns {boolean}
+ */
+async function pauseScheduledTransfer(id) {
+  const result = await scheduledTransfersRepository.updateStatus(
+    id,
+    ['active'],
+    { status: 'paused' }
+  );
+  return result.modifiedCount > 0 ? true : null;
+}
+
+/**
+ * Resume a paused scheduled transfer. Recurring occurrences missed while it
+ * was paused are skipped.
+ * @param {object} scheduledTransfer - Scheduled transfer
+ * @returns {boolean}
+ */
+async function resumeScheduledTransfer(scheduledTransfer) {
+  const { frequency, start_at: startAt } = scheduledTransfer;
+  const now = new Date();
+
+  let occurrence = scheduledTransfer.occurrence_at;
+  let next = nextOccurrence(frequency, occurrence, startAt);
+  while (next && occurrence < now) {
+    occurrence = next;
+    next = nextOccurrence(frequency, occurrence, startAt);
+  }
+
+  const result = await scheduledTransfersRepository.updateStatus(
+    scheduledTransfer.id,
+    ['paused'],
+    {
+      status: 'active',
+      occurrence_at: occurrence,
+      next_run_at: occurrence,
+      failed_attempts: 0,
+    }
+  );
+  return result.modifiedCount > 0 ? true : null;
+}
+
+/**
+ * Cancel a scheduled transfer that has not finished yet
+ * @param {string} id - Scheduled transfer ID
+ * @returns {boolean}
+ */
+async function cancelScheduledTransfer(id) {
+  const result = await scheduledTransfersRepository.updateStatus(
+    id,
+    ['active', 'paused'],
+    { status: 'cancelled' }
+  );
+  return result.modifiedCount > 0 ? true : null;
+}
+
+/**
+ * Execute the current occurrence of a locked scheduled transfer and move it
+ * to the next run. The transfer reference is derived from the occurrence, so
+ * an occurrence that was already posted before a restart is not posted again.
+ * @param {object} scheduledTransfer - Scheduled transfer
+ */
+async function executeScheduledTransfer(scheduledTransfer) {
+  const {
+    id,
+    frequency,
+    occurrence_at: occurrenceAt,
+    start_at: startAt,
+    end_at: endAt,
+  } = scheduledTransfer;
+  const reference = `scheduled-${id}-${occurrenceAt.getTime()}`;
+  const execution = {
+    occurrence_at: occurrenceAt,
+    executed_at: new Date(),
+    reference,
+  };
+
+  try {
+    const posted =
+      await transactionsRepository.getTransactionsByReference(reference);
+
+    if (posted.length > 0) {
+      execution.status = 'success';
+      execution.message = 'Already executed';
+    } else {
+      const transfer = await transfersService.transfer(
+        scheduledTransfer.from_account,
+        scheduledTransfer.to_account,
+        scheduledTransfer.amount,
+        scheduledTransfer.description,
+        reference
+      );
+      if (fraudService.isHeld(transfer)) {
+        execution.status = 'held';
+        execution.message = transfer.message;
+      } else {
+        execution.status = 'success';
+      }
+    }
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      execution.status = 'success';
+      execution.message = 'Already executed';
+    } else {
+      execution.status = 'failed';
+      execution.message = error.message;
+    }
+  }
+
+  const failedAttempts =
+    execution.status === 'failed' ? scheduledTransfer.failed_attempts + 1 : 0;
+  const update = { failed_attempts: failedAttempts };
+
+  if (
+    failedAttempts > 0 &&
+    failedAttempts < config.scheduledTransfers.maxAttempts
+  ) {
+    // Retry the same occurrence later
+    update.next_run_at = new Date(
+      Date.now() + config.scheduledTransfers.retryDelay * 1000
+    );
+  } else {
+    // Move on to the next occurrence
+    const next = nextOccurrence(frequency, occurrenceAt, startAt);
+    update.failed_attempts = 0;
+
+    if (!next || (endAt && next > endAt)) {
+      update.status =
+        frequency === 'once' && execution.status === 'failed'
+          ? 'failed'
+          : 'completed';
+    } else {
+      update.occurrence_at = next;
+      update.next_run_at = next;
+    }
+  }
+
+  await scheduledTransfersRepository.recordExecution(id, execution, update);
+}
+
+/**
+ * Execute every scheduled transfer that is due
+ */
+async function runDueTransfers() {
+  const now = new Date();
+  const scheduledTransfer = await scheduledTransfersRepository.claimDueTransfer(
+    now,
+    new Date(now.getTime() + LOCK_DURATION)
+  );
+
+  if (!scheduledTransfer) {
+    return;
+  }
+
+  try {
+    await executeScheduledTransfer(scheduledTransfer);
+  } catch (error) {
+    // Leave it locked, it is picked up again once the lock expires
+    logger.error(
+      error,
+      `Failed to run scheduled transfer ${scheduledTransfer.id}`
+    );
+  }
+
+  await runDueTransfers();
+}
+
+module.exports = {
+  createScheduledTransfer,
+  getScheduledTransfers,
+  getOwnedScheduledTransfer,
+  pauseScheduledTransfer,
+  resumeScheduledTransfer,
+  cancelScheduledTransfer,
+  runDueTransfers,
+};
@@ -0,0 +1,49 @@
+const joi = require('joi');
+const { accountNumberSchema } = require('../../../utils/account-number');
+const { AMOUNT_PATTERN } = require('../../../utils/money');
+const { objectId } = require('../../../utils/object-id');
+
+const scheduledTransferParams = {
+  id: objectId().required().label('Scheduled Transfer ID'),
+};
+
+module.exports = {
+  createScheduledTransfer: {
+    // The destination is an account number or a saved beneficiary
+    body: joi
+      .object({
+        from_account: accountNumberSchema()
+          .required()
+          .label('Source Account Number'),
+        to_account: accountNumberSchema().label('Destination Account Number'),
+        beneficiary_id: objectId().label('Beneficiary ID'),
+        amount: joi
+          .string()
+          .pattern(AMOUNT_PATTERN)
+          .required()
+          .label('Transfer Amount')
+          .messages({
+            'string.pattern.base':
+              '{{#label}} must be a number with up to two decimal places',
+          }),
+        description: joi.string().max(100).label('Description'),
+        frequency: joi
+          .string()
+          .valid('once', 'daily', 'weekly', 'monthly')
+          .required()
+          .label('Frequency'),
+        start_at: joi
+          .date()
+          .iso()
+          .greater('now')
+          .required()
+          .label('Start date'),
+        end_at: joi.date().iso().greater(joi.ref('start_at')).label('End date'),
+      })
+      .xor('to_account', 'beneficiary_id'),
+  },
+
+  updateScheduledTransfer: {
+    params: scheduledTransferParams,
+  },
+};
@@ -0,0 +1,94 @@
+const transactionsService = require('./transactions-service');
+const { errorResponder, errorTypes } = require('../../../core/errors');
+const { toMinorUnits } = require('../../../utils/money');
+const {
+  statementToCsv,
+  writeStatementPdf,
+} = require('../../../utils/statement');
+
+/**
+ * Handle get transaction history request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function getTransactions(request, response, next) {
+  try {
+    const page = request.query.page_number || 1;
+    const limit = request.query.page_size;
+    const filters = {
+      from: request.query.from,
+      to: request.query.to,
+      type: request.query.type,
+      minAmount: toMinorUnits(request.query.min_amount) ?? undefined,
+      maxAmount: toMinorUnits(request.query.max_amount) ?? undefined,
+    };
+
+    const transactions = await transactionsService.getTransactions(
+      request.params.id,
+      request.query.account,
+      filters,
+      page,
+      limit
+    );
+
+    if (!transactions) {
+      throw errorResponder(errorTypes.UNPROCESSABLE_ENTITY, 'Unknown user');
+    }
+
+    return response.status(200).json(transactions);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle download account statement request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function getStatement(request, response, next) {
+  try {
+    const { account, month, format } = request.query;
+    const filters = {
+      type: request.query.type,
+      minAmount: toMinorUnits(request.query.min_amount) ?? undefined,
+      maxAmount: toMinorUnits(request.query.max_amount) ?? undefined,
+    };
+
+    const statement = await transactionsService.getStatement(
+      request.params.id,
+      account,
+      month,
+      filters
+    );
+
+    if (!statement) {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'Unknown user or account'
+      );
+    }
+
+    const filename = `statement-${statement.account_number}-${month}.${format}`;
+    response.attachment(filename);
+
+    if (format === 'pdf') {
+      response.type('application/pdf');
+      return writeStatementPdf(statement, response);
+    }
+
+    response.type('text/csv');
+    return response.status(200).send(statementToCsv(statement));
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = {
+  getTransactions,
+  getStatement,
+};
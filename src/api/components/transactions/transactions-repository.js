@@ -0,0 +1,234 @@
+const { Transaction } = require('../../../models');
+
+/**
+ * Append a new ledger entry
+ * @param {object} entry - Ledger entry
+ * @param {object} session - Mongoose session
+ * @returns {Promise}
+ */
+async function createTransaction(entry, session) {
+  return Transaction.create([entry], { session });
+}
+
+/**
+ * Get ledger entry detail
+ * @param {string} id - Transaction ID
+ * @returns {Promise}
+ */
+async function getTransaction(id) {
+  return Transaction.findById(id);
+}
+
+/**
+ * Get all ledger entries of an account, oldest first
+ * @param {string} accountNumber - Account number
+ * @param {object} session - Mongoose session
+ * @returns {Promise}
+ */
+async function getTransactionsByAccount(accountNumber, session = null) {
+  return Transaction.find({ account_number: accountNumber })
+    .sort({ created_at: 1 })
+    .session(session);
+}
+
+/**
+ * Build the query of ledger entries of the accounts matching the filters
+ * @param {Array} accountNumbers - Account numbers
+ * @param {object} filters - Optional `from`, `to`, `type`, `minAmount` and
+ * `maxAmount` filters, amounts in minor units
+ * @returns {object}
+ */
+function transactionsQuery(
+  accountNumbers,
+  { from, to, type, minAmount, maxAmount }
+) {
+  const query = { account_number: { $in: accountNumbers } };
+
+  if (from || to) {
+    query.created_at = {};
+    if (from) {
+      query.created_at.$gte = from;
+    }
+    if (to) {
+      query.created_at.$lt = to;
+    }
+  }
+
+  if (type) {
+    query.type = type;
+  }
+
+  if (minAmount !== undefined || maxAmount !== undefined) {
+    query.amount = {};
+    if (minAmount !== undefined) {
+      query.amount.$gte = minAmount;
+    }
+    if (maxAmount !== undefined) {
+      query.amount.$lte = maxAmount;
+    }
+  }
+
+  return query;
+}
+
+/**
+ * Get ledger entries of the accounts matching the filters, newest first
+ * @param {Array} accountNumbers - Account numbers
+ * @param {object} filters - See `transactionsQuery`
+ * @param {number} skip - Entries to skip
+ * @param {number} limit - Entries to return at most, all if empty
+ * @returns {Promise}
+ */
+async function getTransactions(accountNumbers, filters, skip = 0, limit = 0) {
+  return Transaction.find(transactionsQuery(accountNumbers, filters))
+    .sort({ created_at: -1, _id: -1 })
+    .skip(skip)
+    .limit(limit);
+}
+
+/**
+ * Count ledger entries of the accounts matching the filters
+ * @param {Array} accountNumbers - Account numbers
+ * @param {object} filters - See `transactionsQuery`
+ * @returns {Promise}
+ */
+async function countFilteredTransactions(accountNumbers, filters) {
+  return Transaction.countDocuments(transactionsQuery(accountNumbers, filters));
+}
+
+/**
+ * Get the ledger entries posted under a reference
+ * @param {string} reference - Transaction reference
+ * @returns {Promise}
+ */
+async function getTransactionsByReference(reference) {
+  return Transaction.find({ reference });
+}
+
+/**
+ * Sum the amounts of an account's ledger entries of a type since a date
+ * @param {string} accountNumber - Account number
+ * @param {string} type - Transaction type
+ * @param {Date} since - Start date
+ * @param {object} session - Mongoose session
+ * @returns {Promise<number>} Total in minor units
+ */
+async function sumAmounts(accountNumber, type, since, session = null) {
+  const [result] = await Transaction.aggregate([
+    {
+      $match: {
+        account_number: accountNumber,
+        type,
+        created_at: { $gte: since },
+      },
+    },
+    { $group: { _id: null, total: { $sum: '$amount' } } },
+  ]).session(session);
+
+  return result ? result.total : 0;
+}
+
+/**
+ * Count the ledger entries of an account since a date
+ * @param {string} accountNumber - Account number
+ * @param {Date} since - Start date
+ * @returns {Promise<number>}
+ */
+async function countTransactions(accountNumber, since) {
+  return Transaction.countDocuments({
+    account_number: accountNumber,
+    created_at: { $gte: since },
+  });
+}
+
+/**
+ * Get the latest ledger entries of an account of a type, newest first
+ * @param {string} accountNumber - Account number
+ * @param {string} type - Transaction type
+ * @param {number} limit - Number of entries
+ * @returns {Promise}
+ */
+async function getLatestTransactions(accountNumber, type, limit) {
+  return Transaction.find({ account_number: accountNumber, type })
+    .sort({ created_at: -1 })
+    .limit(limit);
+}
+
+/**
+ * Check whether an account ever sent money to a counterparty
+ * @param {string} accountNumber - Account number
+ * @param {string} counterparty - Counterparty account number
+ * @returns {Promise}
+ */
+async function hasTransferredTo(accountNumber, counterparty) {
+  return Transaction.exists({
+    account_number: accountNumber,
+    type: 'transfer_out',
+    counterparty,
+  });
+}
+
+/**
+ * Get the balance of accounts at a point in time from the last ledger entry
+ * posted before it
+ * @param {Array} accountNumbers - Account numbers
+ * @param {Date} before - Point in time
+ * @returns {Promise} `{ _id: accountNumber, balance }` per account with
+ * entries before then
+ */
+async function getBalancesAt(accountNumbers, before) {
+  return Transaction.aggregate([
+    {
+      $match: {
+        account_number: { $in: accountNumbers },
+        created_at: { $lt: before },
+      },
+    },
+    { $sort: { created_at: -1, _id: -1 } },
+    {
+      $group: {
+        _id: '$account_number',
+        balance: { $first: '$balance_after' },
+      },
+    },
+  ]);
+}
+
+/**
+ * Sum the ledger entries of every account, credits minus debits
+ * @returns {Promise} `{ _id: accountNumber, balance, entries }` per account
+ */
+async function getLedgerBalances() {
+  return Transaction.aggregate([
+    {
+      $group: {
+        _id: '$account_number',
+        balance: {
+          $sum: {
+            $cond: [
+              { $eq: ['$direction', 'debit'] },
+              { $multiply: ['$amount', -1] },
+              '$amount',
+            ],
+          },
+        },
+        entries: { $sum: 1 },
+      },
+    },
+  ]);
+}
+
+module.exports = {
+  createTransaction,
+  getTransaction,
+  getTransactionsByAccount,
+  getTransactions,
+  countFilteredTransactions,
+  getTransactionsByReference,
+  sumAmounts,
+  countTransactions,
+  getLatestTransactions,
+  hasTransferredTo,
+  getBalancesAt,
+  getLedgerBalances,
+};
@@ -0,0 +1,31 @@
+const express = require('express');
+
+const authenticationMiddleware = require('../../middlewares/authentication-middleware');
+const { requireOwner } = require('../../middlewares/permission-middleware');
+const celebrate = require('../../../core/celebrate-wrappers');
+const transactionsControllers = require('./transactions-controller');
+const transactionsValidator = require('./transactions-validator');
+
+const route = express.Router();
+
+module.exports = (app) => {
+  app.use('/users', route);
+
+  // Get transaction history of a user
+  route.get(
+    '/:id/transactions',
+    authenticationMiddleware,
+    requireOwner('teller', 'admin'),
+    celebrate(transactionsValidator.getTransactions),
+    transactionsControllers.getTransactions
+  );
+
+  // Download monthly account statement
+  route.get(
+    '/:id/transactions/statement',
+    authenticationMiddleware,
+    requireOwner('teller', 'admin'),
+    celebrate(transactionsValidator.getStatement),
+    transactionsControllers.getStatement
+  );
+};
@@ -0,0 +1,144 @@
+const transactionsRepository = require('./transactions-repository');
+const accountsRepository = require('../accounts/accounts-repository');
+const usersRepository = require('../users/users-repository');
+const { formatAmount } = require('../../../utils/money');
+
+/**
+ * Format a ledger entry for the response
+ * @param {object} transaction - Ledger entry
+ * @returns {object}
+ */
+function formatTransaction(transaction) {
+  return {
+    id: transaction.id,
+    account_number: transaction.account_number,
+    type: transaction.type,
+    direction: transaction.direction,
+    amount: formatAmount(transaction.amount),
+    currency: transaction.currency,
+    counterparty: transaction.counterparty,
+    balance_after: formatAmount(transaction.balance_after),
+    reference: transaction.reference,
+    description: transaction.description,
+    created_at: transaction.created_at,
+  };
+}
+
+/**
+ * Get transaction history of a user, optionally of one of its accounts only
+ * @param {string} userId - User ID
+ * @param {string} accountNumber - Account number, or all accounts if empty
+ * @param {object} filters - Date range, type and amount filters in minor units
+ * @param {number} page - Page number
+ * @param {number} limit - Page size
+ * @returns {object}
+ */
+async function getTransactions(userId, accountNumber, filters, page, limit) {
+  const user = await usersRepository.getUser(userId);
+
+  // User not found
+  if (!user) {
+    return null;
+  }
+
+  const accounts = await accountsRepository.getAccountsByUser(user.id);
+  const accountNumbers = accounts
+    .map((account) => account.account_number)
+    .filter((number) => !accountNumber || number === accountNumber);
+
+  const count = await transactionsRepository.countFilteredTransactions(
+    accountNumbers,
+    filters
+  );
+  const pageSize = limit || count;
+
+  const transactions =
+    pageSize > 0
+      ? await transactionsRepository.getTransactions(
+          accountNumbers,
+          filters,
+          (page - 1) * pageSize,
+          pageSize
+        )
+      : [];
+  const data = transactions.map(formatTransaction);
+
+  const totalPages = pageSize ? Math.ceil(count / pageSize) : 0;
+
+  return {
+    page_number: page,
+    page_size: pageSize,
+    count,
+    total_pages: totalPages,
+    has_previous_page: page > 1,
+    has_next_page: page < totalPages,
+    data,
+  };
+}
+
+/**
+ * Get monthly statement of an account of a user
+ * @param {string} userId - User ID
+ * @param {string} accountNumber - Account number
+ * @param {string} month - Statement month in YYYY-MM format
+ * @param {object} filters - Type and amount filters in minor units
+ * @returns {object} Statement, or null if the user does not own the account
+ */
+async function getStatement(userId, accountNumber, month, filters) {
+  const user = await usersRepository.getUser(userId);
+  const account = await accountsRepository.getAccount(accountNumber);
+
+  // User or account not found
+  if (!user || !account || account.user_id !== user.id) {
+    return null;
+  }
+
+  const [year, monthIndex] = month.split('-').map(Number);
+  const from = new Date(Date.UTC(year, monthIndex - 1, 1));
+  const to = new Date(Date.UTC(year, monthIndex, 1));
+
+  const transactions = await transactionsRepository.getTransactions(
+    [account.account_number],
+    {
+      ...filters,
+      from,
+      to,
+    }
+  );
+
+  return {
+    name: user.name,
+    account_number: account.account_number,
+    currency: account.currency,
+    month,
+    // Statements read top to bottom, so list the oldest entry first
+    transactions: transactions.reverse().map(formatTransaction),
+  };
+}
+
+/**
+ * Derive the balance of an account by replaying its ledger entries
+ * @param {string} accountNumber - Account number
+ * @param {object} session - Mongoose session
+ * @returns {number} Balance in minor units
+ */
+async function getLedgerBalance(accountNumber, session = null) {
+  const transactions = await transactionsRepository.getTransactionsByAccount(
+    accountNumber,
+    session
+  );
+
+  return transactions.reduce(
+    (balance, transaction) =>
+      transaction.direction === 'debit'
+        ? balance - transaction.amount
+        : balance + transaction.amount,
+    0
+  );
+}
+
+module.exports = {
+  getTransactions,
+  getStatement,
+  getLedgerBalance,
+};
@@ -0,0 +1,50 @@
+const joi = require('joi');
+const { AMOUNT_PATTERN } = require('../../../utils/money');
+const { accountNumberSchema } = require('../../../utils/account-number');
+
+const transactionTypes = [
+  'opening_balance',
+  'top_up',
+  'transfer_in',
+  'transfer_out',
+  'withdrawal',
+  'reversal',
+  'interest',
+  'pocket',
+];
+
+module.exports = {
+  getTransactions: {
+    query: {
+      account: accountNumberSchema().label('Account Number'),
+      from: joi.date().iso().label('From date'),
+      to: joi.date().iso().label('To date'),
+      type: joi
+        .string()
+        .valid(...transactionTypes)
+        .label('Transaction type'),
+      min_amount: joi.string().pattern(AMOUNT_PATTERN).label('Minimum amount'),
+      max_amount: joi.string().pattern(AMOUNT_PATTERN).label('Maximum amount'),
+      page_number: joi.number().integer().min(1).label('Page number'),
+      page_size: joi.number().integer().min(1).label('Page size'),
+    },
+  },
+
+  getStatement: {
+    query: {
+      account: accountNumberSchema().required().label('Account Number'),
+      month: joi
+        .string()
+        .pattern(/^\d{4}-(0[1-9]|1[0-2])$/)
+        .required()
+        .label('Statement month (YYYY-MM)'),
+      format: joi.string().valid('csv', 'pdf').default('csv').label('Format'),
+      type: joi
+        .string()
+        .valid(...transactionTypes)
+        .label('Transaction type'),
+      min_amount: joi.string().pattern(AMOUNT_PATTERN).label('Minimum amount'),
+      max_amount: joi.string().pattern(AMOUNT_PATTERN).label('Maximum amount'),
+    },
+  },
+};
@@ -0,0 +1,80 @@
+const transfersService = require('./transfers-service');
+const accountsService = require('../accounts/accounts-service');
+const beneficiariesService = require('../beneficiaries/beneficiaries-service');
+const fraudService = require('../fraud/fraud-service');
+const usersService = require('../users/users-service');
+const { errorResponder, errorTypes } = require('../../../core/errors');
+const { toMinorUnits } = require('../../../utils/money');
+
+/**
+ * Handle transfer request from an account of the logged in user
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function createTransfer(request, response, next) {
+  try {
+    const fromAccount = request.body.from_account;
+    const toAccount = await beneficiariesService.resolveAccountNumber(
+      request.user.id,
+      request.body.to_account,
+      request.body.beneficiary_id
+    );
+    const amount = toMinorUnits(request.body.amount);
+
+    // Check if amount is valid
+    if (amount === null || amount <= 0) {
+      throw errorResponder(
+        errorTypes.INVALID_AMOUNT,
+        'Invalid transfer amount'
+      );
+    }
+
+    // Check if source account belongs to the logged in user
+    const owned = await accountsService.getOwnedAccount(
+      request.user.id,
+      fromAccount
+    );
+    if (!owned) {
+      throw errorResponder(
+        errorTypes.INVALID_CREDENTIALS,
+        'Source account is not valid'
+      );
+    }
+
+    if (fromAccount === toAccount) {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'Cannot transfer to the same account'
+      );
+    }
+
+    // Check if destination account is registered
+    const accountRegistered = await usersService.getUAN(toAccount);
+    if (!accountRegistered) {
+      throw errorResponder(
+        errorTypes.INVALID_CREDENTIALS,
+        'Destination account is not valid'
+      );
+    }
+
+    const transfer = await transfersService.transfer(
+      fromAccount,
+      toAccount,
+      amount,
+      request.body.description
+    );
+    if (fraudService.isHeld(transfer)) {
+      return response.status(202).json(transfer);
+    }
+
+    return response.status(200).json(transfer);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = {
+  createTransfer,
+};
@@ -0,0 +1,24 @@
+const express = require('express');
+
+const authenticationMiddleware = require('../../middlewares/authentication-middleware');
+const idempotencyMiddleware = require('../../middlewares/idempotency-middleware');
+const transactionPinMiddleware = require('../../middlewares/transaction-pin-middleware');
+const celebrate = require('../../../core/celebrate-wrappers');
+const transfersControllers = require('./transfers-controller');
+const transfersValidator = require('./transfers-validator');
+
+const route = express.Router();
+
+module.exports = (app) => {
+  app.use('/transfers', route);
+
+  // Transfer balance to another account
+  route.post(
+    '/',
+    authenticationMiddleware,
+    celebrate(transfersValidator.createTransfer),
+    transactionPinMiddleware,
+    idempotencyMiddleware,
+    transfersControllers.createTransfer
+  );
+};
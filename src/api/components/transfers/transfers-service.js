@@ -0,0 +1,162 @@
+const { v4: uuidv4 } = require('uuid');
+
+const accountsRepository = require('../accounts/accounts-repository');
+const accountsService = require('../accounts/accounts-service');
+const fraudService = require('../fraud/fraud-service');
+const transactionsRepository = require('../transactions/transactions-repository');
+const usersService = require('../users/users-service');
+const webhooksService = require('../webhooks/webhooks-service');
+const { errorResponder, errorTypes } = require('../../../core/errors');
+const { formatAmount } = require('../../../utils/money');
+
+/**
+ * Move balance from one account to another. The debit only applies while the
+ * sender stays above its balance floor, and both balance changes run in a single
+ * MongoDB transaction, so concurrent transfers can never create or lose
+ * money. Each side of the transfer is recorded in the ledger under a shared
+ * reference. A reference can only be posted once, so retrying with the same
+ * reference fails with a duplicate key error instead of moving money twice.
+ * @param {string} fromAccount - Sender account number
+ * @param {string} toAccount - Recipient account number
+ * @param {number} amount - Amount to transfer in minor units
+ * @param {string} description - Transfer description
+ * @param {string} reference - Transfer reference, random if not given
+ * @param {boolean} screen - Whether to run fraud screening first
+ * @returns {object} The transfer, or the held result if fraud screening holds it
+ */
+async function transfer(
+  fromAccount,
+  toAccount,
+  amount,
+  description,
+  reference = uuidv4(),
+  screen = true
+) {
+  const source = await accountsRepository.getAccount(fromAccount);
+  if (source) {
+    await usersService.assertWithinLimits(source, 'transfer', amount);
+
+    if (screen) {
+      const held = await fraudService.screen({
+        operation: 'transfer',
+        userId: source.user_id,
+        accountNumber: fromAccount,
+        counterparty: toAccount,
+        amount,
+        description,
+        reference,
+      });
+      if (held) {
+        return held;
+      }
+    }
+  }
+
+  const session = await accountsRepository.startSession();
+
+  try {
+    let result = null;
+    let entries = [];
+
+    await session.withTransaction(async () => {
+      const current = await accountsRepository.getAccount(fromAccount, session);
+      const recipient = await accountsRepository.getAccount(toAccount, session);
+      if (!current || !recipient) {
+        throw errorResponder(errorTypes.NOT_FOUND, 'Account not found');
+      }
+
+      accountsService.assertCanMoveMoney(current, 'debit');
+      accountsService.assertCanMoveMoney(recipient, 'credit');
+
+      const floor = accountsService.getBalanceFloor(current.type);
+      const sender = await accountsRepository.debitBalance(
+        fromAccount,
+        amount,
+        floor,
+        session
+      );
+      if (!sender) {
+        const available = Math.max(0, current.balance - floor);
+        throw errorResponder(
+          errorTypes.INSUFFICIENT_FUNDS,
+          `Insufficient funds. Available to transfer: ${formatAmount(
+            available
+          )}`
+        );
+      }
+
+      if (sender.currency !== recipient.currency) {
+        throw errorResponder(
+          errorTypes.UNPROCESSABLE_ENTITY,
+          'Cannot transfer between accounts in different currencies'
+        );
+      }
+
+      // Checked again now that concurrent transfers from the account are
+      // serialised by the debit, see `assertWithinLimits`
+      await usersService.assertWithinLimits(
+        sender,
+        'transfer',
+        amount,
+        session
+      );
+
+      const credited = await accountsRepository.creditBalance(
+        toAccount,
+        amount,
+        session
+      );
+      if (!credited) {
+        throw errorResponder(
+          errorTypes.UNPROCESSABLE_ENTITY,
+          `Account ${toAccount} cannot receive money`
+        );
+      }
+
+      entries = [
+        {
+          account_number: fromAccount,
+          type: 'transfer_out',
+          direction: 'debit',
+          amount,
+          currency: sender.currency,
+          counterparty: toAccount,
+          balance_after: sender.balance,
+          reference,
+          description,
+        },
+        {
+          account_number: toAccount,
+          type: 'transfer_in',
+          direction: 'credit',
+          amount,
+          currency: credited.currency,
+          counterparty: fromAccount,
+          balance_after: credited.balance,
+          reference,
+          description,
+        },
+      ];
+      await transactionsRepository.createTransaction(entries[0], session);
+      await transactionsRepository.createTransaction(entries[1], session);
+
+      result = {
+        reference,
+        from_account: fromAccount,
+        to_account: toAccount,
+        amount: formatAmount(amount),
+        currency: sender.currency,
+        description,
+      };
+    });
+
+    await Promise.all(entries.map(webhooksService.publishBalanceChange));
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = {
+  transfer,
+};
@@ -0,0 +1,29 @@
+const joi = require('joi');
+const { AMOUNT_PATTERN } = require('../../../utils/money');
+const { accountNumberSchema } = require('../../../utils/account-number');
+const { objectId } = require('../../../utils/object-id');
+
+module.exports = {
+  createTransfer: {
+    // The destination is an account number or a saved beneficiary
+    body: joi
+      .object({
+        from_account: accountNumberSchema()
+          .required()
+          .label('Source Account Number'),
+        to_account: accountNumberSchema().label('Destination Account Number'),
+        beneficiary_id: objectId().label('Beneficiary ID'),
+        amount: joi
+          .string()
+          .pattern(AMOUNT_PATTERN)
+          .required()
+          .label('Transfer Amount')
+          .messages({
+            'string.pattern.base':
+              '{{#label}} must be a number with up to two decimal places',
+          }),
+        description: joi.string().max(100).label('Description'),
+      })
+      .xor('to_account', 'beneficiary_id'),
+  },
+};
@@ -1,6 +1,14 @@
 const usersService = require('./users-service');
+const accountsService = require('../accounts/accounts-service');
+const authenticationService = require('../authentication/authentication-service');
+const fraudService = require('../fraud/fraud-service');
 const { errorResponder, errorTypes } = require('../../../core/errors');
 const { account_number } = require('../../../models/users-schema');
+const {
+  DEFAULT_CURRENCY,
+  formatAmount,
+  toMinorUnits,
+} = require('../../../utils/money');
 
 /**
  * Handle get list of users request
@@ -62,7 +70,6 @@ async function createUser(request, response, next) {
   try {
     const name = request.body.name;
     const email = request.body.email;
-    const balance = request.body.balance || '0'; // Set balance to '0' if it's not provided
     const phone = request.body.phone_number;
     const password = request.body.password;
     const password_confirm = request.body.password_confirm;
@@ -85,9 +92,9 @@ async function createUser(request, response, next) {
     }
 
     // Generate user account number
-    const account_number = await usersService.generateAccountNumber();
+    const account_number = await accountsService.generateAccountNumber();
 
-    const success = await usersService.createUser(name, email, phone, account_number, balance, password);
+    const success = await usersService.createUser(name, email, phone, account_number, password);
     if (!success) {
       throw errorResponder(
         errorTypes.UNPROCESSABLE_ENTITY,
@@ -95,7 +102,13 @@ async function createUser(request, response, next) {
       );
     }
 
-    return response.status(200).json({ account_number, name, email, balance });
+    return response.status(200).json({
+      account_number,
+      name,
+      email,
+      balance: formatAmount(0),
+      currency: DEFAULT_CURRENCY,
+    });
   } catch (error) {
     return next(error);
   }
@@ -149,18 +162,9 @@ async function topUp(request, response, next) {
   try {
     const id = request.params.id;
     const account_number = request.body.account;
-    let amount = request.body.amount;
 
-    // Check if amount is a string
-    if (typeof amount !== 'string') {
-      throw errorResponder(
-        errorTypes.INVALID_AMOUNT,
-        'Invalid top-up amount(min. top-up 10000)'
-      );
-    }
-
-    // Parse amount to float
-    amount = parseFloat(amount);
+    // Parse amount to minor units, malformed amounts become null
+    const amount = toMinorUnits(request.body.amount);
 
     // Check if email is registered
     const accountRegistered = await usersService.getUAN(account_number);
@@ -172,11 +176,8 @@ async function topUp(request, response, next) {
     }
 
     // Check if amount is valid
-    if (isNaN(amount) || amount <= 0) {
-      throw errorResponder(
-        errorTypes.INVALID_CREDENTIALS,
-        'Invalid top-up amount'
-      );
+    if (amount === null || amount <= 0) {
+      throw errorResponder(errorTypes.INVALID_AMOUNT, 'Invalid top-up amount');
     }
 
     // Update user balance
@@ -187,8 +188,54 @@ async function topUp(request, response, next) {
         'Failed to top-up user balance'
       );
     }
+    if (fraudService.isHeld(success)) {
+      return response.status(202).json(success);
+    }
 
-    return response.status(200).json({ message: `Top-up successful. You have topped up ${amount} to your bank account` });
+    return response.status(200).json({ message: `Top-up successful. You have topped up ${formatAmount(amount)} to your bank account` });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle user withdrawal request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function withdraw(request, response, next) {
+  try {
+    const id = request.params.id;
+    const accountNumber = request.body.account;
+    const amount = toMinorUnits(request.body.amount);
+
+    // Check if amount is valid
+    if (amount === null || amount <= 0) {
+      throw errorResponder(
+        errorTypes.INVALID_AMOUNT,
+        'Invalid withdrawal amount'
+      );
+    }
+
+    const result = await usersService.withdraw(id, amount, accountNumber);
+    if (!result) {
+      throw errorResponder(
+        errorTypes.INVALID_CREDENTIALS,
+        'Account is not valid'
+      );
+    }
+    if (fraudService.isHeld(result)) {
+      return response.status(202).json(result);
+    }
+
+    return response.status(200).json({
+      message: `Withdrawal successful. You have withdrawn ${formatAmount(
+        amount
+      )} from your bank account`,
+      ...result,
+    });
   } catch (error) {
     return next(error);
   }
@@ -230,6 +277,12 @@ async function deleteUser(request, response, next) {
       );
     }
 
+    // Check the two-factor code if the user enabled it
+    await authenticationService.assertSecondFactor(id, {
+      code: request.body.code,
+      recoveryCode: request.body.recovery_code,
+    });
+
     const success = await usersService.deleteUser(id);
     if (!success) {
       throw errorResponder(
@@ -290,6 +343,168 @@ async function changePassword(request, response, next) {
   }
 }
 
+/**
+ * Handle set transaction PIN request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function setTransactionPin(request, response, next) {
+  try {
+    // Check PIN confirmation
+    if (request.body.pin !== request.body.pin_confirm) {
+      throw errorResponder(
+        errorTypes.INVALID_PASSWORD,
+        'PIN confirmation mismatched'
+      );
+    }
+
+    // Check password
+    if (
+      !(await usersService.checkPassword(
+        request.params.id,
+        request.body.password
+      ))
+    ) {
+      throw errorResponder(errorTypes.INVALID_CREDENTIALS, 'Wrong password');
+    }
+
+    const success = await usersService.setTransactionPin(
+      request.params.id,
+      request.body.pin
+    );
+    if (!success) {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'Failed to set transaction PIN'
+      );
+    }
+
+    return response.status(200).json({ id: request.params.id });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle change transaction PIN request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function changeTransactionPin(request, response, next) {
+  try {
+    // Check PIN confirmation
+    if (request.body.pin_new !== request.body.pin_confirm) {
+      throw errorResponder(
+        errorTypes.INVALID_PASSWORD,
+        'PIN confirmation mismatched'
+      );
+    }
+
+    const success = await usersService.changeTransactionPin(
+      request.params.id,
+      request.body.pin_old,
+      request.body.pin_new
+    );
+    if (!success) {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'Failed to change transaction PIN'
+      );
+    }
+
+    return response.status(200).json({ id: request.params.id });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle reset transaction PIN request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function resetTransactionPin(request, response, next) {
+  try {
+    // Check PIN confirmation
+    if (request.body.pin_new !== request.body.pin_confirm) {
+      throw errorResponder(
+        errorTypes.INVALID_PASSWORD,
+        'PIN confirmation mismatched'
+      );
+    }
+
+    // Check password
+    if (
+      !(await usersService.checkPassword(
+        request.params.id,
+        request.body.password
+      ))
+    ) {
+      throw errorResponder(errorTypes.INVALID_CREDENTIALS, 'Wrong password');
+    }
+
+    // Check the two-factor code if the user enabled it
+    await authenticationService.assertSecondFactor(request.params.id, {
+      code: request.body.code,
+      recoveryCode: request.body.recovery_code,
+    });
+
+    const success = await usersService.resetTransactionPin(
+      request.params.id,
+      request.body.pin_new
+    );
+    if (!success) {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'Failed to reset transaction PIN'
+      );
+    }
+
+    return response.status(200).json({ id: request.params.id });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle change user role request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function changeRole(request, response, next) {
+  try {
+    // Keep admins from locking themselves out
+    if (String(request.user.id) === request.params.id) {
+      throw errorResponder(
+        errorTypes.FORBIDDEN,
+        'You cannot change your own role'
+      );
+    }
+
+    const success = await usersService.changeRole(
+      request.params.id,
+      request.body.role
+    );
+    if (!success) {
+      throw errorResponder(errorTypes.UNPROCESSABLE_ENTITY, 'Unknown user');
+    }
+
+    return response
+      .status(200)
+      .json({ id: request.params.id, role: request.body.role });
+  } catch (error) {
+    return next(error);
+  }
+}
+
 module.exports = {
   getUsers,
   getUser,
@@ -297,5 +512,10 @@ module.exports = {
   updateUser,
   deleteUser,
   changePassword,
+  setTransactionPin,
+  changeTransactionPin,
+  resetTransactionPin,
+  changeRole,
   topUp,
+  withdraw,
 };
@@ -1,5 +1,5 @@
 const { toNumber } = require('lodash');
-const { User } = require('../../../models');
+const { User, Account } = require('../../../models');
 const { account_number } = require('../../../models/users-schema');
 
 /**
@@ -23,19 +23,15 @@ async function getUser(id) {
  * Create new user
  * @param {string} name - Name
  * @param {string} email - Email
- * @param {string} account_number - Account number
  * @param {string} phone
- * @param {string} balance - Balance
  * @param {string} password - Hashed password
  * @returns {Promise}
  */
-async function createUser(name, email, phone, account_number, balance, password) {
+async function createUser(name, email, phone, password) {
   return User.create({
     name,
     email,
     phone,
-    account_number,
-    balance,
     password,
   });
 }
@@ -61,28 +57,6 @@ async function updateUser(id, name, email) {
   );
 }
 
-/**
- * Update User Balance when do topup
- * @param {string} id
- * @param {string} account_number
- * @param {string} amount
- * @return {Promise}
- */
-async function updateBalance(id, account_number, amount) {
-  return User.updateOne(
-    {
-      _id: id,
-      account_number: account_number,
-    },
-    {
-      $set: {
-        balance: amount, // Use the newBalance string
-      },
-    }
-  );
-}
-
-
 /**
  * Delete a user
  * @param {string} id - User ID
@@ -102,12 +76,12 @@ async function getUserByEmail(email) {
 }
 
 /**
- * Get user by account number
+ * Get account by account number
  * @param {string} account_number
  * @returns {Promise} 
  */
 async function getUAN(account_number) {
-  return User.findOne({ account_number });
+  return Account.findOne({ account_number });
 }
 
 /**
@@ -120,6 +94,84 @@ async function changePassword(id, password) {
   return User.updateOne({ _id: id }, { $set: { password } });
 }
 
+/**
+ * Set the transaction PIN of a user, clearing any lockout
+ * @param {string} id - User ID
+ * @param {string} hash - Hashed PIN
+ * @returns {Promise}
+ */
+async function setTransactionPin(id, hash) {
+  return User.updateOne(
+    { _id: id },
+    {
+      $set: {
+        transaction_pin: { hash, failed_attempts: 0, changed_at: new Date() },
+      },
+    }
+  );
+}
+
+/**
+ * Count a transaction PIN attempt before the PIN is checked, unless the PIN
+ * is locked. A right PIN resets the count.
+ * @param {string} id - User ID
+ * @returns {Promise} The updated user, or null if the PIN is locked
+ */
+async function claimPinAttempt(id) {
+  return User.findOneAndUpdate(
+    {
+      _id: id,
+      $or: [
+        { 'transaction_pin.locked_until': { $exists: false } },
+        { 'transaction_pin.locked_until': null },
+        { 'transaction_pin.locked_until': { $lte: new Date() } },
+      ],
+    },
+    { $inc: { 'transaction_pin.failed_attempts': 1 } },
+    { new: true }
+  );
+}
+
+/**
+ * Forget the wrong transaction PINs of a user after a right one
+ * @param {string} id - User ID
+ * @returns {Promise}
+ */
+async function resetFailedPinAttempts(id) {
+  return User.updateOne(
+    { '_id': id, 'transaction_pin.failed_attempts': { $gt: 0 } },
+    { $set: { 'transaction_pin.failed_attempts': 0 } }
+  );
+}
+
+/**
+ * Refuse the transaction PIN of a user for a while
+ * @param {string} id - User ID
+ * @param {Date} until - End of the lockout
+ * @returns {Promise}
+ */
+async function lockTransactionPin(id, until) {
+  return User.updateOne(
+    { _id: id },
+    {
+      $set: {
+        'transaction_pin.locked_until': until,
+        'transaction_pin.failed_attempts': 0,
+      },
+    }
+  );
+}
+
+/**
+ * Set the role of a user
+ * @param {string} id - User ID
+ * @param {string} role - Role
+ * @returns {Promise}
+ */
+async function setRole(id, role) {
+  return User.updateOne({ _id: id }, { $set: { role } });
+}
+
 module.exports = {
   getUsers,
   getUser,
@@ -128,6 +180,10 @@ module.exports = {
   deleteUser,
   getUserByEmail,
   changePassword,
-  updateBalance,
+  setTransactionPin,
+  claimPinAttempt,
+  resetFailedPinAttempts,
+  lockTransactionPin,
+  setRole,
   getUAN,
 };
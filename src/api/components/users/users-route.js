@@ -1,6 +1,12 @@
 const express = require('express');
 
 const authenticationMiddleware = require('../../middlewares/authentication-middleware');
+const idempotencyMiddleware = require('../../middlewares/idempotency-middleware');
+const {
+  requireRole,
+  requireOwner,
+} = require('../../middlewares/permission-middleware');
+const transactionPinMiddleware = require('../../middlewares/transaction-pin-middleware');
 const celebrate = require('../../../core/celebrate-wrappers');
 const usersControllers = require('./users-controller');
 const usersValidator = require('./users-validator');
@@ -11,23 +17,35 @@ module.exports = (app) => {
   app.use('/users', route);
 
   // Get list of m-banking users
-  route.get('/mbanking-info', authenticationMiddleware, usersControllers.getUsers);
+  route.get(
+    '/mbanking-info',
+    authenticationMiddleware,
+    requireRole('teller', 'admin'),
+    usersControllers.getUsers
+  );
 
   // Create new m-banking user
   route.post(
     '/new-bank-account',
     authenticationMiddleware,
+    requireRole('teller', 'admin'),
     celebrate(usersValidator.createUser),
     usersControllers.createUser
   );
 
   // Get user detail
-  route.get('/mbanking-info/:id', authenticationMiddleware, usersControllers.getUser);
+  route.get(
+    '/mbanking-info/:id',
+    authenticationMiddleware,
+    requireOwner('teller', 'admin'),
+    usersControllers.getUser
+  );
 
   // Update user
   route.put(
     '/:id',
     authenticationMiddleware,
+    requireOwner('teller', 'admin'),
     celebrate(usersValidator.updateUser),
     usersControllers.updateUser
   );
@@ -36,18 +54,75 @@ module.exports = (app) => {
   route.put(
     '/top-up/:id',
     authenticationMiddleware,
+    requireOwner('teller'),
     celebrate(usersValidator.topUp),
+    transactionPinMiddleware,
+    idempotencyMiddleware,
     usersControllers.topUp
   );
 
+  // Withdraw bank balance
+  route.post(
+    '/:id/withdraw',
+    authenticationMiddleware,
+    requireOwner('teller'),
+    celebrate(usersValidator.withdraw),
+    transactionPinMiddleware,
+    idempotencyMiddleware,
+    usersControllers.withdraw
+  );
+
   // Delete user
-  route.delete('/m-banking/delete/:id', authenticationMiddleware, celebrate(usersValidator.deleteUser),usersControllers.deleteUser);
+  route.delete(
+    '/m-banking/delete/:id',
+    authenticationMiddleware,
+    requireOwner(),
+    celebrate(usersValidator.deleteUser),
+    usersControllers.deleteUser
+  );
 
   // Change password
   route.post(
     '/:id/change-password',
     authenticationMiddleware,
+    requireOwner(),
     celebrate(usersValidator.changePassword),
     usersControllers.changePassword
   );
+
+  // Set the first transaction PIN
+  route.post(
+    '/:id/pin',
+    authenticationMiddleware,
+    requireOwner(),
+    celebrate(usersValidator.setTransactionPin),
+    usersControllers.setTransactionPin
+  );
+
+  // Change the transaction PIN
+  route.put(
+    '/:id/pin',
+    authenticationMiddleware,
+    requireOwner(),
+    celebrate(usersValidator.changeTransactionPin),
+    usersControllers.changeTransactionPin
+  );
+
+  // Reset a forgotten or locked transaction PIN with the password
+  route.post(
+    '/:id/pin/reset',
+    authenticationMiddleware,
+    requireOwner(),
+    celebrate(usersValidator.resetTransactionPin),
+    usersControllers.resetTransactionPin
+  );
+
+  // Change the role of a user
+  route.put(
+    '/:id/role',
+    authenticationMiddleware,
+    requireRole('admin'),
+    celebrate(usersValidator.changeRole),
+    usersControllers.changeRole
+  );
 };
@@ -1,5 +1,29 @@
 const usersRepository = require('./users-repository');
+const accountsRepository = require('../accounts/accounts-repository');
+const accountsService = require('../accounts/accounts-service');
+const authenticationService = require('../authentication/authentication-service');
+const transactionsRepository = require('../transactions/transactions-repository');
+const fraudService = require('../fraud/fraud-service');
+const webhooksService = require('../webhooks/webhooks-service');
 const { hashPassword, passwordMatched } = require('../../../utils/password');
+const config = require('../../../core/config');
+const { errorResponder, errorTypes } = require('../../../core/errors');
+const {
+  DEFAULT_CURRENCY,
+  formatAmount,
+  toMinorUnits,
+} = require('../../../utils/money');
+
+// Wrong transaction PINs in a row before the PIN is refused for a while
+const MAX_FAILED_PINS = 3;
+const PIN_LOCKOUT = 30 * 60 * 1000;
+
+// Ledger entry type counted towards each limited operation
+const limitedOperations = {
+  top_up: 'top_up',
+  transfer: 'transfer_out',
+  withdrawal: 'withdrawal',
+};
 
 
 /**
@@ -64,13 +88,22 @@ async function getUsers(page, limit, search, sort) {
       data.push({
         id: user.id,
         name: user.name,
-        balance: user.balance,
         email: user.email,
         phone: user.phone,
-        account_number: user.account_number,
+        role: user.role,
+        accounts: [],
       });
     }
 
+    // Attach the accounts of the users in this page
+    const accounts = await accountsRepository.getAccountsByUsers(
+      data.map((user) => user.id)
+    );
+    accounts.forEach((account) => {
+      const owner = data.find((user) => user.id === account.user_id);
+      owner.accounts.push(accountsService.formatAccount(account));
+    });
+
     const total_pages = Math.ceil(filteredCount / limit);
     const has_previous_page = page > 1;
     const has_next_page = page < total_pages;
@@ -104,31 +137,52 @@ async function getUser(id) {
     return null;
   }
 
+  const accounts = await accountsRepository.getAccountsByUser(user.id);
+
   return {
     id: user.id,
     name: user.name,
     email: user.email,
     phone: user.phone,
-    account_number: user.account_number,
+    role: user.role,
+    accounts: accounts.map(accountsService.formatAccount),
   };
 }
 
 /**
- * Create new user
+ * Create new user together with its first savings account
  * @param {string} name - Name
  * @param {string} email - Email
  * @param {string} phone - Phone number
  * @param {string} account_number - Account number
- * @param {string} balance - Balance
  * @param {string} password - Password
  * @returns {boolean}
  */
-async function createUser(name, email, phone, account_number, balance, password) {
+async function createUser(name, email, phone, account_number, password) {
   // Hash password
   const hashedPassword = await hashPassword(password);
 
   try {
-    await usersRepository.createUser(name, email, phone, account_number, balance, hashedPassword);
+    const user = await usersRepository.createUser(
+      name,
+      email,
+      phone,
+      hashedPassword
+    );
+    await accountsRepository.createAccount(
+      user.id,
+      account_number,
+      'savings',
+      DEFAULT_CURRENCY
+    );
+
+    await webhooksService.publish('user.created', {
+      user_id: user.id,
+      name,
+      email,
+      phone,
+      account_number,
+    });
   } catch (err) {
     return null;
   }
@@ -162,60 +216,315 @@ async function updateUser(id, name, email) {
 }
 
 /**
- * Top-up user balance
- * @param {string} id - User ID
- * @param {number} amount - Amount to top-up
- * @param {string} account_number - Email
- * @returns {boolean}
+ * Get the limits of an account for one operation, with the amount used in
+ * the last 24 hours. Account overrides take precedence over the tier limits.
+ * @param {object} account - Account
+ * @param {string} tier - Customer tier of the account owner
+ * @param {string} operation - 'top_up', 'transfer' or 'withdrawal'
+ * @param {object} session - Mongoose session
+ * @returns {object} Limits and usage in minor units
  */
-async function updateBalance(id, amount, account_number) {
-  const user = await usersRepository.getUser(id);
+async function getOperationLimit(account, tier, operation, session = null) {
+  const tierLimits = (config.limits[tier] || config.limits.basic)[operation];
+  const override = (account.limits || {})[operation] || {};
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+  const perTransaction =
+    override.per_transaction ?? toMinorUnits(tierLimits.per_transaction);
+  const daily = override.daily ?? toMinorUnits(tierLimits.daily);
+  const usedToday = await transactionsRepository.sumAmounts(
+    account.account_number,
+    limitedOperations[operation],
+    since,
+    session
+  );
 
-  if (!user) {
+  return {
+    per_transaction: perTransaction,
+    daily,
+    used_today: usedToday,
+    remaining_today: Math.max(0, daily - usedToday),
+  };
+}
+
+/**
+ * Get the customer tier of an account owner
+ * @param {object} account - Account
+ * @returns {string}
+ */
+async function getAccountTier(account) {
+  const user = await usersRepository.getUser(account.user_id);
+  return (user && user.tier) || 'basic';
+}
+
+/**
+ * Get all limits of an account with the amounts used in the last 24 hours
+ * @param {object} account - Account
+ * @returns {object}
+ */
+async function getAccountLimits(account) {
+  const tier = await getAccountTier(account);
+  const operations = Object.keys(limitedOperations);
+  const limits = await Promise.all(
+    operations.map((operation) => getOperationLimit(account, tier, operation))
+  );
+
+  const result = {};
+  operations.forEach((operation, index) => {
+    result[operation] = Object.fromEntries(
+      Object.entries(limits[index]).map(([name, value]) => [
+        name,
+        formatAmount(value),
+      ])
+    );
+  });
+
+  return {
+    account_number: account.account_number,
+    tier,
+    limits: result,
+  };
+}
+
+/**
+ * Make sure an amount is within the per-transaction and rolling daily limit
+ * of an account. Checked without a session, it only turns requests away
+ * early: concurrent requests may all pass. The check that counts runs in the
+ * transaction moving the money, after its balance update. Every balance
+ * update of the account then conflicts with it, so a concurrent request
+ * retries and sees the ledger entries committed meanwhile.
+ * @param {object} account - Account
+ * @param {string} operation - 'top_up', 'transfer' or 'withdrawal'
+ * @param {number} amount - Amount in minor units
+ * @param {object} session - Mongoose session of the money movement
+ */
+async function assertWithinLimits(account, operation, amount, session = null) {
+  const tier = await getAccountTier(account);
+  const limit = await getOperationLimit(account, tier, operation, session);
+  const label = operation.replace('_', '-');
+
+  if (amount > limit.per_transaction) {
+    throw errorResponder(
+      errorTypes.LIMIT_EXCEEDED,
+      `Amount exceeds the ${label} limit of ${formatAmount(
+        limit.per_transaction
+      )} per transaction`
+    );
+  }
+
+  if (amount > limit.remaining_today) {
+    throw errorResponder(
+      errorTypes.LIMIT_EXCEEDED,
+      `Daily ${label} limit exceeded. Remaining today: ${formatAmount(
+        limit.remaining_today
+      )}`
+    );
+  }
+}
+
+/**
+ * Top-up an account of the user. The balance is incremented atomically and
+ * its ledger entry is written in the same transaction.
+ * @param {string} id - User ID
+ * @param {number} amount - Amount to top-up in minor units
+ * @param {string} account_number - Account number
+ * @param {boolean} screen - Whether to run fraud screening first
+ * @returns {boolean} True on success, the held result if fraud screening
+ * holds it, or null if the account is not the user's. Throws if the account
+ * cannot receive money, the amount is over the account limits or fraud
+ * screening blocks it.
+ */
+async function updateBalance(id, amount, account_number, screen = true) {
+  // Check if the account belongs to the user
+  const owned = await accountsService.getOwnedAccount(id, account_number);
+  if (!owned) {
     return null;
   }
 
+  accountsService.assertCanMoveMoney(owned, 'credit');
+  await assertWithinLimits(owned, 'top_up', amount);
+
+  if (screen) {
+    const held = await fraudService.screen({
+      operation: 'top_up',
+      userId: id,
+      accountNumber: account_number,
+      amount,
+    });
+    if (held) {
+      return held;
+    }
+  }
+
+  const session = await accountsRepository.startSession();
+
   try {
-    // Extract email from user object
-    const userAccount = user.account_number;
+    let entry = null;
+
+    await session.withTransaction(async () => {
+      const account = await accountsRepository.creditBalance(
+        account_number,
+        amount,
+        session
+      );
+
+      // Account is not active
+      if (!account) {
+        entry = null;
+        return;
+      }
+
+      await assertWithinLimits(account, 'top_up', amount, session);
 
-    // Check if email matches the provided email
-    if (userAccount !== account_number) {
+      entry = {
+        account_number,
+        type: 'top_up',
+        direction: 'credit',
+        amount,
+        currency: account.currency,
+        balance_after: account.balance,
+      };
+      await transactionsRepository.createTransaction(entry, session);
+    });
+
+    if (!entry) {
       return null;
     }
 
-    // Convert amount to string
-    const amountStr = amount.toString();
-
-    // Convert current balance to number, add top-up amount, and convert back to string
-    const newBalance = (parseFloat(user.balance) + parseFloat(amountStr)).toString();
+    await webhooksService.publishBalanceChange(entry);
+    return true;
+  } finally {
+    await session.endSession();
+  }
+}
 
-    await usersRepository.updateBalance(id, userAccount, newBalance);
-  } catch (err) {
+/**
+ * Withdraw from an account of the user. The balance is decremented
+ * atomically only if it stays at or above the account's balance floor.
+ * @param {string} id - User ID
+ * @param {number} amount - Amount to withdraw in minor units
+ * @param {string} account_number - Account number
+ * @param {boolean} screen - Whether to run fraud screening first
+ * @returns {object} Updated balance, the held result if fraud screening holds
+ * it, or null if the account is not the user's
+ */
+async function withdraw(id, amount, account_number, screen = true) {
+  // Check if the account belongs to the user
+  const owned = await accountsService.getOwnedAccount(id, account_number);
+  if (!owned) {
     return null;
   }
 
-  return true;
+  accountsService.assertCanMoveMoney(owned, 'debit');
+  await assertWithinLimits(owned, 'withdrawal', amount);
+
+  if (screen) {
+    const held = await fraudService.screen({
+      operation: 'withdrawal',
+      userId: id,
+      accountNumber: account_number,
+      amount,
+    });
+    if (held) {
+      return held;
+    }
+  }
+
+  const floor = accountsService.getBalanceFloor(owned.type);
+  const session = await accountsRepository.startSession();
+
+  try {
+    let result = null;
+    let entry = null;
+
+    await session.withTransaction(async () => {
+      const account = await accountsRepository.debitBalance(
+        account_number,
+        amount,
+        floor,
+        session
+      );
+
+      if (!account) {
+        const current = await accountsRepository.getAccount(
+          account_number,
+          session
+        );
+        // The account may have been frozen or gone dormant since it was
+        // checked above
+        if (current) {
+          accountsService.assertCanMoveMoney(current, 'debit');
+        }
+
+        const available = Math.max(0, (current ? current.balance : 0) - floor);
+        throw errorResponder(
+          errorTypes.INSUFFICIENT_FUNDS,
+          `Insufficient funds. Available to withdraw: ${formatAmount(
+            available
+          )}`
+        );
+      }
+
+      await assertWithinLimits(account, 'withdrawal', amount, session);
+
+      entry = {
+        account_number,
+        type: 'withdrawal',
+        direction: 'debit',
+        amount,
+        currency: account.currency,
+        balance_after: account.balance,
+      };
+      await transactionsRepository.createTransaction(entry, session);
+
+      result = {
+        balance: formatAmount(account.balance),
+        currency: account.currency,
+      };
+    });
+
+    await webhooksService.publishBalanceChange(entry);
+    return result;
+  } finally {
+    await session.endSession();
+  }
 }
 
 /**
- * Delete user
+ * Delete user after closing all of its accounts. Refuses while any account
+ * is frozen or still holds a balance.
  * @param {string} id - User ID
  * @returns {Promise<boolean>}
  */
 async function deleteUser(id) {
   const user = await usersRepository.getUser(id);
-try {
+
   // User not found
   if (!user) {
     return null;
   }
-  
-    await usersRepository.deleteUser(id);
-    return true;
-  } catch (err) {
-    return null;
+
+  const accounts = await accountsRepository.getAccountsByUser(user.id);
+  const open = accounts.filter((account) => account.status !== 'closed');
+  open.forEach(accountsService.assertClosable);
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const account of open) {
+    // eslint-disable-next-line no-await-in-loop
+    const closed = await accountsService.closeAccount(
+      account.account_number,
+      user.id
+    );
+
+    // Money arrived in the meantime
+    if (!closed) {
+      return null;
+    }
   }
+
+  await usersRepository.deleteUser(id);
+  await webhooksService.publish('user.deleted', { user_id: user.id });
+  return true;
 }
 
 /**
@@ -233,21 +542,6 @@ async function emailIsRegistered(email) {
   return false;
 }
 
-/**
- * Generate a unique account number
- * @returns {string}
- */
-async function generateAccountNumber() {
-  let account_number = '535';
-  while (true) {
-    account_number += Math.floor(Math.random() * 10000000);
-    if (!await usersRepository.getUAN(account_number)) {
-      break;
-    }
-  }
-  return account_number;
-}
-
 /**
  * Check whether the account number is valid
  * @param {string} account_number - account_number
@@ -299,6 +593,158 @@ async function changePassword(userId, password) {
     return null;
   }
 
+  // Whoever knew the old password may still hold a token
+  await authenticationService.revokeAllTokens(user.id, 'Password changed');
+
+  await webhooksService.publish('user.password_changed', { user_id: user.id });
+  return true;
+}
+
+/**
+ * Check the transaction PIN of a user. Too many wrong PINs in a row lock the
+ * PIN until it is reset or the lockout is over. The attempt is counted before
+ * the PIN is checked, so concurrent requests cannot try more PINs than
+ * allowed before the lock.
+ * @param {object} user - User
+ * @param {string} pin - PIN entered by the user
+ */
+async function verifyTransactionPin(user, pin) {
+  const transactionPin = user.transaction_pin || {};
+
+  if (!transactionPin.hash) {
+    throw errorResponder(
+      errorTypes.FORBIDDEN,
+      'Set a transaction PIN before moving money'
+    );
+  }
+
+  if (!pin) {
+    throw errorResponder(
+      errorTypes.INVALID_CREDENTIALS,
+      'Transaction PIN is required'
+    );
+  }
+
+  const claimed = await usersRepository.claimPinAttempt(user.id);
+  const attempts = claimed ? claimed.transaction_pin.failed_attempts : 0;
+
+  // Attempts counted past the limit by concurrent requests are not checked
+  if (attempts > MAX_FAILED_PINS) {
+    await usersRepository.lockTransactionPin(
+      user.id,
+      new Date(Date.now() + PIN_LOCKOUT)
+    );
+  }
+
+  if (!claimed || attempts > MAX_FAILED_PINS) {
+    throw errorResponder(
+      errorTypes.FORBIDDEN,
+      'Transaction PIN is locked after too many wrong attempts. Please try again later or reset it.'
+    );
+  }
+
+  if (await passwordMatched(pin, claimed.transaction_pin.hash)) {
+    await usersRepository.resetFailedPinAttempts(user.id);
+    return;
+  }
+
+  if (attempts >= MAX_FAILED_PINS) {
+    await usersRepository.lockTransactionPin(
+      user.id,
+      new Date(Date.now() + PIN_LOCKOUT)
+    );
+    throw errorResponder(
+      errorTypes.FORBIDDEN,
+      'Wrong transaction PIN. The PIN is locked after too many wrong attempts.'
+    );
+  }
+
+  throw errorResponder(
+    errorTypes.INVALID_CREDENTIALS,
+    `Wrong transaction PIN, ${MAX_FAILED_PINS - attempts} attempts left`
+  );
+}
+
+/**
+ * Set the first transaction PIN of a user
+ * @param {string} userId - User ID
+ * @param {string} pin - PIN
+ * @returns {boolean}
+ */
+async function setTransactionPin(userId, pin) {
+  const user = await usersRepository.getUser(userId);
+
+  if (!user) {
+    return null;
+  }
+
+  if (user.transaction_pin && user.transaction_pin.hash) {
+    throw errorResponder(
+      errorTypes.UNPROCESSABLE_ENTITY,
+      'Transaction PIN is already set, change or reset it instead'
+    );
+  }
+
+  await usersRepository.setTransactionPin(user.id, await hashPassword(pin));
+  return true;
+}
+
+/**
+ * Change the transaction PIN of a user who knows the current one
+ * @param {string} userId - User ID
+ * @param {string} pinOld - Current PIN
+ * @param {string} pinNew - New PIN
+ * @returns {boolean}
+ */
+async function changeTransactionPin(userId, pinOld, pinNew) {
+  const user = await usersRepository.getUser(userId);
+
+  if (!user) {
+    return null;
+  }
+
+  await verifyTransactionPin(user, pinOld);
+  await usersRepository.setTransactionPin(user.id, await hashPassword(pinNew));
+
+  await webhooksService.publish('user.pin_changed', { user_id: user.id });
+  return true;
+}
+
+/**
+ * Replace a forgotten or locked transaction PIN. The caller checks the login
+ * password (and two-factor code) first.
+ * @param {string} userId - User ID
+ * @param {string} pin - New PIN
+ * @returns {boolean}
+ */
+async function resetTransactionPin(userId, pin) {
+  const user = await usersRepository.getUser(userId);
+
+  if (!user) {
+    return null;
+  }
+
+  await usersRepository.setTransactionPin(user.id, await hashPassword(pin));
+
+  await webhooksService.publish('user.pin_changed', { user_id: user.id });
+  return true;
+}
+
+/**
+ * Change the role of a user. It applies from the next request on, as every
+ * request reads the role of the logged in user.
+ * @param {string} id - User ID
+ * @param {string} role - Role
+ * @returns {boolean}
+ */
+async function changeRole(id, role) {
+  const user = await usersRepository.getUser(id);
+
+  if (!user) {
+    return null;
+  }
+
+  await usersRepository.setRole(user.id, role);
   return true;
 }
 
@@ -311,7 +757,14 @@ module.exports = {
   emailIsRegistered,
   checkPassword,
   changePassword,
+  verifyTransactionPin,
+  setTransactionPin,
+  changeTransactionPin,
+  resetTransactionPin,
+  changeRole,
   updateBalance,
+  withdraw,
+  getAccountLimits,
+  assertWithinLimits,
   getUAN,
-  generateAccountNumber,
 };
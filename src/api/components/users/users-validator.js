@@ -1,6 +1,16 @@
 const joi = require('joi');
 const { joiPasswordExtendCore } = require('joi-password');
 const joiPassword = joi.extend(joiPasswordExtendCore);
+const { AMOUNT_PATTERN } = require('../../../utils/money');
+const { accountNumberSchema } = require('../../../utils/account-number');
+const { totpCodeSchema, recoveryCodeSchema } = require('../../../utils/totp');
+const { ROLES } = require('../../middlewares/permission-middleware');
+
+const transactionPin = joi
+  .string()
+  .pattern(/^\d{6}$/)
+  .label('PIN')
+  .messages({ 'string.pattern.base': '{{#label}} must be exactly 6 digits' });
 
 module.exports = {
   createUser: {
@@ -33,8 +43,31 @@ module.exports = {
 
   topUp: {
     body: {
-      account: joi.string().required().label('Account Number'),
-      amount: joi.string().min(5).required().label('Top-up Amount')
+      account: accountNumberSchema().required().label('Account Number'),
+      amount: joi
+        .string()
+        .pattern(AMOUNT_PATTERN)
+        .required()
+        .label('Top-up Amount')
+        .messages({
+          'string.pattern.base':
+            '{{#label}} must be a number with up to two decimal places',
+        }),
+    },
+  },
+
+  withdraw: {
+    body: {
+      account: accountNumberSchema().required().label('Account Number'),
+      amount: joi
+        .string()
+        .pattern(AMOUNT_PATTERN)
+        .required()
+        .label('Withdrawal Amount')
+        .messages({
+          'string.pattern.base':
+            '{{#label}} must be a number with up to two decimal places',
+        }),
     },
   },
 
@@ -57,11 +90,58 @@ module.exports = {
     },
   },
 
-  deleteUser: {
+  setTransactionPin: {
     body: {
-      email: joi.string().email().required().label('Email'),
-      password: joiPassword.string().required().label('Current password'),
-      deleteConfirm : joi.string().required().label('Delete Account Confirmation')
-    }
-  }
+      password: joi.string().required().label('Password'),
+      pin: transactionPin.required(),
+      pin_confirm: joi.string().required().label('PIN confirmation'),
+    },
+  },
+
+  changeTransactionPin: {
+    body: {
+      pin_old: joi.string().required().label('Old PIN'),
+      pin_new: transactionPin.required(),
+      pin_confirm: joi.string().required().label('PIN confirmation'),
+    },
+  },
+
+  resetTransactionPin: {
+    body: joi
+      .object({
+        password: joi.string().required().label('Password'),
+        pin_new: transactionPin.required(),
+        pin_confirm: joi.string().required().label('PIN confirmation'),
+        // Required once the user enabled two-factor authentication
+        code: totpCodeSchema(),
+        recovery_code: recoveryCodeSchema(),
+      })
+      .oxor('code', 'recovery_code'),
+  },
+
+  changeRole: {
+    body: {
+      role: joi
+        .string()
+        .valid(...ROLES)
+        .required()
+        .label('Role'),
+    },
+  },
+
+  deleteUser: {
+    body: joi
+      .object({
+        email: joi.string().email().required().label('Email'),
+        password: joiPassword.string().required().label('Current password'),
+        deleteConfirm: joi
+          .string()
+          .required()
+          .label('Delete Account Confirmation'),
+        // Required once the user enabled two-factor authentication
+        code: totpCodeSchema(),
+        recovery_code: recoveryCodeSchema(),
+      })
+      .oxor('code', 'recovery_code'),
+  },
 };
@@ -0,0 +1,207 @@
+const webhooksService = require('./webhooks-service');
+const { errorResponder, errorTypes } = require('../../../core/errors');
+
+/**
+ * Handle get list of webhook subscriptions request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function getSubscriptions(request, response, next) {
+  try {
+    const subscriptions = await webhooksService.getSubscriptions();
+
+    return response.status(200).json(subscriptions);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle get webhook subscription detail request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function getSubscription(request, response, next) {
+  try {
+    const subscription = await webhooksService.getSubscription(
+      request.params.id
+    );
+    if (!subscription) {
+      throw errorResponder(errorTypes.NOT_FOUND, 'Unknown subscription');
+    }
+
+    return response.status(200).json(subscription);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle create webhook subscription request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function createSubscription(request, response, next) {
+  try {
+    const subscription = await webhooksService.createSubscription(
+      request.user.id,
+      request.body.url,
+      request.body.events,
+      request.body.secret
+    );
+    if (!subscription) {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'Failed to create subscription'
+      );
+    }
+
+    return response.status(200).json(subscription);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle update webhook subscription request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function updateSubscription(request, response, next) {
+  try {
+    const subscription = await webhooksService.getSubscription(
+      request.params.id
+    );
+    if (!subscription) {
+      throw errorResponder(errorTypes.NOT_FOUND, 'Unknown subscription');
+    }
+
+    const success = await webhooksService.updateSubscription(
+      subscription.id,
+      request.body
+    );
+    if (!success) {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'Failed to update subscription'
+      );
+    }
+
+    return response.status(200).json({ id: subscription.id });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle delete webhook subscription request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function deleteSubscription(request, response, next) {
+  try {
+    const subscription = await webhooksService.getSubscription(
+      request.params.id
+    );
+    if (!subscription) {
+      throw errorResponder(errorTypes.NOT_FOUND, 'Unknown subscription');
+    }
+
+    const success = await webhooksService.deleteSubscription(subscription.id);
+    if (!success) {
+      throw errorResponder(
+        errorTypes.UNPROCESSABLE_ENTITY,
+        'Failed to delete subscription'
+      );
+    }
+
+    return response.status(200).json({ id: subscription.id });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle get webhook delivery log request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function getDeliveries(request, response, next) {
+  try {
+    const deliveries = await webhooksService.getDeliveries(
+      {
+        subscription_id: request.query.subscription_id,
+        event: request.query.event,
+        status: request.query.status,
+      },
+      request.query.limit
+    );
+
+    return response.status(200).json(deliveries);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle get webhook delivery detail request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function getDelivery(request, response, next) {
+  try {
+    const delivery = await webhooksService.getDelivery(request.params.id);
+    if (!delivery) {
+      throw errorResponder(errorTypes.NOT_FOUND, 'Unknown delivery');
+    }
+
+    return response.status(200).json(delivery);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Handle replay webhook delivery request
+ * @param {object} request - Express request object
+ * @param {object} response - Express response object
+ * @param {object} next - Express route middlewares
+ * @returns {object} Response object or pass an error to the next route
+ */
+async function replayDelivery(request, response, next) {
+  try {
+    const delivery = await webhooksService.replayDelivery(request.params.id);
+    if (!delivery) {
+      throw errorResponder(errorTypes.NOT_FOUND, 'Unknown delivery');
+    }
+
+    return response.status(200).json(delivery);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = {
+  getSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  getDeliveries,
+  getDelivery,
+  replayDelivery,
+};
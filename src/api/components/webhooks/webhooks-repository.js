@@ -0,0 +1,144 @@
+const { WebhookSubscription, WebhookDelivery } = require('../../../models');
+
+/**
+ * Create new webhook subscription
+ * @param {object} subscription - Subscription
+ * @returns {Promise}
+ */
+async function createSubscription(subscription) {
+  return WebhookSubscription.create(subscription);
+}
+
+/**
+ * Get all webhook subscriptions
+ * @returns {Promise}
+ */
+async function getSubscriptions() {
+  return WebhookSubscription.find({}).sort({ created_at: 1 });
+}
+
+/**
+ * Get webhook subscription detail
+ * @param {string} id - Subscription ID
+ * @returns {Promise}
+ */
+async function getSubscription(id) {
+  return WebhookSubscription.findById(id);
+}
+
+/**
+ * Get the active subscriptions of an event
+ * @param {string} event - Event name
+ * @returns {Promise}
+ */
+async function getSubscriptionsForEvent(event) {
+  return WebhookSubscription.find({ active: true, events: event });
+}
+
+/**
+ * Update a webhook subscription
+ * @param {string} id - Subscription ID
+ * @param {object} update - Fields to set
+ * @returns {Promise}
+ */
+async function updateSubscription(id, update) {
+  return WebhookSubscription.updateOne({ _id: id }, { $set: update });
+}
+
+/**
+ * Delete a webhook subscription
+ * @param {string} id - Subscription ID
+ * @returns {Promise}
+ */
+async function deleteSubscription(id) {
+  return WebhookSubscription.deleteOne({ _id: id });
+}
+
+/**
+ * Queue deliveries
+ * @param {Array} deliveries - Deliveries
+ * @returns {Promise}
+ */
+async function createDeliveries(deliveries) {
+  return WebhookDelivery.insertMany(deliveries);
+}
+
+/**
+ * Get deliveries matching the filters, newest first
+ * @param {object} filters - Optional `subscription_id`, `event` and `status`
+ * filters
+ * @param {number} limit - Maximum number of deliveries
+ * @returns {Promise}
+ */
+async function getDeliveries(filters, limit) {
+  const query = {};
+
+  ['subscription_id', 'event', 'status'].forEach((name) => {
+    if (filters[name]) {
+      query[name] = filters[name];
+    }
+  });
+
+  return WebhookDelivery.find(query).sort({ created_at: -1 }).limit(limit);
+}
+
+/**
+ * Get delivery detail
+ * @param {string} id - Delivery ID
+ * @returns {Promise}
+ */
+async function getDelivery(id) {
+  return WebhookDelivery.findById(id);
+}
+
+/**
+ * Lock one pending delivery that is due, so no other runner sends it until
+ * the lock expires
+ * @param {Date} now - Current time
+ * @param {Date} lockUntil - Lock expiry
+ * @returns {Promise} The locked delivery, or null if none is due
+ */
+async function claimDueDelivery(now, lockUntil) {
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      status: 'pending',
+      next_attempt_at: { $lte: now },
+      $or: [{ locked_until: null }, { locked_until: { $lt: now } }],
+    },
+    { $set: { locked_until: lockUntil } },
+    { new: true, sort: { next_attempt_at: 1 } }
+  );
+}
+
+/**
+ * Record a delivery attempt and release the lock
+ * @param {string} id - Delivery ID
+ * @param {object} response - Response status or error of the attempt
+ * @param {object} update - Fields to set
+ * @returns {Promise}
+ */
+async function recordAttempt(id, response, update) {
+  return WebhookDelivery.updateOne(
+    { _id: id },
+    {
+      $push: { responses: response },
+      $inc: { attempts: 1 },
+      $set: update,
+      $unset: { locked_until: '' },
+    }
+  );
+}
+
+module.exports = {
+  createSubscription,
+  getSubscriptions,
+  getSubscription,
+  getSubscriptionsForEvent,
+  updateSubscription,
+  deleteSubscription,
+  createDeliveries,
+  getDeliveries,
+  getDelivery,
+  claimDueDelivery,
+  recordAttempt,
+};
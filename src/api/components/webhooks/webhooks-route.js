@@ -0,0 +1,84 @@
+const express = require('express');
+
+const authenticationMiddleware = require('../../middlewares/authentication-middleware');
+const { requireRole } = require('../../middlewares/permission-middleware');
+const celebrate = require('../../../core/celebrate-wrappers');
+const webhooksControllers = require('./webhooks-controller');
+const webhooksValidator = require('./webhooks-validator');
+
+const route = express.Router();
+
+module.exports = (app) => {
+  app.use('/webhooks', route);
+
+  // Get list of webhook subscriptions
+  route.get(
+    '/subscriptions',
+    authenticationMiddleware,
+    requireRole('admin'),
+    webhooksControllers.getSubscriptions
+  );
+
+  // Subscribe a URL to events
+  route.post(
+    '/subscriptions',
+    authenticationMiddleware,
+    requireRole('admin'),
+    celebrate(webhooksValidator.createSubscription),
+    webhooksControllers.createSubscription
+  );
+
+  // Get webhook subscription detail
+  route.get(
+    '/subscriptions/:id',
+    authenticationMiddleware,
+    requireRole('admin'),
+    celebrate(webhooksValidator.getSubscription),
+    webhooksControllers.getSubscription
+  );
+
+  // Update a webhook subscription
+  route.put(
+    '/subscriptions/:id',
+    authenticationMiddleware,
+    requireRole('admin'),
+    celebrate(webhooksValidator.updateSubscription),
+    webhooksControllers.updateSubscription
+  );
+
+  // Delete a webhook subscription
+  route.delete(
+    '/subscriptions/:id',
+    authenticationMiddleware,
+    requireRole('admin'),
+    celebrate(webhooksValidator.deleteSubscription),
+    webhooksControllers.deleteSubscription
+  );
+
+  // Get the delivery log
+  route.get(
+    '/deliveries',
+    authenticationMiddleware,
+    requireRole('admin'),
+    celebrate(webhooksValidator.getDeliveries),
+    webhooksControllers.getDeliveries
+  );
+
+  // Get delivery detail with every attempt
+  route.get(
+    '/deliveries/:id',
+    authenticationMiddleware,
+    requireRole('admin'),
+    celebrate(webhooksValidator.getDelivery),
+    webhooksControllers.getDelivery
+  );
+
+  // Send a delivery again
+  route.post(
+    '/deliveries/:id/replay',
+    authenticationMiddleware,
+    requireRole('admin'),
+    celebrate(webhooksValidator.replayDelivery),
+    webhooksControllers.replayDelivery
+  );
+};
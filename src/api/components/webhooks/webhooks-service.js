@@ -0,0 +1,419 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const { v4: uuidv4 } = require('uuid');
+
+const webhooksRepository = require('./webhooks-repository');
+const config = require('../../../core/config');
+const { errorResponder, errorTypes } = require('../../../core/errors');
+const logger = require('../../../core/logger')('app');
+const { formatAmount } = require('../../../utils/money');
+const { isPublicAddress } = require('../../../utils/network');
+
+// Events partners can subscribe to
+const events = [
+  'user.created',
+  'user.password_changed',
+  'user.pin_changed',
+  'user.deleted',
+  'account.opened',
+  'account.status_changed',
+  'account.closed',
+  'balance.changed',
+];
+
+// A runner that crashes mid-delivery releases its lock after this long
+const LOCK_DURATION = 5 * 60 * 1000;
+
+/**
+ * Format a subscription for the response, without its secret
+ * @param {object} subscription - Subscription
+ * @returns {object}
+ */
+function formatSubscription(subscription) {
+  return {
+    id: subscription.id,
+    url: subscription.url,
+    events: subscription.events,
+    active: subscription.active,
+    created_by: subscription.created_by,
+    created_at: subscription.created_at,
+  };
+}
+
+/**
+ * Format a delivery for the response
+ * @param {object} delivery - Delivery
+ * @returns {object}
+ */
+function formatDelivery(delivery) {
+  return {
+    id: delivery.id,
+    subscription_id: delivery.subscription_id,
+    event: delivery.event,
+    payload: delivery.payload,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    next_attempt_at:
+      delivery.status === 'pending' ? delivery.next_attempt_at : null,
+    responses: delivery.responses.map((response) => ({
+      at: response.at,
+      status_code: response.status_code,
+      error: response.error,
+    })),
+    replay_of: delivery.replay_of,
+    delivered_at: delivery.delivered_at,
+    created_at: delivery.created_at,
+  };
+}
+
+/**
+ * Sign a delivery body. Receivers recompute the HMAC-SHA256 of
+ * `<timestamp>.<body>` with their secret and compare it with `v1`.
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Request body
+ * @returns {string} Signature header value
+ */
+function sign(secret, timestamp, body) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Check that a receiver URL only resolves to public addresses, so that
+ * subscriptions cannot be used to reach the bank's own network. Checked on
+ * subscribing and again on every delivery, as DNS records can change.
+ * @param {string} url - Receiver URL
+ * @returns {boolean}
+ */
+async function isPublicUrl(url) {
+  if (config.webhooks.allowPrivateUrls) {
+    return true;
+  }
+
+  // Literal IPv6 hosts keep their brackets in the URL
+  const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+
+  try {
+    const addresses = await dns.lookup(hostname, { all: true });
+    return (
+      addresses.length > 0 &&
+      addresses.every(({ address }) => isPublicAddress(address))
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Refuse receiver URLs that do not resolve to public addresses
+ * @param {string} url - Receiver URL
+ */
+async function assertPublicUrl(url) {
+  if (!(await isPublicUrl(url))) {
+    throw errorResponder(
+      errorTypes.UNPROCESSABLE_ENTITY,
+      'Webhook URL must resolve to a public address'
+    );
+  }
+}
+
+/**
+ * Send one delivery attempt and schedule a retry with exponential backoff if
+ * the receiver does not answer with a 2xx status
+ * @param {object} delivery - Delivery
+ */
+async function sendDelivery(delivery) {
+  const subscription = await webhooksRepository.getSubscription(
+    delivery.subscription_id
+  );
+  const response = { at: new Date() };
+
+  if (!subscription || !subscription.active) {
+    response.error = 'Subscription is removed or inactive';
+  } else if (!(await isPublicUrl(subscription.url))) {
+    response.error = 'Receiver URL does not resolve to a public address';
+  } else {
+    const body = JSON.stringify(delivery.payload);
+
+    try {
+      const result = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Signature': sign(
+            subscription.secret,
+            Math.floor(Date.now() / 1000),
+            body
+          ),
+        },
+        body,
+        // A redirect could point at a private address, so it counts as failed
+        redirect: 'manual',
+        signal: AbortSignal.timeout(config.webhooks.timeout * 1000),
+      });
+      response.status_code = result.status;
+      if (!result.ok) {
+        response.error = `Receiver answered ${result.status}`;
+      }
+    } catch (error) {
+      response.error = error.message;
+    }
+  }
+
+  const attempts = delivery.attempts + 1;
+  const update = {};
+
+  if (!response.error) {
+    update.status = 'delivered';
+    update.delivered_at = response.at;
+  } else if (!subscription || attempts >= config.webhooks.maxAttempts) {
+    update.status = 'failed';
+  } else {
+    update.next_attempt_at = new Date(
+      Date.now() + config.webhooks.retryDelay * 1000 * 2 ** (attempts - 1)
+    );
+  }
+
+  await webhooksRepository.recordAttempt(delivery.id, response, update);
+}
+
+/**
+ * Send every delivery that is due, one at a time
+ */
+async function deliverDueWebhooks() {
+  const now = new Date();
+  const delivery = await webhooksRepository.claimDueDelivery(
+    now,
+    new Date(now.getTime() + LOCK_DURATION)
+  );
+
+  if (!delivery) {
+    return;
+  }
+
+  try {
+    await sendDelivery(delivery);
+  } catch (error) {
+    // Leave it locked, it is picked up again once the lock expires
+    logger.error(error, `Failed to send webhook delivery ${delivery.id}`);
+  }
+
+  await deliverDueWebhooks();
+}
+
+/**
+ * Queue an event for every subscription of it and start sending right away.
+ * Publishing never fails the operation that raised the event.
+ * @param {string} event - Event name
+ * @param {object} data - Event data
+ */
+async function publish(event, data) {
+  try {
+    const subscriptions =
+      await webhooksRepository.getSubscriptionsForEvent(event);
+    if (subscriptions.length === 0) {
+      return;
+    }
+
+    const payload = {
+      id: uuidv4(),
+      event,
+      created_at: new Date(),
+      data,
+    };
+    await webhooksRepository.createDeliveries(
+      subscriptions.map((subscription) => ({
+        subscription_id: subscription.id,
+        event,
+        payload,
+      }))
+    );
+
+    deliverDueWebhooks().catch((error) =>
+      logger.error(error, 'Failed to send webhook deliveries')
+    );
+  } catch (error) {
+    logger.error(error, `Failed to publish ${event} event`);
+  }
+}
+
+/**
+ * Publish the balance change of a ledger entry
+ * @param {object} entry - Ledger entry
+ */
+async function publishBalanceChange(entry) {
+  await publish('balance.changed', {
+    account_number: entry.account_number,
+    type: entry.type,
+    direction: entry.direction,
+    amount: formatAmount(entry.amount),
+    currency: entry.currency,
+    balance_after: formatAmount(entry.balance_after),
+    reference: entry.reference,
+    description: entry.description,
+  });
+}
+
+/**
+ * Get list of webhook subscriptions
+ * @returns {Array}
+ */
+async function getSubscriptions() {
+  const subscriptions = await webhooksRepository.getSubscriptions();
+  return subscriptions.map(formatSubscription);
+}
+
+/**
+ * Get webhook subscription detail
+ * @param {string} id - Subscription ID
+ * @returns {object}
+ */
+async function getSubscription(id) {
+  const subscription = await webhooksRepository.getSubscription(id);
+
+  if (!subscription) {
+    return null;
+  }
+
+  return formatSubscription(subscription);
+}
+
+/**
+ * Subscribe a URL to events
+ * @param {string} userId - ID of the user registering the subscription
+ * @param {string} url - Receiver URL
+ * @param {Array} subscribedEvents - Event names
+ * @param {string} secret - Signing secret
+ * @returns {object} The subscription. Throws if the URL does not resolve to a
+ * public address.
+ */
+async function createSubscription(userId, url, subscribedEvents, secret) {
+  await assertPublicUrl(url);
+
+  try {
+    const subscription = await webhooksRepository.createSubscription({
+      created_by: String(userId),
+      url,
+      events: subscribedEvents,
+      secret,
+    });
+    return formatSubscription(subscription);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Update a webhook subscription
+ * @param {string} id - Subscription ID
+ * @param {object} update - New `url`, `events`, `secret` or `active`
+ * @returns {boolean} Throws if the new URL does not resolve to a public
+ * address.
+ */
+async function updateSubscription(id, update) {
+  if (update.url) {
+    await assertPublicUrl(update.url);
+  }
+
+  try {
+    await webhooksRepository.updateSubscription(id, update);
+  } catch (err) {
+    return null;
+  }
+
+  return true;
+}
+
+/**
+ * Delete a webhook subscription. Its pending deliveries fail on their next
+ * attempt.
+ * @param {string} id - Subscription ID
+ * @returns {boolean}
+ */
+async function deleteSubscription(id) {
+  try {
+    await webhooksRepository.deleteSubscription(id);
+  } catch (err) {
+    return null;
+  }
+
+  return true;
+}
+
+/**
+ * Get the delivery log
+ * @param {object} filters - Optional `subscription_id`, `event` and `status`
+ * filters
+ * @param {number} limit - Maximum number of deliveries
+ * @returns {Array}
+ */
+async function getDeliveries(filters, limit) {
+  const deliveries = await webhooksRepository.getDeliveries(filters, limit);
+  return deliveries.map(formatDelivery);
+}
+
+/**
+ * Get delivery detail
+ * @param {string} id - Delivery ID
+ * @returns {object}
+ */
+async function getDelivery(id) {
+  const delivery = await webhooksRepository.getDelivery(id);
+
+  if (!delivery) {
+    return null;
+  }
+
+  return formatDelivery(delivery);
+}
+
+/**
+ * Send the payload of a delivery again as a new delivery, keeping the log of
+ * the original one
+ * @param {string} id - Delivery ID
+ * @returns {object} The new delivery, or null if the delivery is not found
+ */
+async function replayDelivery(id) {
+  const delivery = await webhooksRepository.getDelivery(id);
+
+  if (!delivery) {
+    return null;
+  }
+
+  const [replay] = await webhooksRepository.createDeliveries([
+    {
+      subscription_id: delivery.subscription_id,
+      event: delivery.event,
+      payload: delivery.payload,
+      replay_of: delivery.id,
+    },
+  ]);
+
+  deliverDueWebhooks().catch((error) =>
+    logger.error(error, 'Failed to send webhook deliveries')
+  );
+
+  return formatDelivery(replay);
+}
+
+module.exports = {
+  events,
+  publish,
+  publishBalanceChange,
+  deliverDueWebhooks,
+  getSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  getDeliveries,
+  getDelivery,
+  replayDelivery,
+};
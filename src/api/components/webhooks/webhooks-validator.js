@@ -0,0 +1,72 @@
+const joi = require('joi');
+const { events } = require('./webhooks-service');
+const { objectId } = require('../../../utils/object-id');
+
+const webhookUrl = joi
+  .string()
+  .uri({ scheme: ['http', 'https'] })
+  .label('URL');
+const webhookEvents = joi
+  .array()
+  .items(joi.string().valid(...events))
+  .min(1)
+  .unique()
+  .label('Events');
+const webhookSecret = joi.string().min(16).max(200).label('Secret');
+
+const idParams = {
+  id: objectId().required().label('ID'),
+};
+
+module.exports = {
+  createSubscription: {
+    body: {
+      url: webhookUrl.required(),
+      events: webhookEvents.required(),
+      secret: webhookSecret.required(),
+    },
+  },
+
+  getSubscription: {
+    params: idParams,
+  },
+
+  updateSubscription: {
+    params: idParams,
+    body: joi
+      .object({
+        url: webhookUrl,
+        events: webhookEvents,
+        secret: webhookSecret,
+        active: joi.boolean().label('Active'),
+      })
+      .min(1),
+  },
+
+  deleteSubscription: {
+    params: idParams,
+  },
+
+  getDeliveries: {
+    query: {
+      subscription_id: objectId().label('Subscription ID'),
+      event: joi
+        .string()
+        .valid(...events)
+        .label('Event'),
+      status: joi
+        .string()
+        .valid('pending', 'delivered', 'failed')
+        .label('Status'),
+      limit: joi.number().integer().min(1).max(500).default(100).label('Limit'),
+    },
+  },
+
+  getDelivery: {
+    params: idParams,
+  },
+
+  replayDelivery: {
+    params: idParams,
+  },
+};
@@ -1,13 +1,39 @@
 const express = require('express');
 
+const accounts = require('./components/accounts/accounts-route');
 const authentication = require('./components/authentication/authentication-route');
+const beneficiaries = require('./components/beneficiaries/beneficiaries-route');
+const fraud = require('./components/fraud/fraud-route');
+const interest = require('./components/interest/interest-route');
+const merchants = require('./components/merchants/merchants-route');
+const paymentRequests = require('./components/payment-requests/payment-requests-route');
+const pockets = require('./components/pockets/pockets-route');
+const reconciliation = require('./components/reconciliation/reconciliation-route');
+const reversals = require('./components/reversals/reversals-route');
+const scheduledTransfers = require('./components/scheduled-transfers/scheduled-transfers-route');
+const transactions = require('./components/transactions/transactions-route');
+const transfers = require('./components/transfers/transfers-route');
 const users = require('./components/users/users-route');
+const webhooks = require('./components/webhooks/webhooks-route');
 
 module.exports = () => {
   const app = express.Router();
 
   authentication(app);
   users(app);
+  accounts(app);
+  beneficiaries(app);
+  transfers(app);
+  merchants(app);
+  paymentRequests(app);
+  scheduledTransfers(app);
+  transactions(app);
+  reversals(app);
+  fraud(app);
+  webhooks(app);
+  reconciliation(app);
+  interest(app);
+  pockets(app);
 
   return app;
 };
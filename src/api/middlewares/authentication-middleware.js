@@ -2,19 +2,61 @@ const passport = require('passport');
 const passportJWT = require('passport-jwt');
 
 const config = require('../../core/config');
-const { User } = require('../../models');
+const { User, Session, RevokedToken } = require('../../models');
 
-// Authenticate user based on the JWT token
+// Authenticate user based on the JWT token, rejecting tokens revoked on
+// their own by logout, together with every token issued before the user's
+// `tokens_valid_after`, or along with the refresh tokens of their session.
+// The token payload is kept in `request.token`.
 passport.use(
   'user',
   new passportJWT.Strategy(
     {
       jwtFromRequest: passportJWT.ExtractJwt.fromAuthHeaderWithScheme('jwt'),
       secretOrKey: config.secret.jwt,
+      passReqToCallback: true,
     },
-    async (payload, done) => {
-      const user = await User.findOne({ id: payload.user_id });
-      return user ? done(null, user) : done(null, false);
+    async (request, payload, done) => {
+      try {
+        // Login challenges and other special-purpose tokens are no access tokens
+        if (payload.purpose) {
+          return done(null, false);
+        }
+
+        const user = await User.findById(payload.userId);
+        if (!user) {
+          return done(null, false);
+        }
+
+        // `iat` is in whole seconds, so a token issued in the same second as
+        // the revocation is rejected too, rather than let one issued just
+        // before it through
+        if (
+          user.tokens_valid_after &&
+          payload.iat <= Math.floor(user.tokens_valid_after.getTime() / 1000)
+        ) {
+          return done(null, false);
+        }
+
+        if (payload.jti && (await RevokedToken.exists({ jti: payload.jti }))) {
+          return done(null, false);
+        }
+
+        if (
+          payload.sessionId &&
+          !(await Session.exists({
+            family_id: payload.sessionId,
+            status: 'active',
+          }))
+        ) {
+          return done(null, false);
+        }
+
+        request.token = payload;
+        return done(null, user);
+      } catch (error) {
+        return done(error);
+      }
     }
   )
 );
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+
+const config = require('../../core/config');
+const logger = require('../../core/logger')('app');
+const { errorResponder, errorTypes } = require('../../core/errors');
+const { IdempotencyKey } = require('../../models');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Hash the parts of the request that must match when a key is reused
+ * @param {object} request - Express request object
+ * @returns {string}
+ */
+function hashRequest(request) {
+  return crypto
+    .createHash('sha256')
+    .update(
+      JSON.stringify([request.method, request.originalUrl, request.body || {}])
+    )
+    .digest('hex');
+}
+
+/**
+ * Claim an idempotency key for this request
+ * @param {string} userId - User ID
+ * @param {string} key - Idempotency key
+ * @param {string} requestHash - Request hash
+ * @returns {object} The existing key record, or null if the key was claimed
+ */
+async function claimKey(userId, key, requestHash) {
+  try {
+    await IdempotencyKey.create({
+      key,
+      user_id: userId,
+      request_hash: requestHash,
+      status: 'processing',
+    });
+    return null;
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY_ERROR) {
+      throw error;
+    }
+  }
+
+  const existing = await IdempotencyKey.findOne({ user_id: userId, key });
+  const expiredAt = Date.now() - config.idempotency.keyTtl * 1000;
+
+  // MongoDB removes expired keys in the background, so one may outlive the
+  // window for a little while or disappear before we read it.
+  if (!existing || existing.created_at.getTime() < expiredAt) {
+    await IdempotencyKey.deleteOne({ user_id: userId, key });
+    return claimKey(userId, key, requestHash);
+  }
+
+  // The request holding the key never stored a response, e.g. because the
+  // process crashed, so the key is free again once its lease is over. Only
+  // that record is removed, in case another retry claimed the key already.
+  const leaseEndedAt = Date.now() - config.idempotency.processingLease * 1000;
+  if (
+    existing.status === 'processing' &&
+    existing.created_at.getTime() < leaseEndedAt
+  ) {
+    await IdempotencyKey.deleteOne({ _id: existing.id, status: 'processing' });
+    return claimKey(userId, key, requestHash);
+  }
+
+  return existing;
+}
+
+// Replay the stored response when a money-moving request is retried with
+// the same `Idempotency-Key` header, so it is only applied once.
+module.exports = async (request, response, next) => {
+  const key = request.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  try {
+    if (key.length > 255) {
+      throw errorResponder(
+        errorTypes.BAD_REQUEST,
+        'Idempotency-Key must be at most 255 characters'
+      );
+    }
+
+    const userId = request.user.id;
+    const requestHash = hashRequest(request);
+    const existing = await claimKey(userId, key, requestHash);
+
+    if (existing) {
+      if (existing.request_hash !== requestHash) {
+        throw errorResponder(
+          errorTypes.IDEMPOTENCY_KEY_CONFLICT,
+          'Idempotency-Key was already used for a different request'
+        );
+      }
+
+      if (existing.status !== 'completed') {
+        throw errorResponder(
+          errorTypes.IDEMPOTENCY_KEY_CONFLICT,
+          'A request with this Idempotency-Key is still being processed'
+        );
+      }
+
+      response.set('Idempotent-Replayed', 'true');
+      return response
+        .status(existing.response_status)
+        .json(existing.response_body);
+    }
+
+    // Store the first response. Server errors release the key instead, so
+    // the request can be retried.
+    const json = response.json.bind(response);
+    response.json = (body) => {
+      const stored =
+        response.statusCode >= 500
+          ? IdempotencyKey.deleteOne({ user_id: userId, key })
+          : IdempotencyKey.updateOne(
+              { user_id: userId, key },
+              {
+                $set: {
+                  status: 'completed',
+                  response_status: response.statusCode,
+                  response_body: body,
+                },
+              }
+            );
+      stored.catch((error) =>
+        logger.error(error, 'Failed to store idempotent response')
+      );
+
+      return json(body);
+    };
+
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,65 @@
+const { errorResponder, errorTypes } = require('../../core/errors');
+
+// Customers act on their own records only, tellers serve any customer and
+// admins run the bank. Users without a role are customers.
+const ROLES = ['customer', 'teller', 'admin'];
+
+/**
+ * Get the role of the logged in user
+ * @param {object} request - Express request object
+ * @returns {string}
+ */
+function roleOf(request) {
+  return (request.user && request.user.role) || 'customer';
+}
+
+/**
+ * Allow only users with one of the roles. Runs after the authentication
+ * middleware.
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+function requireRole(...roles) {
+  return (request, response, next) => {
+    if (!roles.includes(roleOf(request))) {
+      return next(
+        errorResponder(
+          errorTypes.BAD_ROLE,
+          `Only ${roles.join(' or ')} users can do this`
+        )
+      );
+    }
+
+    return next();
+  };
+}
+
+/**
+ * Allow only the user in the `:id` route parameter, and users with one of
+ * the roles acting on their behalf. Runs after the authentication middleware.
+ * @param {...string} roles - Roles allowed to act on any user
+ * @returns {Function} Express middleware
+ */
+function requireOwner(...roles) {
+  return (request, response, next) => {
+    if (
+      String(request.user.id) !== request.params.id &&
+      !roles.includes(roleOf(request))
+    ) {
+      return next(
+        errorResponder(
+          errorTypes.FORBIDDEN,
+          'You can only access your own records'
+        )
+      );
+    }
+
+    return next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  requireRole,
+  requireOwner,
+};
@@ -0,0 +1,16 @@
+const usersService = require('../components/users/users-service');
+
+// Money-moving requests need the transaction PIN of the logged in user in the
+// `X-Transaction-PIN` header, on top of the access token. Runs after the
+// authentication middleware.
+module.exports = async (request, response, next) => {
+  try {
+    await usersService.verifyTransactionPin(
+      request.user,
+      request.get('X-Transaction-PIN')
+    );
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -5,23 +5,166 @@ process.env.NODE_ENV = (process.env.NODE_ENV || 'development').toLowerCase();
 
 // Environment variables should be saved in a file named `.env` in the `./config` directory.
 // See `.env.example` for example.
+// Tests set what they need themselves, see `test/setup.js`.
 const envFound = dotenv.config({ path: '.env' });
-if (envFound.error) {
+if (envFound.error && process.env.NODE_ENV !== 'test') {
   throw new Error("⚠️ Couldn't find .env file ⚠️");
 }
 
 module.exports = {
+  accounts: {
+    // Active accounts without money movement for this many months become
+    // dormant
+    dormancyMonths: parseInt(process.env.ACCOUNT_DORMANCY_MONTHS, 10) || 12,
+  },
   api: {
     prefix: '/api',
   },
+  balance: {
+    // Lowest balance a withdrawal or transfer may leave behind
+    minimum: process.env.MINIMUM_BALANCE || '0',
+    // Accounts with an overdraft limit may go below zero down to the limit
+    overdraftLimits: {
+      savings: process.env.OVERDRAFT_LIMIT_SAVINGS || '0',
+      checking: process.env.OVERDRAFT_LIMIT_CHECKING || '0',
+    },
+  },
   database: {
     connection: process.env.DB_CONNECTION,
     name: process.env.DB_NAME,
   },
   env: process.env.NODE_ENV,
+  // Fraud screening rules run before money moves. Each rule decides 'hold'
+  // (admin review) or 'block' when it triggers, or is turned 'off'.
+  fraud: {
+    // Too many ledger entries on the account within the window
+    velocity: {
+      action: process.env.FRAUD_VELOCITY_ACTION || 'block',
+      window: parseInt(process.env.FRAUD_VELOCITY_WINDOW, 10) || 10 * 60,
+      maxTransactions:
+        parseInt(process.env.FRAUD_VELOCITY_MAX_TRANSACTIONS, 10) || 10,
+    },
+    // Amount far above the average of the account's recent movements of the
+    // same kind
+    unusualAmount: {
+      action: process.env.FRAUD_UNUSUAL_AMOUNT_ACTION || 'hold',
+      multiplier:
+        parseInt(process.env.FRAUD_UNUSUAL_AMOUNT_MULTIPLIER, 10) || 10,
+      history: parseInt(process.env.FRAUD_UNUSUAL_AMOUNT_HISTORY, 10) || 20,
+      minHistory:
+        parseInt(process.env.FRAUD_UNUSUAL_AMOUNT_MIN_HISTORY, 10) || 5,
+    },
+    // Large transfer to an account the sender never paid before
+    newBeneficiary: {
+      action: process.env.FRAUD_NEW_BENEFICIARY_ACTION || 'hold',
+      amount: process.env.FRAUD_NEW_BENEFICIARY_AMOUNT || '10000000',
+    },
+  },
+  idempotency: {
+    // How long an Idempotency-Key is remembered, in seconds
+    keyTtl: parseInt(process.env.IDEMPOTENCY_KEY_TTL, 10) || 24 * 60 * 60,
+    // How long a request may hold its key without storing a response, in
+    // seconds. A key left behind by a crashed request is free again after.
+    processingLease:
+      parseInt(process.env.IDEMPOTENCY_PROCESSING_LEASE, 10) || 60,
+  },
+  // Money movement limits per customer tier, per transaction and per rolling
+  // 24 hours. Individual accounts may override them.
+  limits: {
+    basic: {
+      top_up: {
+        per_transaction:
+          process.env.LIMIT_BASIC_TOP_UP_PER_TRANSACTION || '5000000',
+        daily: process.env.LIMIT_BASIC_TOP_UP_DAILY || '10000000',
+      },
+      transfer: {
+        per_transaction:
+          process.env.LIMIT_BASIC_TRANSFER_PER_TRANSACTION || '5000000',
+        daily: process.env.LIMIT_BASIC_TRANSFER_DAILY || '10000000',
+      },
+      withdrawal: {
+        per_transaction:
+          process.env.LIMIT_BASIC_WITHDRAWAL_PER_TRANSACTION || '2500000',
+        daily: process.env.LIMIT_BASIC_WITHDRAWAL_DAILY || '5000000',
+      },
+    },
+    verified: {
+      top_up: {
+        per_transaction:
+          process.env.LIMIT_VERIFIED_TOP_UP_PER_TRANSACTION || '50000000',
+        daily: process.env.LIMIT_VERIFIED_TOP_UP_DAILY || '100000000',
+      },
+      transfer: {
+        per_transaction:
+          process.env.LIMIT_VERIFIED_TRANSFER_PER_TRANSACTION || '50000000',
+        daily: process.env.LIMIT_VERIFIED_TRANSFER_DAILY || '100000000',
+      },
+      withdrawal: {
+        per_transaction:
+          process.env.LIMIT_VERIFIED_WITHDRAWAL_PER_TRANSACTION || '10000000',
+        daily: process.env.LIMIT_VERIFIED_WITHDRAWAL_DAILY || '20000000',
+      },
+    },
+  },
+  // Shown in the QR payloads of merchant accounts
+  merchants: {
+    city: process.env.MERCHANT_CITY || 'JAKARTA',
+    // ISO 18245 merchant category code
+    categoryCode: process.env.MERCHANT_CATEGORY_CODE || '5999',
+  },
+  paymentRequests: {
+    // How long a payment request can be paid, in seconds
+    ttl: parseInt(process.env.PAYMENT_REQUEST_TTL, 10) || 7 * 24 * 60 * 60,
+    // How long a payment may stay in processing before it is checked against
+    // the ledger and released, in seconds
+    processingLease:
+      parseInt(process.env.PAYMENT_REQUEST_PROCESSING_LEASE, 10) || 60,
+  },
   port: process.env.PORT || 5000,
+  reconciliation: {
+    // Hour of the day (UTC) after which the nightly reconciliation runs
+    hour: parseInt(process.env.RECONCILIATION_HOUR, 10) || 2,
+  },
+  roles: {
+    // Existing account made the first admin by the roles migration
+    firstAdminEmail: process.env.FIRST_ADMIN_EMAIL,
+  },
+  scheduler: {
+    // How often the background jobs check for due work, in seconds
+    interval: parseInt(process.env.SCHEDULER_INTERVAL, 10) || 60,
+  },
+  scheduledTransfers: {
+    // A failed occurrence is retried after this delay, in seconds
+    retryDelay:
+      parseInt(process.env.SCHEDULED_TRANSFER_RETRY_DELAY, 10) || 60 * 60,
+    // Attempts per occurrence before it is skipped
+    maxAttempts: parseInt(process.env.SCHEDULED_TRANSFER_MAX_ATTEMPTS, 10) || 3,
+  },
   secret: {
     jwt: process.env.JWT_SECRET || 'JWT_SECRET',
-    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '1d',
+    // Access tokens are short-lived and renewed with a refresh token
+    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    // How long a refresh token stays valid, in seconds
+    refreshTokenTtl:
+      parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 30 * 24 * 60 * 60,
+    // Encrypts the TOTP secrets of two-factor authentication at rest
+    totp: process.env.TOTP_SECRET || 'TOTP_SECRET',
+  },
+  twoFactor: {
+    // Shown next to the account in authenticator apps
+    issuer: process.env.TWO_FACTOR_ISSUER || 'M-Banking',
+    // How long a login challenge waits for its code, in seconds
+    challengeTtl: parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL, 10) || 300,
+  },
+  webhooks: {
+    // Whether receivers may be on loopback, link-local or private addresses.
+    // Only for local development, it exposes internal services otherwise.
+    allowPrivateUrls: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true',
+    // First retry delay in seconds, doubled after every failed attempt
+    retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY, 10) || 30,
+    // Attempts before a delivery is given up
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+    // How long to wait for the receiver, in seconds
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT, 10) || 10,
   },
 };
@@ -164,6 +164,26 @@ const errorTypes = {
     status: 500,
     code: 'DB_ERROR',
   },
+  IDEMPOTENCY_KEY_CONFLICT: {
+    description: 'Idempotency key conflict',
+    status: 409,
+    code: 'IDEMPOTENCY_KEY_CONFLICT_ERROR',
+  },
+  INVALID_AMOUNT: {
+    description: 'Invalid amount',
+    status: 400,
+    code: 'INVALID_AMOUNT_ERROR',
+  },
+  LIMIT_EXCEEDED: {
+    description: 'Transaction limit exceeded',
+    status: 422,
+    code: 'LIMIT_EXCEEDED_ERROR',
+  },
+  INSUFFICIENT_FUNDS: {
+    description: 'Insufficient funds',
+    status: 422,
+    code: 'INSUFFICIENT_FUNDS_ERROR',
+  },
 };
 
 const errorResponder = (errorType, message = '', validationErrors = null) => {
@@ -21,7 +21,7 @@ module.exports = (appName) =>
         }),
       },
       timestamp: pino.stdTimeFunctions.isoTime,
-      level: 'trace',
+      level: process.env.LOG_LEVEL || 'trace',
       redact: {
         paths: ['password', '*.password', 'token', 'authorization'],
         censor: '[REDACTED]',
@@ -0,0 +1,74 @@
+const config = require('./config');
+const logger = require('./logger')('scheduler');
+const accountsService = require('../api/components/accounts/accounts-service');
+const interestService = require('../api/components/interest/interest-service');
+const reconciliationService = require('../api/components/reconciliation/reconciliation-service');
+const scheduledTransfersService = require('../api/components/scheduled-transfers/scheduled-transfers-service');
+const webhooksService = require('../api/components/webhooks/webhooks-service');
+
+// Background jobs run inside the API process. Each job is idempotent, so it
+// is safe to run again after a restart or on several instances.
+const jobs = [
+  {
+    name: 'scheduled-transfers',
+    run: scheduledTransfersService.runDueTransfers,
+  },
+  {
+    name: 'account-dormancy',
+    run: accountsService.markDormantAccounts,
+  },
+  {
+    name: 'webhook-deliveries',
+    run: webhooksService.deliverDueWebhooks,
+  },
+  {
+    name: 'reconciliation',
+    run: reconciliationService.runNightlyReconciliation,
+  },
+  {
+    name: 'interest',
+    run: interestService.runDailyInterest,
+  },
+];
+
+/**
+ * Run a job, skipping the tick if its previous run has not finished yet
+ * @param {object} job - Job
+ */
+async function runJob(job) {
+  if (job.running) {
+    return;
+  }
+
+  // eslint-disable-next-line no-param-reassign
+  job.running = true;
+  try {
+    await job.run();
+  } catch (error) {
+    logger.error(error, `Job ${job.name} failed`);
+  } finally {
+    // eslint-disable-next-line no-param-reassign
+    job.running = false;
+  }
+}
+
+/**
+ * Start running every job on the configured interval
+ * @returns {Array} Interval timers
+ */
+function start() {
+  logger.info(`Scheduler runs every ${config.scheduler.interval} seconds`);
+
+  return jobs.map((job) => {
+    const timer = setInterval(
+      () => runJob(job),
+      config.scheduler.interval * 1000
+    );
+    timer.unref();
+    return timer;
+  });
+}
+
+module.exports = {
+  start,
+};
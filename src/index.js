@@ -1,21 +1,38 @@
 const { env, port } = require('./core/config');
 const logger = require('./core/logger')('app');
+const { assertTransactionsSupported } = require('./models');
+const scheduler = require('./core/scheduler');
 const server = require('./core/server');
 
-const app = server.listen(port, (err) => {
-  if (err) {
+let app = null;
+
+// Money cannot move without transactions, so do not start at all then
+assertTransactionsSupported()
+  .then(() => {
+    app = server.listen(port, (err) => {
+      if (err) {
+        logger.fatal(err, 'Failed to start the server.');
+        process.exit(1);
+      } else {
+        logger.info(`Server runs at port ${port} in ${env} environment`);
+
+        // Run background jobs, e.g. scheduled transfers
+        scheduler.start();
+      }
+    });
+  })
+  .catch((err) => {
     logger.fatal(err, 'Failed to start the server.');
     process.exit(1);
-  } else {
-    logger.info(`Server runs at port ${port} in ${env} environment`);
-  }
-});
+  });
 
 process.on('uncaughtException', (err) => {
   logger.fatal(err, 'Uncaught exception.');
 
   // Shutdown the server gracefully
-  app.close(() => process.exit(1));
+  if (app) {
+    app.close(() => process.exit(1));
+  }
 
   // If a graceful shutdown is not achieved after 1 second,
   // shut down the process completely
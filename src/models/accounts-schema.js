@@ -0,0 +1,38 @@
+const accountsSchema = {
+  user_id: String,
+  account_number: String,
+  // Number the account had before checksummed numbers were introduced
+  previous_account_number: String,
+  // Number the account is being moved to while it is renumbered
+  renumbering_to: String,
+  // 'savings', 'checking' or 'merchant'
+  type: { type: String, default: 'savings' },
+  // Balance in integer minor units, see `utils/money.js`
+  balance: { type: Number, default: 0, validate: Number.isInteger },
+  // Money set aside in pockets in integer minor units. It is not part of
+  // `balance`, which is what the customer can spend.
+  pocket_balance: { type: Number, default: 0, validate: Number.isInteger },
+  currency: { type: String, default: 'IDR' },
+  // 'active', 'frozen', 'dormant' or 'closed'. Dormant accounts still receive
+  // money but nothing leaves them until they are reactivated, frozen and
+  // closed accounts take part in no money movement at all.
+  status: { type: String, default: 'active' },
+  // Every status change with who made it and why
+  status_history: [
+    {
+      status: String,
+      reason: String,
+      user_id: String,
+      at: { type: Date, default: Date.now },
+    },
+  ],
+  // Last time money moved in or out of the account
+  last_activity_at: Date,
+  // Per-account overrides of the tier limits in minor units, e.g.
+  // `{ transfer: { daily: 100000000 } }`
+  limits: { type: Object, default: {} },
+  created_at: { type: Date, default: Date.now },
+  closed_at: Date,
+};
+
+module.exports = accountsSchema;
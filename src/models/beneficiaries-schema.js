@@ -0,0 +1,10 @@
+const beneficiariesSchema = {
+  user_id: String,
+  nickname: String,
+  account_number: String,
+  // Masked name of the account holder, as shown for confirmation
+  holder_name: String,
+  created_at: { type: Date, default: Date.now },
+};
+
+module.exports = beneficiariesSchema;
@@ -0,0 +1,24 @@
+const fraudReviewsSchema = {
+  // Held money movement, replayed as is once released
+  user_id: String,
+  // 'top_up', 'withdrawal' or 'transfer'
+  operation: String,
+  account_number: String,
+  counterparty: String,
+  // Amount in integer minor units
+  amount: Number,
+  description: String,
+  reference: String,
+  // Rules that triggered, with their decision and reason
+  rules: [{ rule: String, decision: String, reason: String }],
+  // 'pending', 'releasing', 'released' or 'rejected'
+  status: { type: String, default: 'pending' },
+  reviewed_by: String,
+  review_note: String,
+  reviewed_at: Date,
+  // Error message if the released movement failed
+  failure: String,
+  created_at: { type: Date, default: Date.now },
+};
+
+module.exports = fraudReviewsSchema;
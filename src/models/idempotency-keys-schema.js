@@ -0,0 +1,12 @@
+const idempotencyKeysSchema = {
+  key: String,
+  user_id: String,
+  request_hash: String,
+  // 'processing' until the first response is stored, then 'completed'
+  status: String,
+  response_status: Number,
+  response_body: Object,
+  created_at: { type: Date, default: Date.now },
+};
+
+module.exports = idempotencyKeysSchema;
@@ -3,8 +3,28 @@ const config = require('../core/config');
 const logger = require('../core/logger')('app');
 
 const usersSchema = require('./users-schema');
+const accountsSchema = require('./accounts-schema');
+const transactionsSchema = require('./transactions-schema');
+const idempotencyKeysSchema = require('./idempotency-keys-schema');
+const scheduledTransfersSchema = require('./scheduled-transfers-schema');
+const reversalRequestsSchema = require('./reversal-requests-schema');
+const beneficiariesSchema = require('./beneficiaries-schema');
+const paymentRequestsSchema = require('./payment-requests-schema');
+const fraudReviewsSchema = require('./fraud-reviews-schema');
+const webhookSubscriptionsSchema = require('./webhook-subscriptions-schema');
+const webhookDeliveriesSchema = require('./webhook-deliveries-schema');
+const reconciliationReportsSchema = require('./reconciliation-reports-schema');
+const interestProductsSchema = require('./interest-products-schema');
+const interestAccrualsSchema = require('./interest-accruals-schema');
+const interestPostingsSchema = require('./interest-postings-schema');
+const pocketsSchema = require('./pockets-schema');
+const sessionsSchema = require('./sessions-schema');
+const revokedTokensSchema = require('./revoked-tokens-schema');
 
-mongoose.connect(`${config.database.connection}/${config.database.name}`, {
+// The connection string may carry options such as `?replicaSet=`, so the
+// database name is passed on its own
+mongoose.connect(config.database.connection, {
+  dbName: config.database.name,
   useNewUrlParser: true,
 });
 
@@ -13,9 +33,170 @@ db.once('open', () => {
   logger.info('Successfully connected to MongoDB');
 });
 
+/**
+ * Make sure the database supports multi-document transactions, which every
+ * balance change runs in. A standalone mongod does not, only a replica set
+ * (a single node is enough) or a sharded cluster does.
+ */
+async function assertTransactionsSupported() {
+  await db.asPromise();
+  const hello = await db.db.admin().command({ hello: 1 });
+
+  if (!hello.setName && hello.msg !== 'isdbgrid') {
+    throw new Error(
+      'MongoDB is a standalone server without transactions, run it as a replica set and add `?replicaSet=` to DB_CONNECTION'
+    );
+  }
+}
+
 const User = mongoose.model('users', mongoose.Schema(usersSchema));
 
+const accountSchema = mongoose.Schema(accountsSchema);
+accountSchema.index({ account_number: 1 }, { unique: true });
+const Account = mongoose.model('accounts', accountSchema);
+
+// Ledger entries are append-only, so reject every query that would modify
+// or remove an existing entry.
+const transactionSchema = mongoose.Schema(transactionsSchema);
+transactionSchema.pre(/^(update|replace|delete|findOneAnd)/, () => {
+  throw new Error('Transactions are append-only');
+});
+transactionSchema.pre('save', function rejectUpdate() {
+  if (!this.isNew) {
+    throw new Error('Transactions are append-only');
+  }
+});
+// A reference is posted at most once per account and direction, so a retried
+// transfer with the same reference cannot move money twice.
+transactionSchema.index(
+  { reference: 1, account_number: 1, direction: 1 },
+  { unique: true, partialFilterExpression: { reference: { $type: 'string' } } }
+);
+// History, limits, fraud rules, interest and reconciliation read the entries
+// of an account over a time range, newest first.
+transactionSchema.index({ account_number: 1, created_at: -1 });
+const Transaction = mongoose.model('transactions', transactionSchema);
+
+// A key is unique per user, and MongoDB removes it once the window is over
+const idempotencyKeySchema = mongoose.Schema(idempotencyKeysSchema);
+idempotencyKeySchema.index({ user_id: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index(
+  { created_at: 1 },
+  { expireAfterSeconds: config.idempotency.keyTtl }
+);
+const IdempotencyKey = mongoose.model('idempotency_keys', idempotencyKeySchema);
+
+const ScheduledTransfer = mongoose.model(
+  'scheduled_transfers',
+  mongoose.Schema(scheduledTransfersSchema)
+);
+
+const ReversalRequest = mongoose.model(
+  'reversal_requests',
+  mongoose.Schema(reversalRequestsSchema)
+);
+
+// A user saves each account at most once
+const beneficiarySchema = mongoose.Schema(beneficiariesSchema);
+beneficiarySchema.index({ user_id: 1, account_number: 1 }, { unique: true });
+const Beneficiary = mongoose.model('beneficiaries', beneficiarySchema);
+
+const PaymentRequest = mongoose.model(
+  'payment_requests',
+  mongoose.Schema(paymentRequestsSchema)
+);
+
+const FraudReview = mongoose.model(
+  'fraud_reviews',
+  mongoose.Schema(fraudReviewsSchema)
+);
+
+const WebhookSubscription = mongoose.model(
+  'webhook_subscriptions',
+  mongoose.Schema(webhookSubscriptionsSchema)
+);
+
+const WebhookDelivery = mongoose.model(
+  'webhook_deliveries',
+  mongoose.Schema(webhookDeliveriesSchema)
+);
+
+// Only one scheduled reconciliation runs per day, even with several
+// instances running the scheduler
+const reconciliationReportSchema = mongoose.Schema(reconciliationReportsSchema);
+reconciliationReportSchema.index(
+  { scheduled_for: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { scheduled_for: { $type: 'string' } },
+  }
+);
+const ReconciliationReport = mongoose.model(
+  'reconciliation_reports',
+  reconciliationReportSchema
+);
+
+// Each account type has at most one active interest product
+const interestProductSchema = mongoose.Schema(interestProductsSchema);
+interestProductSchema.index(
+  { account_type: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+const InterestProduct = mongoose.model(
+  'interest_products',
+  interestProductSchema
+);
+
+// Interest is accrued once per account and day, and posted once per month
+const interestAccrualSchema = mongoose.Schema(interestAccrualsSchema);
+interestAccrualSchema.index({ account_number: 1, date: 1 }, { unique: true });
+const InterestAccrual = mongoose.model(
+  'interest_accruals',
+  interestAccrualSchema
+);
+
+const interestPostingSchema = mongoose.Schema(interestPostingsSchema);
+interestPostingSchema.index({ account_number: 1, period: 1 }, { unique: true });
+const InterestPosting = mongoose.model(
+  'interest_postings',
+  interestPostingSchema
+);
+
+const Pocket = mongoose.model('pockets', mongoose.Schema(pocketsSchema));
+
+// Refresh tokens are looked up by their hash, and MongoDB removes them once
+// they expire
+const sessionSchema = mongoose.Schema(sessionsSchema);
+sessionSchema.index({ token_hash: 1 }, { unique: true });
+sessionSchema.index({ family_id: 1 });
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+const Session = mongoose.model('sessions', sessionSchema);
+
+// A revoked access token only has to be remembered until it expires
+const revokedTokenSchema = mongoose.Schema(revokedTokensSchema);
+revokedTokenSchema.index({ jti: 1 }, { unique: true });
+revokedTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+const RevokedToken = mongoose.model('revoked_tokens', revokedTokenSchema);
+
 module.exports = {
   mongoose,
+  assertTransactionsSupported,
   User,
+  Account,
+  Transaction,
+  IdempotencyKey,
+  ScheduledTransfer,
+  ReversalRequest,
+  Beneficiary,
+  PaymentRequest,
+  FraudReview,
+  WebhookSubscription,
+  WebhookDelivery,
+  ReconciliationReport,
+  InterestProduct,
+  InterestAccrual,
+  InterestPosting,
+  Pocket,
+  Session,
+  RevokedToken,
 };
@@ -0,0 +1,17 @@
+const interestAccrualsSchema = {
+  account_number: String,
+  product_id: String,
+  // Day (YYYY-MM-DD) the interest was earned on
+  date: String,
+  // Balance in minor units at the end of the day
+  balance: Number,
+  // Annual rate applied, in 1/10000 of a percent
+  annual_rate: Number,
+  // Interest earned in 1/10000 of a minor unit, see `utils/interest.js`
+  units: { type: Number, validate: Number.isInteger },
+  // Reference of the posting that paid the interest out, unset until then
+  posting_reference: String,
+  created_at: { type: Date, default: Date.now },
+};
+
+module.exports = interestAccrualsSchema;
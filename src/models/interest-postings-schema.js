@@ -0,0 +1,19 @@
+const interestPostingsSchema = {
+  account_number: String,
+  product_id: String,
+  // Month (YYYY-MM) the interest was posted in
+  period: String,
+  // Interest in 1/10000 of a minor unit: the days posted, the remainder
+  // carried over from the previous posting and what is carried to the next
+  accrued_units: Number,
+  carried_in_units: Number,
+  carried_out_units: Number,
+  // Whole minor units credited to the account
+  amount: { type: Number, validate: Number.isInteger },
+  days: Number,
+  reference: String,
+  transaction_id: String,
+  posted_at: { type: Date, default: Date.now },
+};
+
+module.exports = interestPostingsSchema;
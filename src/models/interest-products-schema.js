@@ -0,0 +1,19 @@
+const interestProductsSchema = {
+  name: String,
+  // Type of account the product applies to, at most one active product each
+  account_type: String,
+  // Annual rate in 1/10000 of a percent, see `utils/interest.js`
+  annual_rate: { type: Number, validate: Number.isInteger },
+  // Day of the month (1-28) on which accrued interest is posted
+  posting_day: Number,
+  // Balances below this many minor units earn no interest
+  minimum_balance: { type: Number, default: 0, validate: Number.isInteger },
+  active: { type: Boolean, default: true },
+  created_by: String,
+  // Last day (YYYY-MM-DD) interest was accrued for
+  last_accrued_for: String,
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now },
+};
+
+module.exports = interestProductsSchema;
@@ -0,0 +1,26 @@
+const paymentRequestsSchema = {
+  // Requesting user and the account the money is paid into
+  user_id: String,
+  to_account: String,
+  note: String,
+  // Each requested account with its share of the bill
+  parties: [
+    {
+      account_number: String,
+      user_id: String,
+      // Amount in integer minor units
+      amount: Number,
+      // 'pending', 'processing', 'paid' or 'declined'
+      status: { type: String, default: 'pending' },
+      // Reference of the transfer paying the party, set when it is claimed
+      reference: String,
+      // When the party was last claimed for payment
+      claimed_at: Date,
+      responded_at: Date,
+    },
+  ],
+  expires_at: Date,
+  created_at: { type: Date, default: Date.now },
+};
+
+module.exports = paymentRequestsSchema;
@@ -0,0 +1,16 @@
+const pocketsSchema = {
+  user_id: String,
+  account_number: String,
+  name: String,
+  // Amounts in integer minor units, see `utils/money.js`
+  target_amount: { type: Number, validate: Number.isInteger },
+  target_date: Date,
+  balance: { type: Number, default: 0, validate: Number.isInteger },
+  // 'active' or 'broken'. A broken pocket has returned its money to the
+  // account and takes no more.
+  status: { type: String, default: 'active' },
+  created_at: { type: Date, default: Date.now },
+  broken_at: Date,
+};
+
+module.exports = pocketsSchema;
@@ -0,0 +1,27 @@
+const reconciliationReportsSchema = {
+  // 'scheduled' or 'manual'
+  trigger: String,
+  // User who ran a manual reconciliation
+  triggered_by: String,
+  // Day (YYYY-MM-DD) of a scheduled run, so each night runs only once
+  scheduled_for: String,
+  // 'running', 'completed' or 'failed'
+  status: { type: String, default: 'running' },
+  accounts_checked: { type: Number, default: 0 },
+  // Accounts whose stored balance differs from their ledger, amounts in
+  // integer minor units
+  discrepancies: [
+    {
+      account_number: String,
+      stored_balance: Number,
+      ledger_balance: Number,
+      difference: Number,
+      entries: Number,
+    },
+  ],
+  error: String,
+  started_at: { type: Date, default: Date.now },
+  finished_at: Date,
+};
+
+module.exports = reconciliationReportsSchema;
@@ -0,0 +1,23 @@
+const reversalRequestsSchema = {
+  // Ledger entry to reverse. Every entry sharing its reference is reversed.
+  transaction_id: String,
+  reason: String,
+  // 'pending', 'approved' or 'rejected'
+  status: { type: String, default: 'pending' },
+  requested_by: String,
+  reviewed_by: String,
+  // Reference of the compensating ledger entries
+  reversal_reference: String,
+  history: [
+    {
+      // 'requested', 'approved' or 'rejected'
+      action: String,
+      user_id: String,
+      note: String,
+      at: { type: Date, default: Date.now },
+    },
+  ],
+  created_at: { type: Date, default: Date.now },
+};
+
+module.exports = reversalRequestsSchema;
@@ -0,0 +1,10 @@
+const revokedTokensSchema = {
+  // ID (`jti`) of the revoked access token
+  jti: String,
+  user_id: String,
+  // When the token would have expired anyway
+  expires_at: Date,
+  revoked_at: { type: Date, default: Date.now },
+};
+
+module.exports = revokedTokensSchema;
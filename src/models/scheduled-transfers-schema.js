@@ -0,0 +1,33 @@
+const scheduledTransfersSchema = {
+  user_id: String,
+  from_account: String,
+  to_account: String,
+  // Amount in integer minor units, see `utils/money.js`
+  amount: { type: Number, validate: Number.isInteger },
+  description: String,
+  // 'once', 'daily', 'weekly' or 'monthly'
+  frequency: String,
+  start_at: Date,
+  end_at: Date,
+  // 'active', 'paused', 'cancelled', 'completed' or 'failed'
+  status: { type: String, default: 'active' },
+  // The occurrence being executed, and when to attempt it next
+  occurrence_at: Date,
+  next_run_at: Date,
+  failed_attempts: { type: Number, default: 0 },
+  // Set while a runner is executing the transfer
+  locked_until: Date,
+  executions: [
+    {
+      occurrence_at: Date,
+      executed_at: Date,
+      // 'success', 'failed' or 'held' for fraud review
+      status: String,
+      reference: String,
+      message: String,
+    },
+  ],
+  created_at: { type: Date, default: Date.now },
+};
+
+module.exports = scheduledTransfersSchema;
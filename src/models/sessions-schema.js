@@ -0,0 +1,19 @@
+const sessionsSchema = {
+  user_id: String,
+  // Every refresh token issued since one login shares the family ID
+  family_id: String,
+  // SHA-256 of the refresh token and of the client fingerprint it is bound to
+  token_hash: String,
+  fingerprint_hash: String,
+  // 'active', 'rotated' once exchanged for a new token, or 'revoked'
+  status: { type: String, default: 'active' },
+  user_agent: String,
+  ip: String,
+  created_at: { type: Date, default: Date.now },
+  expires_at: Date,
+  rotated_at: Date,
+  revoked_at: Date,
+  revoked_reason: String,
+};
+
+module.exports = sessionsSchema;
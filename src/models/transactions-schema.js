@@ -0,0 +1,15 @@
+const transactionsSchema = {
+  account_number: String,
+  type: String,
+  direction: String,
+  // Amounts in integer minor units, see `utils/money.js`
+  amount: { type: Number, validate: Number.isInteger },
+  currency: { type: String, default: 'IDR' },
+  counterparty: String,
+  balance_after: { type: Number, validate: Number.isInteger },
+  reference: String,
+  description: String,
+  created_at: { type: Date, default: Date.now },
+};
+
+module.exports = transactionsSchema;
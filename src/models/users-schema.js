@@ -2,9 +2,34 @@ const usersSchema = {
   name: String,
   email: String,
   phone: String,
-  account_number: String,
-  balance: String,
+  // Customer tier, 'basic' or 'verified', decides the transaction limits
+  tier: { type: String, default: 'basic' },
+  // 'customer', 'teller' or 'admin', see `permission-middleware.js`
+  role: { type: String, default: 'customer' },
   password: String,
+  // Access tokens issued before this moment are rejected, see logout-all
+  tokens_valid_after: Date,
+  // TOTP two-factor authentication, see `utils/totp.js`
+  two_factor: {
+    enabled: { type: Boolean, default: false },
+    // Encrypted secret, and the one waiting to be confirmed during enrolment
+    secret: String,
+    pending_secret: String,
+    // SHA-256 hashes of the unused recovery codes
+    recovery_codes: [String],
+    // Time step of the last accepted code, so no code works twice
+    last_used_step: Number,
+    failed_attempts: { type: Number, default: 0 },
+    locked_until: Date,
+    enabled_at: Date,
+  },
+  // 6-digit PIN confirming money movement, hashed like the password
+  transaction_pin: {
+    hash: String,
+    failed_attempts: { type: Number, default: 0 },
+    locked_until: Date,
+    changed_at: Date,
+  },
 };
 
 module.exports = usersSchema;
@@ -0,0 +1,26 @@
+const webhookDeliveriesSchema = {
+  subscription_id: String,
+  event: String,
+  // JSON body sent to the subscriber
+  payload: Object,
+  // 'pending', 'delivered' or 'failed'
+  status: { type: String, default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  next_attempt_at: { type: Date, default: Date.now },
+  // Set while a runner is sending the delivery
+  locked_until: Date,
+  // Every attempt with the receiver's response status or the error
+  responses: [
+    {
+      at: Date,
+      status_code: Number,
+      error: String,
+    },
+  ],
+  // Delivery this one replays
+  replay_of: String,
+  delivered_at: Date,
+  created_at: { type: Date, default: Date.now },
+};
+
+module.exports = webhookDeliveriesSchema;
@@ -0,0 +1,13 @@
+const webhookSubscriptionsSchema = {
+  // User who registered the subscription
+  created_by: String,
+  url: String,
+  // Event names, see `events` in the webhooks service
+  events: [String],
+  // Key of the HMAC signature of every delivery
+  secret: String,
+  active: { type: Boolean, default: true },
+  created_at: { type: Date, default: Date.now },
+};
+
+module.exports = webhookSubscriptionsSchema;
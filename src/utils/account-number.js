@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const joi = require('joi');
+
+// Account numbers are 12 digits: the bank prefix, 8 random digits and a Luhn
+// check digit, so most typos can be caught without a database lookup.
+const ACCOUNT_NUMBER_PREFIX = '535';
+const ACCOUNT_NUMBER_LENGTH = 12;
+
+/**
+ * Compute the Luhn check digit of a number
+ * @param {string} digits - Digits without the check digit
+ * @returns {string}
+ */
+function luhnCheckDigit(digits) {
+  let sum = 0;
+
+  // Double every second digit, starting from the rightmost one
+  for (let i = 0; i < digits.length; i += 1) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Generate a random account number with a check digit
+ * @returns {string}
+ */
+function generateAccountNumber() {
+  const randomLength = ACCOUNT_NUMBER_LENGTH - ACCOUNT_NUMBER_PREFIX.length - 1;
+  const random = String(crypto.randomInt(10 ** randomLength)).padStart(
+    randomLength,
+    '0'
+  );
+  const digits = `${ACCOUNT_NUMBER_PREFIX}${random}`;
+
+  return `${digits}${luhnCheckDigit(digits)}`;
+}
+
+/**
+ * Check the format and check digit of an account number
+ * @param {string} accountNumber - Account number
+ * @returns {boolean}
+ */
+function isValidAccountNumber(accountNumber) {
+  if (
+    typeof accountNumber !== 'string' ||
+    accountNumber.length !== ACCOUNT_NUMBER_LENGTH ||
+    !/^\d+$/.test(accountNumber)
+  ) {
+    return false;
+  }
+
+  return luhnCheckDigit(accountNumber.slice(0, -1)) === accountNumber.slice(-1);
+}
+
+/**
+ * Joi schema of an account number
+ * @returns {object}
+ */
+function accountNumberSchema() {
+  return joi
+    .string()
+    .custom((value, helpers) =>
+      isValidAccountNumber(value)
+        ? value
+        : helpers.error('accountNumber.invalid')
+    )
+    .messages({
+      'accountNumber.invalid': `{{#label}} must be a valid ${ACCOUNT_NUMBER_LENGTH}-digit account number`,
+    });
+}
+
+module.exports = {
+  generateAccountNumber,
+  isValidAccountNumber,
+  accountNumberSchema,
+};
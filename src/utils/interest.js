@@ -0,0 +1,99 @@
+// Interest is accrued in units of 1/10000 of a minor unit and only turned
+// into money when it is posted, so daily rounding never adds up. Rates are
+// integers in 1/10000 of a percent, e.g. 2.5% a year is 25000. All the
+// arithmetic is done on integers, so the same inputs always give the same
+// result.
+const ACCRUAL_UNITS_PER_MINOR_UNIT = 10000;
+const RATE_UNITS_PER_PERCENT = 10000;
+
+// Actual/365 fixed: every day earns 1/365 of the annual rate, leap years too
+const DAYS_PER_YEAR = 365;
+
+// Annual rate in percent, with up to four decimal places
+const RATE_PATTERN = /^\d{1,2}(\.\d{1,4})?$/;
+
+/**
+ * Convert an annual rate string into rate units
+ * @param {string} rate - Rate in percent, e.g. "2.5"
+ * @returns {number} Rate units, or null if the rate is malformed
+ */
+function toRateUnits(rate) {
+  if (typeof rate !== 'string' || !RATE_PATTERN.test(rate)) {
+    return null;
+  }
+
+  const [whole, fraction = ''] = rate.split('.');
+  return (
+    parseInt(whole, 10) * RATE_UNITS_PER_PERCENT +
+    parseInt(fraction.padEnd(4, '0'), 10)
+  );
+}
+
+/**
+ * Format rate units as an annual rate string
+ * @param {number} rateUnits - Rate units
+ * @returns {string} Rate in percent, e.g. "2.5000"
+ */
+function formatRate(rateUnits) {
+  const whole = Math.floor(rateUnits / RATE_UNITS_PER_PERCENT);
+  const fraction = String(rateUnits % RATE_UNITS_PER_PERCENT).padStart(4, '0');
+
+  return `${whole}.${fraction}`;
+}
+
+/**
+ * Compute one day of interest on a balance, truncated to whole accrual units
+ * @param {number} balance - Balance in minor units
+ * @param {number} rateUnits - Annual rate units
+ * @returns {number} Accrual units, zero for balances at or below zero
+ */
+function dailyAccrual(balance, rateUnits) {
+  if (balance <= 0 || rateUnits <= 0) {
+    return 0;
+  }
+
+  // balance * rate / 100% / 365 minor units, scaled up to accrual units.
+  // BigInt keeps the intermediate product exact for any balance.
+  const divisor =
+    (100 * RATE_UNITS_PER_PERCENT * DAYS_PER_YEAR) /
+    ACCRUAL_UNITS_PER_MINOR_UNIT;
+
+  return Number((BigInt(balance) * BigInt(rateUnits)) / BigInt(divisor));
+}
+
+/**
+ * Split accrued units into whole minor units to post and the remainder that
+ * is carried over to the next posting
+ * @param {number} units - Accrual units
+ * @returns {object} `amount` in minor units and `remainder` in accrual units
+ */
+function splitAccrual(units) {
+  return {
+    amount: Math.floor(units / ACCRUAL_UNITS_PER_MINOR_UNIT),
+    remainder: units % ACCRUAL_UNITS_PER_MINOR_UNIT,
+  };
+}
+
+/**
+ * Format accrual units as an amount string with four extra decimal places
+ * @param {number} units - Accrual units
+ * @returns {string} Amount, e.g. "68.493150"
+ */
+function formatAccrual(units) {
+  const { amount, remainder } = splitAccrual(units);
+  const minor = String(amount).padStart(3, '0');
+
+  return `${minor.slice(0, -2)}.${minor.slice(-2)}${String(remainder).padStart(
+    4,
+    '0'
+  )}`;
+}
+
+module.exports = {
+  RATE_PATTERN,
+  toRateUnits,
+  formatRate,
+  dailyAccrual,
+  splitAccrual,
+  formatAccrual,
+};
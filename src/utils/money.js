@@ -0,0 +1,48 @@
+// Money is stored as an integer number of minor units (e.g. sen for IDR),
+// so it never goes through floating point arithmetic.
+const DEFAULT_CURRENCY = 'IDR';
+const MINOR_UNIT_DIGITS = 2;
+
+// Well-formed amount: whole number with up to two decimal places
+const AMOUNT_PATTERN = /^\d{1,13}(\.\d{1,2})?$/;
+
+/**
+ * Convert a decimal amount string into integer minor units
+ * @param {string} amount - Amount string, e.g. "10000.50"
+ * @returns {number} Minor units, or null if the amount is malformed
+ */
+function toMinorUnits(amount) {
+  if (typeof amount !== 'string' || !AMOUNT_PATTERN.test(amount)) {
+    return null;
+  }
+
+  const [whole, fraction = ''] = amount.split('.');
+  return (
+    parseInt(whole, 10) * 10 ** MINOR_UNIT_DIGITS +
+    parseInt(fraction.padEnd(MINOR_UNIT_DIGITS, '0'), 10)
+  );
+}
+
+/**
+ * Format integer minor units as a decimal amount string
+ * @param {number} minorUnits - Amount in minor units
+ * @returns {string} Amount string, e.g. "10000.50"
+ */
+function formatAmount(minorUnits) {
+  const value = minorUnits || 0;
+  const sign = value < 0 ? '-' : '';
+  const digits = Math.abs(value)
+    .toString()
+    .padStart(MINOR_UNIT_DIGITS + 1, '0');
+
+  return `${sign}${digits.slice(0, -MINOR_UNIT_DIGITS)}.${digits.slice(
+    -MINOR_UNIT_DIGITS
+  )}`;
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  AMOUNT_PATTERN,
+  toMinorUnits,
+  formatAmount,
+};
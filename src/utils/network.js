@@ -0,0 +1,41 @@
+const net = require('net');
+
+// Addresses that reach the host itself or its private network rather than
+// the internet: unspecified, loopback, private, carrier-grade NAT,
+// link-local (including cloud metadata services) and multicast ranges. IPv4
+// addresses written as IPv6 ones are checked against the IPv4 ranges.
+const nonPublic = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['224.0.0.0', 3],
+].forEach(([network, prefix]) => nonPublic.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([network, prefix]) => nonPublic.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is reachable on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+
+  return !nonPublic.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+module.exports = {
+  isPublicAddress,
+};
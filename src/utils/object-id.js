@@ -0,0 +1,17 @@
+const joi = require('joi');
+
+/**
+ * Joi schema of a MongoDB ObjectId, so malformed IDs are refused before they
+ * reach a query
+ * @returns {object}
+ */
+function objectId() {
+  return joi.string().hex().length(24).messages({
+    'string.hex': '{{#label}} must be a valid ID',
+    'string.length': '{{#label}} must be a valid ID',
+  });
+}
+
+module.exports = {
+  objectId,
+};
@@ -0,0 +1,254 @@
+const { AMOUNT_PATTERN } = require('./money');
+const { isValidAccountNumber } = require('./account-number');
+
+// Merchant-presented QR payloads follow the EMV QR code format: a list of
+// fields, each written as a 2-digit ID, a 2-digit length and the value,
+// closed by a CRC-16/CCITT-FALSE checksum over everything before it.
+const ID = {
+  PAYLOAD_FORMAT: '00',
+  INITIATION_METHOD: '01',
+  MERCHANT_ACCOUNT: '26',
+  CATEGORY_CODE: '52',
+  CURRENCY: '53',
+  AMOUNT: '54',
+  COUNTRY: '58',
+  MERCHANT_NAME: '59',
+  MERCHANT_CITY: '60',
+  ADDITIONAL_DATA: '62',
+  CRC: '63',
+};
+
+// Sub-fields of the merchant account and additional data templates
+const MERCHANT_ACCOUNT_ID = { GUID: '00', ACCOUNT_NUMBER: '01' };
+const ADDITIONAL_DATA_ID = { REFERENCE: '05' };
+
+// Identifies merchant accounts of this bank inside the payload
+const MERCHANT_GUID = 'ID.CO.MBANKING';
+
+// Static codes can be paid many times, dynamic codes are for one payment
+const INITIATION_METHODS = { static: '11', dynamic: '12' };
+
+// ISO 4217 numeric codes of the supported currencies
+const CURRENCY_CODES = { IDR: '360' };
+
+// Longest merchant name and city the EMV format allows
+const MERCHANT_NAME_LENGTH = 25;
+const MERCHANT_CITY_LENGTH = 15;
+
+/**
+ * Compute the CRC-16/CCITT-FALSE checksum of a string
+ * @param {string} value - Value
+ * @returns {string} 4 uppercase hexadecimal digits
+ */
+function crc16(value) {
+  let crc = 0xffff;
+
+  for (let i = 0; i < value.length; i += 1) {
+    // eslint-disable-next-line no-bitwise
+    crc ^= value.charCodeAt(i) << 8;
+    for (let bit = 0; bit < 8; bit += 1) {
+      // eslint-disable-next-line no-bitwise
+      crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+      // eslint-disable-next-line no-bitwise
+      crc &= 0xffff;
+    }
+  }
+
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Write one field
+ * @param {string} id - Field ID
+ * @param {string} value - Value, at most 99 characters
+ * @returns {string}
+ */
+function field(id, value) {
+  return `${id}${String(value.length).padStart(2, '0')}${value}`;
+}
+
+/**
+ * Reduce free text to the printable ASCII payloads are made of: accents are
+ * dropped ('Café' becomes 'Cafe') and other characters removed
+ * @param {string} value - Text
+ * @param {number} maxLength - Longest result
+ * @param {string} fallback - Result if nothing printable is left
+ * @returns {string}
+ */
+function toPrintableAscii(value, maxLength, fallback) {
+  const text = value
+    .normalize('NFKD')
+    .replace(/[^\x20-\x7e]/g, '')
+    .replace(/ {2,}/g, ' ')
+    .trim()
+    .slice(0, maxLength)
+    .trim();
+
+  return text || fallback;
+}
+
+/**
+ * Split a list of fields into an object keyed by field ID
+ * @param {string} value - Fields
+ * @returns {object}
+ */
+function parseFields(value) {
+  const fields = {};
+  let index = 0;
+
+  while (index < value.length) {
+    const id = value.slice(index, index + 2);
+    const length = value.slice(index + 2, index + 4);
+    if (!/^\d{2}$/.test(id) || !/^\d{2}$/.test(length)) {
+      throw new Error(`malformed field at position ${index}`);
+    }
+
+    const start = index + 4;
+    const end = start + Number(length);
+    if (end > value.length) {
+      throw new Error(`field ${id} is longer than the payload`);
+    }
+    if (id in fields) {
+      throw new Error(`field ${id} appears more than once`);
+    }
+
+    fields[id] = value.slice(start, end);
+    index = end;
+  }
+
+  return fields;
+}
+
+/**
+ * Build a merchant-presented QR payload
+ * @param {object} options - Payload content
+ * @param {string} options.method - 'static' or 'dynamic'
+ * @param {string} options.accountNumber - Merchant account number
+ * @param {string} options.merchantName - Merchant name
+ * @param {string} options.merchantCity - Merchant city
+ * @param {string} options.categoryCode - ISO 18245 merchant category code
+ * @param {string} options.currency - Currency, e.g. 'IDR'
+ * @param {string} options.amount - Fixed amount string, optional
+ * @param {string} options.reference - Bill reference, optional
+ * @returns {string}
+ */
+function encodeQrPayload(options) {
+  let payload = [
+    field(ID.PAYLOAD_FORMAT, '01'),
+    field(ID.INITIATION_METHOD, INITIATION_METHODS[options.method]),
+    field(
+      ID.MERCHANT_ACCOUNT,
+      field(MERCHANT_ACCOUNT_ID.GUID, MERCHANT_GUID) +
+        field(MERCHANT_ACCOUNT_ID.ACCOUNT_NUMBER, options.accountNumber)
+    ),
+    field(ID.CATEGORY_CODE, options.categoryCode),
+    field(ID.CURRENCY, CURRENCY_CODES[options.currency]),
+  ].join('');
+
+  if (options.amount) {
+    payload += field(ID.AMOUNT, options.amount);
+  }
+
+  payload += field(ID.COUNTRY, 'ID');
+  payload += field(
+    ID.MERCHANT_NAME,
+    toPrintableAscii(options.merchantName, MERCHANT_NAME_LENGTH, 'Merchant')
+  );
+  payload += field(
+    ID.MERCHANT_CITY,
+    toPrintableAscii(options.merchantCity, MERCHANT_CITY_LENGTH, 'Indonesia')
+  );
+
+  if (options.reference) {
+    payload += field(
+      ID.ADDITIONAL_DATA,
+      field(ADDITIONAL_DATA_ID.REFERENCE, options.reference)
+    );
+  }
+
+  // The checksum covers its own field ID and length
+  payload += `${ID.CRC}04`;
+  return `${payload}${crc16(payload)}`;
+}
+
+/**
+ * Check and read a merchant-presented QR payload of this bank
+ * @param {string} payload - Scanned payload
+ * @returns {object} Payload content, see `encodeQrPayload`. Throws with the
+ * reason if the payload is not valid.
+ */
+function parseQrPayload(payload) {
+  if (typeof payload !== 'string' || !/^[\x20-\x7e]+$/.test(payload)) {
+    throw new Error('payload must be printable text');
+  }
+
+  const crcStart = payload.length - 8;
+  if (crcStart < 0 || payload.slice(crcStart, crcStart + 4) !== `${ID.CRC}04`) {
+    throw new Error('payload must end with its CRC');
+  }
+  if (crc16(payload.slice(0, -4)) !== payload.slice(-4).toUpperCase()) {
+    throw new Error('CRC does not match');
+  }
+
+  const fields = parseFields(payload.slice(0, crcStart));
+
+  if (fields[ID.PAYLOAD_FORMAT] !== '01') {
+    throw new Error('unsupported payload format');
+  }
+
+  const method = Object.keys(INITIATION_METHODS).find(
+    (name) => INITIATION_METHODS[name] === fields[ID.INITIATION_METHOD]
+  );
+  if (!method) {
+    throw new Error('unknown initiation method');
+  }
+
+  const merchantAccount = parseFields(fields[ID.MERCHANT_ACCOUNT] || '');
+  if (merchantAccount[MERCHANT_ACCOUNT_ID.GUID] !== MERCHANT_GUID) {
+    throw new Error('merchant does not bank here');
+  }
+
+  const accountNumber = merchantAccount[MERCHANT_ACCOUNT_ID.ACCOUNT_NUMBER];
+  if (!isValidAccountNumber(accountNumber)) {
+    throw new Error('merchant account number is not valid');
+  }
+
+  const currency = Object.keys(CURRENCY_CODES).find(
+    (code) => CURRENCY_CODES[code] === fields[ID.CURRENCY]
+  );
+  if (!currency) {
+    throw new Error('unsupported currency');
+  }
+
+  const amount = fields[ID.AMOUNT];
+  if (amount !== undefined && !AMOUNT_PATTERN.test(amount)) {
+    throw new Error('amount is not valid');
+  }
+
+  const additionalData = parseFields(fields[ID.ADDITIONAL_DATA] || '');
+  const reference = additionalData[ADDITIONAL_DATA_ID.REFERENCE];
+  if (method === 'dynamic' && (!amount || !reference)) {
+    throw new Error('dynamic payloads need an amount and a reference');
+  }
+
+  if (!fields[ID.MERCHANT_NAME] || !fields[ID.MERCHANT_CITY]) {
+    throw new Error('merchant name and city are required');
+  }
+
+  return {
+    method,
+    accountNumber,
+    merchantName: fields[ID.MERCHANT_NAME],
+    merchantCity: fields[ID.MERCHANT_CITY],
+    categoryCode: fields[ID.CATEGORY_CODE],
+    currency,
+    amount,
+    reference,
+  };
+}
+
+module.exports = {
+  crc16,
+  encodeQrPayload,
+  parseQrPayload,
+};
@@ -1,27 +1,85 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
 
 const config = require('../core/config');
 
 /**
- * Sign and generate JWT token
+ * Sign and generate JWT access token
  * @param {string} email - Email
  * @param {string} userId - User ID
+ * @param {string} sessionId - ID of the session family the token belongs to
  * @returns {string} Token
  */
-function generateToken(email, userId) {
+function generateToken(email, userId, sessionId) {
   // Sign the JWT token with user info and set the expiration date
   return jwt.sign(
     {
       email,
       userId,
+      sessionId,
     },
     config.secret.jwt,
     {
       expiresIn: config.secret.jwtExpiresIn,
+      // Lets a single token be revoked, see logout
+      jwtid: uuidv4(),
     }
   );
 }
 
+/**
+ * Sign a login challenge, exchanged for tokens together with a two-factor
+ * code. It carries a `purpose`, so it is never accepted as an access token.
+ * @param {string} userId - User ID
+ * @param {string} fingerprintHash - Hash of the client fingerprint
+ * @returns {string} Token
+ */
+function generateChallengeToken(userId, fingerprintHash) {
+  return jwt.sign(
+    { userId, fingerprint: fingerprintHash, purpose: 'two_factor' },
+    config.secret.jwt,
+    { expiresIn: config.twoFactor.challengeTtl }
+  );
+}
+
+/**
+ * Verify a login challenge
+ * @param {string} token - Token
+ * @returns {object} Payload, or null if the token is invalid or expired
+ */
+function verifyChallengeToken(token) {
+  try {
+    const payload = jwt.verify(token, config.secret.jwt);
+    return payload.purpose === 'two_factor' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Generate an opaque refresh token
+ * @returns {string} Token
+ */
+function generateRefreshToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Hash a refresh token or client fingerprint for storage. Both are random or
+ * client-chosen values, so a plain SHA-256 is enough to keep them out of the
+ * database.
+ * @param {string} value - Value
+ * @returns {string} Hexadecimal hash
+ */
+function hashToken(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
 module.exports = {
   generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateRefreshToken,
+  hashToken,
 };
@@ -0,0 +1,97 @@
+const PDFDocument = require('pdfkit');
+
+const columns = [
+  'created_at',
+  'type',
+  'direction',
+  'amount',
+  'counterparty',
+  'reference',
+  'description',
+  'balance_after',
+];
+
+// Columns holding text the customer chose, e.g. a transfer description
+const textColumns = ['counterparty', 'reference', 'description'];
+
+/**
+ * Quote a value for a CSV cell
+ * @param {*} value - Cell value
+ * @param {boolean} isText - Whether the value is free text, which must not
+ * be read as a formula by spreadsheet applications
+ * @returns {string}
+ */
+function csvCell(value, isText = false) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // A leading quote keeps e.g. '=HYPERLINK(...)' plain text (CSV injection)
+  if (isText && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render an account statement as CSV
+ * @param {object} statement - Account statement
+ * @returns {string}
+ */
+function statementToCsv(statement) {
+  const rows = statement.transactions.map((transaction) =>
+    columns
+      .map((column) =>
+        csvCell(transaction[column], textColumns.includes(column))
+      )
+      .join(',')
+  );
+
+  return [columns.join(','), ...rows].join('\r\n');
+}
+
+/**
+ * Render an account statement as PDF into a writable stream
+ * @param {object} statement - Account statement
+ * @param {object} stream - Writable stream, e.g. Express response object
+ */
+function writeStatementPdf(statement, stream) {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  doc.pipe(stream);
+
+  doc.fontSize(16).text('Account Statement');
+  doc.moveDown(0.5);
+  doc
+    .fontSize(10)
+    .text(`Name: ${statement.name}`)
+    .text(`Account number: ${statement.account_number}`)
+    .text(`Period: ${statement.month}`);
+  doc.moveDown();
+
+  if (statement.transactions.length === 0) {
+    doc.text('No transactions in this period.');
+  }
+
+  statement.transactions.forEach((transaction) => {
+    const sign = transaction.direction === 'debit' ? '-' : '+';
+    doc.text(
+      [
+        transaction.created_at.toISOString().slice(0, 19).replace('T', ' '),
+        transaction.type,
+        `${sign}${transaction.amount}`,
+        transaction.counterparty || '-',
+        `balance ${transaction.balance_after}`,
+      ].join('   ')
+    );
+  });
+
+  doc.end();
+}
+
+module.exports = {
+  statementToCsv,
+  writeStatementPdf,
+};
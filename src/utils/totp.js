@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const joi = require('joi');
+
+const config = require('../core/config');
+
+// Time-based one-time passwords (RFC 6238) as understood by the common
+// authenticator apps: HMAC-SHA1, 6 digits, a new code every 30 seconds
+const DIGITS = 6;
+const PERIOD = 30;
+
+// Codes of the neighbouring time steps are accepted too, to allow for clock
+// drift and the time it takes to type the code
+const WINDOW = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as unpadded base32 (RFC 4648)
+ * @param {Buffer} buffer - Bytes
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = '';
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+
+  let encoded = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    encoded +=
+      BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+
+  return encoded;
+}
+
+/**
+ * Decode unpadded base32 (RFC 4648)
+ * @param {string} value - Base32 string
+ * @returns {Buffer}
+ */
+function base32Decode(value) {
+  let bits = '';
+  value
+    .replace(/=+$/, '')
+    .toUpperCase()
+    .split('')
+    .forEach((char) => {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('invalid base32 character');
+      }
+      bits += index.toString(2).padStart(5, '0');
+    });
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute the HOTP code (RFC 4226) of a counter
+ * @param {Buffer} key - Secret key
+ * @param {number} counter - Counter
+ * @returns {string} Code
+ */
+function hotp(key, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+  // Dynamic truncation
+  // eslint-disable-next-line no-bitwise
+  const offset = hmac[hmac.length - 1] & 0xf;
+  // eslint-disable-next-line no-bitwise
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Get the time step of a moment
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {number}
+ */
+function getTimeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / PERIOD);
+}
+
+/**
+ * Check a TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {number} The time step the code belongs to, or null if it does not
+ * match any step within the window
+ */
+function verifyTotp(secret, code, time = Date.now()) {
+  if (typeof code !== 'string' || !/^\d+$/.test(code)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const current = getTimeStep(time);
+
+  for (let step = current - WINDOW; step <= current + WINDOW; step += 1) {
+    const expected = hotp(key, step);
+    if (
+      expected.length === code.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))
+    ) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth URI authenticator apps read from a QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Name of the account in the app, e.g. email
+ * @returns {string}
+ */
+function otpauthUri(secret, accountName) {
+  const { issuer } = config.twoFactor;
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(
+    accountName
+  )}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD),
+  });
+
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Get the key TOTP secrets are encrypted with
+ * @returns {Buffer}
+ */
+function encryptionKey() {
+  return crypto.createHash('sha256').update(config.secret.totp).digest();
+}
+
+/**
+ * Encrypt a TOTP secret for storage with AES-256-GCM
+ * @param {string} secret - Base32 secret
+ * @returns {string} IV, authentication tag and ciphertext, base64 and
+ * separated by dots
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString('base64'))
+    .join('.');
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} stored - Output of `encryptSecret`
+ * @returns {string} Base32 secret
+ */
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = stored
+    .split('.')
+    .map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([
+    decipher.update(encrypted),
+    decipher.final(),
+  ]).toString();
+}
+
+/**
+ * Generate one-time recovery codes, e.g. '3f9a-c0d2-71be'
+ * @param {number} count - Number of codes
+ * @returns {Array}
+ */
+function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () =>
+    crypto.randomBytes(6).toString('hex').match(/.{4}/g).join('-')
+  );
+}
+
+/**
+ * Joi schema of a code from the authenticator app
+ * @returns {object}
+ */
+function totpCodeSchema() {
+  return joi
+    .string()
+    .pattern(/^\d{6}$/)
+    .label('Code');
+}
+
+/**
+ * Joi schema of a recovery code, see `generateRecoveryCodes`
+ * @returns {object}
+ */
+function recoveryCodeSchema() {
+  return joi
+    .string()
+    .pattern(/^\s*[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}\s*$/i)
+    .label('Recovery code');
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  getTimeStep,
+  verifyTotp,
+  otpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  totpCodeSchema,
+  recoveryCodeSchema,
+};
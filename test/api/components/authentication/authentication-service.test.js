@@ -0,0 +1,160 @@
+const assert = require('node:assert');
+const { afterEach, beforeEach, describe, it, mock } = require('node:test');
+
+const authenticationService = require('../../../../src/api/components/authentication/authentication-service');
+const authenticationRepository = require('../../../../src/api/components/authentication/authentication-repository');
+const {
+  encryptSecret,
+  generateSecret,
+  getTimeStep,
+  hotp,
+  base32Decode,
+} = require('../../../../src/utils/totp');
+
+const MAX_FAILED_CODES = 5;
+
+describe('authenticationService', () => {
+  const secret = generateSecret();
+  let user;
+
+  /**
+   * Get the code the authenticator app shows right now
+   * @returns {string}
+   */
+  function currentCode() {
+    return hotp(base32Decode(secret), getTimeStep());
+  }
+
+  /**
+   * Get a code no step within the window accepts
+   * @returns {string}
+   */
+  function wrongCode() {
+    const step = getTimeStep();
+    const valid = [step - 1, step, step + 1].map((window) =>
+      hotp(base32Decode(secret), window)
+    );
+    return ['000000', '111111', '222222', '333333'].find(
+      (code) => !valid.includes(code)
+    );
+  }
+
+  beforeEach(() => {
+    user = {
+      id: 'u1',
+      two_factor: {
+        enabled: true,
+        secret: encryptSecret(secret),
+        recovery_codes: [],
+        failed_attempts: 0,
+      },
+    };
+
+    // Match and update like the database would
+    mock.method(authenticationRepository, 'getUser', async () => user);
+    mock.method(authenticationRepository, 'claimTwoFactorAttempt', async () => {
+      if (user.two_factor.locked_until > new Date()) {
+        return null;
+      }
+      user.two_factor.failed_attempts += 1;
+      return structuredClone(user);
+    });
+    mock.method(
+      authenticationRepository,
+      'useTwoFactorStep',
+      async (id, step) => {
+        if (user.two_factor.last_used_step >= step) {
+          return false;
+        }
+        user.two_factor.last_used_step = step;
+        user.two_factor.failed_attempts = 0;
+        return true;
+      }
+    );
+    mock.method(
+      authenticationRepository,
+      'lockTwoFactor',
+      async (id, until) => {
+        user.two_factor.locked_until = until;
+        user.two_factor.failed_attempts = 0;
+      }
+    );
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('assertSecondFactor', () => {
+    it('accepts the current code and resets the attempts', async () => {
+      user.two_factor.failed_attempts = 3;
+
+      await authenticationService.assertSecondFactor('u1', {
+        code: currentCode(),
+      });
+
+      assert.strictEqual(user.two_factor.failed_attempts, 0);
+      assert.strictEqual(user.two_factor.last_used_step, getTimeStep());
+    });
+
+    it('refuses a code that was already used', async () => {
+      const code = currentCode();
+      await authenticationService.assertSecondFactor('u1', { code });
+
+      await assert.rejects(
+        authenticationService.assertSecondFactor('u1', { code }),
+        { code: 'INVALID_CREDENTIALS_ERROR' }
+      );
+    });
+
+    it('refuses a code older than the last used one', async () => {
+      user.two_factor.last_used_step = getTimeStep() + 1;
+
+      await assert.rejects(
+        authenticationService.assertSecondFactor('u1', {
+          code: currentCode(),
+        }),
+        { message: 'Wrong or already used code' }
+      );
+    });
+
+    it('locks after too many wrong codes', async () => {
+      for (let i = 1; i < MAX_FAILED_CODES; i += 1) {
+        // eslint-disable-next-line no-await-in-loop
+        await assert.rejects(
+          authenticationService.assertSecondFactor('u1', { code: wrongCode() }),
+          { code: 'INVALID_CREDENTIALS_ERROR' }
+        );
+      }
+      assert.strictEqual(user.two_factor.locked_until, undefined);
+
+      await assert.rejects(
+        authenticationService.assertSecondFactor('u1', { code: wrongCode() }),
+        { code: 'INVALID_CREDENTIALS_ERROR' }
+      );
+      assert.ok(user.two_factor.locked_until > new Date());
+
+      await assert.rejects(
+        authenticationService.assertSecondFactor('u1', {
+          code: currentCode(),
+        }),
+        { code: 'FORBIDDEN_ERROR' }
+      );
+    });
+
+    it('checks no more codes than allowed when they arrive at once', async () => {
+      const results = await Promise.allSettled(
+        Array.from({ length: MAX_FAILED_CODES + 3 }, () =>
+          authenticationService.assertSecondFactor('u1', { code: wrongCode() })
+        )
+      );
+
+      assert.ok(results.every((result) => result.status === 'rejected'));
+      assert.strictEqual(
+        results.filter(
+          (result) => result.reason.code === 'INVALID_CREDENTIALS_ERROR'
+        ).length,
+        MAX_FAILED_CODES
+      );
+      assert.ok(user.two_factor.locked_until > new Date());
+    });
+  });
+});
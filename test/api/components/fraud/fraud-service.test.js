@@ -0,0 +1,180 @@
+const assert = require('node:assert');
+const { afterEach, beforeEach, describe, it, mock } = require('node:test');
+
+const fraudService = require('../../../../src/api/components/fraud/fraud-service');
+const fraudRepository = require('../../../../src/api/components/fraud/fraud-repository');
+const transactionsRepository = require('../../../../src/api/components/transactions/transactions-repository');
+const config = require('../../../../src/core/config');
+const { toMinorUnits } = require('../../../../src/utils/money');
+
+const ACCOUNT = '535951916431';
+const COUNTERPARTY = '535000000019';
+
+/**
+ * Build a transfer to screen
+ * @param {number} amount - Amount in minor units
+ * @returns {object}
+ */
+function transferOf(amount) {
+  return {
+    operation: 'transfer',
+    userId: 'user',
+    accountNumber: ACCOUNT,
+    counterparty: COUNTERPARTY,
+    amount,
+    description: 'Rent',
+    reference: 'reference',
+  };
+}
+
+describe('fraud-service', () => {
+  const settings = config.fraud;
+  let created;
+
+  beforeEach(() => {
+    // Only the rule under test runs
+    config.fraud = {
+      velocity: { ...settings.velocity, action: 'off' },
+      unusualAmount: { ...settings.unusualAmount, action: 'off' },
+      newBeneficiary: { ...settings.newBeneficiary, action: 'off' },
+    };
+
+    created = [];
+    mock.method(
+      fraudRepository,
+      'getOpenFraudReviewByReference',
+      async () => null
+    );
+    mock.method(fraudRepository, 'createFraudReview', async (fraudReview) => {
+      created.push(fraudReview);
+      return { id: 'review', ...fraudReview };
+    });
+  });
+
+  afterEach(() => {
+    config.fraud = settings;
+    mock.restoreAll();
+  });
+
+  describe('screen', () => {
+    it('lets a movement through when no rule triggers', async () => {
+      config.fraud.velocity.action = 'hold';
+      mock.method(transactionsRepository, 'countTransactions', async () => 1);
+
+      assert.strictEqual(await fraudService.screen(transferOf(5000)), null);
+      assert.strictEqual(created.length, 0);
+    });
+
+    it('holds an account moving money too often', async () => {
+      config.fraud.velocity.action = 'hold';
+      mock.method(
+        transactionsRepository,
+        'countTransactions',
+        async () => config.fraud.velocity.maxTransactions
+      );
+
+      const held = await fraudService.screen(transferOf(5000));
+
+      assert.deepStrictEqual(held, {
+        status: 'held',
+        fraud_review_id: 'review',
+        message: 'Transaction is held for review',
+      });
+      assert.strictEqual(created[0].rules[0].rule, 'velocity');
+      assert.strictEqual(created[0].rules[0].decision, 'hold');
+    });
+
+    it('blocks instead of holding when the rule says so', async () => {
+      config.fraud.velocity.action = 'block';
+      mock.method(
+        transactionsRepository,
+        'countTransactions',
+        async () => config.fraud.velocity.maxTransactions
+      );
+
+      await assert.rejects(fraudService.screen(transferOf(5000)), {
+        code: 'ALERT_ERROR',
+      });
+      assert.strictEqual(created.length, 0);
+    });
+
+    it('holds an amount far above the account average', async () => {
+      config.fraud.unusualAmount.action = 'hold';
+      const { minHistory, multiplier } = config.fraud.unusualAmount;
+      mock.method(transactionsRepository, 'getLatestTransactions', async () =>
+        Array.from({ length: minHistory }, () => ({ amount: 1000 }))
+      );
+
+      assert.strictEqual(
+        await fraudService.screen(transferOf(1000 * multiplier)),
+        null
+      );
+
+      const held = await fraudService.screen(transferOf(1000 * multiplier + 1));
+
+      assert.strictEqual(held.status, 'held');
+      assert.strictEqual(created[0].rules[0].rule, 'unusualAmount');
+    });
+
+    it('does not judge the amount without enough history', async () => {
+      config.fraud.unusualAmount.action = 'hold';
+      mock.method(transactionsRepository, 'getLatestTransactions', async () => [
+        { amount: 1000 },
+      ]);
+
+      assert.strictEqual(await fraudService.screen(transferOf(10000000)), null);
+    });
+
+    it('holds a large first transfer to an account', async () => {
+      config.fraud.newBeneficiary.action = 'hold';
+      const known = mock.method(
+        transactionsRepository,
+        'hasTransferredTo',
+        async () => false
+      );
+      const amount = toMinorUnits(config.fraud.newBeneficiary.amount);
+
+      assert.strictEqual(
+        await fraudService.screen(transferOf(amount - 1)),
+        null
+      );
+
+      const held = await fraudService.screen(transferOf(amount));
+
+      assert.strictEqual(held.status, 'held');
+      assert.strictEqual(created[0].rules[0].rule, 'newBeneficiary');
+      assert.deepStrictEqual(known.mock.calls[0].arguments, [
+        ACCOUNT,
+        COUNTERPARTY,
+      ]);
+    });
+
+    it('lets a large transfer to a known account through', async () => {
+      config.fraud.newBeneficiary.action = 'hold';
+      mock.method(transactionsRepository, 'hasTransferredTo', async () => true);
+
+      assert.strictEqual(
+        await fraudService.screen(
+          transferOf(toMinorUnits(config.fraud.newBeneficiary.amount))
+        ),
+        null
+      );
+    });
+
+    it('joins the open review of a retried movement', async () => {
+      config.fraud.velocity.action = 'hold';
+      mock.method(
+        fraudRepository,
+        'getOpenFraudReviewByReference',
+        async () => ({ id: 'open' })
+      );
+      const count = mock.method(transactionsRepository, 'countTransactions');
+
+      const held = await fraudService.screen(transferOf(5000));
+
+      assert.strictEqual(held.fraud_review_id, 'open');
+      assert.strictEqual(count.mock.callCount(), 0);
+      assert.strictEqual(created.length, 0);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const assert = require('node:assert');
+const { afterEach, beforeEach, describe, it, mock } = require('node:test');
+
+const interestService = require('../../../../src/api/components/interest/interest-service');
+const interestRepository = require('../../../../src/api/components/interest/interest-repository');
+const accountsRepository = require('../../../../src/api/components/accounts/accounts-repository');
+const transactionsRepository = require('../../../../src/api/components/transactions/transactions-repository');
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the day some days before today
+ * @param {number} days - Number of days ago
+ * @returns {string} Day (YYYY-MM-DD)
+ */
+function daysAgo(days) {
+  return new Date(Date.now() - days * ONE_DAY).toISOString().slice(0, 10);
+}
+
+describe('interestService', () => {
+  let accruals;
+  let balancesAt;
+  let lastAccruedFor;
+
+  beforeEach(() => {
+    accruals = [];
+    balancesAt = [];
+    lastAccruedFor = [];
+
+    mock.method(accountsRepository, 'getOpenAccountsOfType', async () => [
+      { account_number: '1111111111', balance: 999999 },
+      { account_number: '2222222222', balance: 999999 },
+    ]);
+    mock.method(
+      transactionsRepository,
+      'getBalancesAt',
+      async (accountNumbers, before) => {
+        balancesAt.push(before);
+        return [
+          { _id: '1111111111', balance: 100000000 },
+          { _id: '2222222222', balance: 1000 },
+        ];
+      }
+    );
+    mock.method(interestRepository, 'upsertAccruals', async (entries) => {
+      accruals.push(...entries);
+    });
+    mock.method(interestRepository, 'setLastAccruedFor', async (id, date) => {
+      lastAccruedFor.push(date);
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('runDailyInterest', () => {
+    it('catches up every day missed since the last accrual', async () => {
+      mock.method(interestRepository, 'getProductsToAccrue', async () => [
+        {
+          id: 'p1',
+          account_type: 'savings',
+          annual_rate: 25000,
+          minimum_balance: 0,
+          posting_day: 31,
+          last_accrued_for: daysAgo(4),
+        },
+      ]);
+
+      await interestService.runDailyInterest();
+
+      const days = [daysAgo(3), daysAgo(2), daysAgo(1)];
+      assert.deepStrictEqual(lastAccruedFor, days);
+      assert.deepStrictEqual(
+        balancesAt.map((before) => before.toISOString()),
+        [daysAgo(2), daysAgo(1), daysAgo(0)].map(
+          (day) => `${day}T00:00:00.000Z`
+        )
+      );
+      assert.deepStrictEqual(
+        accruals
+          .filter((accrual) => accrual.account_number === '1111111111')
+          .map((accrual) => accrual.date),
+        days
+      );
+    });
+
+    it('accrues on the end-of-day ledger balance above the minimum', async () => {
+      mock.method(interestRepository, 'getProductsToAccrue', async () => [
+        {
+          id: 'p1',
+          account_type: 'savings',
+          annual_rate: 25000,
+          minimum_balance: 5000,
+          posting_day: 31,
+          last_accrued_for: daysAgo(2),
+        },
+      ]);
+
+      await interestService.runDailyInterest();
+
+      assert.deepStrictEqual(accruals, [
+        {
+          account_number: '1111111111',
+          product_id: 'p1',
+          date: daysAgo(1),
+          balance: 100000000,
+          annual_rate: 25000,
+          units: 68493150,
+        },
+      ]);
+    });
+
+    it('posts on a posting day passed while catching up', async () => {
+      const postingDay = new Date(Date.now() - ONE_DAY);
+      mock.method(interestRepository, 'getProductsToAccrue', async () => [
+        {
+          id: 'p1',
+          account_type: 'savings',
+          annual_rate: 25000,
+          minimum_balance: 0,
+          posting_day: postingDay.getUTCDate(),
+          last_accrued_for: daysAgo(4),
+        },
+      ]);
+      let accruedWhenPosted;
+      const posted = mock.method(
+        interestRepository,
+        'getAccountsWithUnpostedAccruals',
+        async () => {
+          accruedWhenPosted = [...new Set(accruals.map(({ date }) => date))];
+          return [];
+        }
+      );
+
+      await interestService.runDailyInterest();
+
+      assert.strictEqual(posted.mock.callCount(), 1);
+      assert.strictEqual(posted.mock.calls[0].arguments[0], 'p1');
+      // The posting day's run posts what was accrued up to the day before
+      assert.deepStrictEqual(accruedWhenPosted, [daysAgo(3), daysAgo(2)]);
+    });
+  });
+});
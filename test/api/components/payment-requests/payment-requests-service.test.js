@@ -0,0 +1,223 @@
+const assert = require('node:assert');
+const { afterEach, beforeEach, describe, it, mock } = require('node:test');
+
+const paymentRequestsService = require('../../../../src/api/components/payment-requests/payment-requests-service');
+const paymentRequestsRepository = require('../../../../src/api/components/payment-requests/payment-requests-repository');
+const fraudRepository = require('../../../../src/api/components/fraud/fraud-repository');
+const transactionsRepository = require('../../../../src/api/components/transactions/transactions-repository');
+const transfersService = require('../../../../src/api/components/transfers/transfers-service');
+
+const ID = '6650f0f0f0f0f0f0f0f0f0f2';
+const PAYER = '1234567890';
+const REFERENCE = `payment-request-${ID}-${PAYER}`;
+
+/**
+ * Keep a single payment request in memory behind the repository
+ * @returns {object} The stored payment request
+ */
+function storePaymentRequest() {
+  const paymentRequest = {
+    id: ID,
+    user_id: 'payee',
+    to_account: '0987654321',
+    note: 'Dinner',
+    parties: [
+      {
+        account_number: PAYER,
+        user_id: 'payer',
+        amount: 5000,
+        status: 'pending',
+      },
+    ],
+    expires_at: new Date(Date.now() + 60 * 60 * 1000),
+    created_at: new Date(),
+  };
+
+  /**
+   * Apply an update to the party if it matches
+   * @param {Function} matches - Party filter
+   * @param {object} fields - Fields to set
+   * @returns {object} The payment request, or null if nothing matched
+   */
+  function update(matches, fields) {
+    const party = paymentRequest.parties.find(matches);
+    if (!party) {
+      return null;
+    }
+    Object.assign(party, fields);
+    return paymentRequest;
+  }
+
+  mock.method(paymentRequestsRepository, 'getPaymentRequest', async () =>
+    structuredClone(paymentRequest)
+  );
+  mock.method(
+    paymentRequestsRepository,
+    'updatePartyStatus',
+    async (id, accountNumber, fromStatuses, fields) =>
+      update(
+        (party) =>
+          party.account_number === accountNumber &&
+          fromStatuses.includes(party.status),
+        fields
+      )
+  );
+  mock.method(
+    paymentRequestsRepository,
+    'updatePartyByReference',
+    async (reference, fromStatuses, fields, claimedBefore = null) =>
+      update(
+        (party) =>
+          party.reference === reference &&
+          fromStatuses.includes(party.status) &&
+          (!claimedBefore || party.claimed_at <= claimedBefore),
+        fields
+      )
+  );
+
+  return paymentRequest;
+}
+
+/**
+ * Let the ledger hold the given entries under every reference
+ * @param {Array} entries - Ledger entries
+ */
+function ledger(entries) {
+  mock.method(
+    transactionsRepository,
+    'getTransactionsByReference',
+    async () => entries
+  );
+}
+
+describe('paymentRequestsService', () => {
+  let paymentRequest;
+
+  beforeEach(() => {
+    paymentRequest = storePaymentRequest();
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('payPaymentRequest', () => {
+    it('pays the party under its own reference', async () => {
+      ledger([]);
+      const transfer = mock.method(transfersService, 'transfer', async () => ({
+        reference: REFERENCE,
+      }));
+
+      await paymentRequestsService.payPaymentRequest('payer', ID, PAYER);
+
+      assert.strictEqual(transfer.mock.calls[0].arguments[4], REFERENCE);
+      assert.strictEqual(paymentRequest.parties[0].status, 'paid');
+    });
+
+    it('marks a held payment paid when the review releases it', async () => {
+      ledger([]);
+      mock.method(transfersService, 'transfer', async () => ({
+        status: 'held',
+        fraud_review_id: 'review',
+        message: 'Transaction is held for review',
+      }));
+
+      const result = await paymentRequestsService.payPaymentRequest(
+        'payer',
+        ID,
+        PAYER
+      );
+
+      assert.strictEqual(result.status, 'held');
+      assert.strictEqual(paymentRequest.parties[0].status, 'pending');
+
+      await paymentRequestsService.settleTransfer(REFERENCE);
+
+      assert.strictEqual(paymentRequest.parties[0].status, 'paid');
+    });
+  });
+
+  describe('declinePaymentRequest', () => {
+    it('refuses while a held payment is waiting for review', async () => {
+      Object.assign(paymentRequest.parties[0], { reference: REFERENCE });
+      ledger([]);
+      mock.method(
+        fraudRepository,
+        'getOpenFraudReviewByReference',
+        async () => ({
+          id: 'f1',
+        })
+      );
+
+      await assert.rejects(
+        paymentRequestsService.declinePaymentRequest('payer', ID, PAYER),
+        { status: 422, message: /held for review/ }
+      );
+      assert.strictEqual(paymentRequest.parties[0].status, 'pending');
+    });
+
+    it('is final', async () => {
+      Object.assign(paymentRequest.parties[0], { reference: REFERENCE });
+      ledger([]);
+      mock.method(
+        fraudRepository,
+        'getOpenFraudReviewByReference',
+        async () => null
+      );
+      await paymentRequestsService.declinePaymentRequest('payer', ID, PAYER);
+
+      await paymentRequestsService.settleTransfer(REFERENCE);
+
+      assert.strictEqual(paymentRequest.parties[0].status, 'declined');
+    });
+  });
+
+  describe('getPaymentRequest', () => {
+    it('marks a party paid once its transfer is in the ledger', async () => {
+      Object.assign(paymentRequest.parties[0], {
+        status: 'processing',
+        reference: REFERENCE,
+        claimed_at: new Date(),
+      });
+      ledger([{ reference: REFERENCE, created_at: new Date() }]);
+
+      const result = await paymentRequestsService.getPaymentRequest(
+        'payee',
+        ID
+      );
+
+      assert.strictEqual(result.parties[0].status, 'paid');
+      assert.strictEqual(result.parties[0].reference, REFERENCE);
+    });
+
+    it('frees a party left in processing by a crash', async () => {
+      Object.assign(paymentRequest.parties[0], {
+        status: 'processing',
+        reference: REFERENCE,
+        claimed_at: new Date(Date.now() - 60 * 60 * 1000),
+      });
+      ledger([]);
+
+      const result = await paymentRequestsService.getPaymentRequest(
+        'payee',
+        ID
+      );
+
+      assert.strictEqual(result.parties[0].status, 'pending');
+    });
+
+    it('leaves a payment in progress alone', async () => {
+      Object.assign(paymentRequest.parties[0], {
+        status: 'processing',
+        reference: REFERENCE,
+        claimed_at: new Date(),
+      });
+      ledger([]);
+
+      const result = await paymentRequestsService.getPaymentRequest(
+        'payee',
+        ID
+      );
+
+      assert.strictEqual(result.parties[0].status, 'processing');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const assert = require('node:assert');
+const { afterEach, beforeEach, describe, it, mock } = require('node:test');
+
+const pocketsService = require('../../../../src/api/components/pockets/pockets-service');
+const pocketsRepository = require('../../../../src/api/components/pockets/pockets-repository');
+const accountsRepository = require('../../../../src/api/components/accounts/accounts-repository');
+const transactionsRepository = require('../../../../src/api/components/transactions/transactions-repository');
+const webhooksService = require('../../../../src/api/components/webhooks/webhooks-service');
+const config = require('../../../../src/core/config');
+
+const account = {
+  account_number: '1234567890',
+  type: 'savings',
+  status: 'active',
+  balance: 10000000,
+  currency: 'IDR',
+};
+
+const pocket = {
+  id: 'p1',
+  account_number: account.account_number,
+  name: 'Holiday',
+  balance: 0,
+  target_amount: 50000000,
+  status: 'active',
+};
+
+// A session running the transaction once, like MongoDB without conflicts
+const session = {
+  withTransaction: async (transaction) => transaction(),
+  endSession: async () => {},
+};
+
+describe('pocketsService', () => {
+  const { minimum } = config.balance;
+
+  beforeEach(() => {
+    mock.method(accountsRepository, 'startSession', async () => session);
+    mock.method(transactionsRepository, 'createTransaction', async () => []);
+    mock.method(webhooksService, 'publishBalanceChange', async () => {});
+  });
+
+  afterEach(() => {
+    config.balance.minimum = minimum;
+    mock.restoreAll();
+  });
+
+  describe('depositToPocket', () => {
+    beforeEach(() => {
+      config.balance.minimum = '50000.00';
+      mock.method(pocketsRepository, 'creditPocket', async (id, amount) => ({
+        ...pocket,
+        balance: amount,
+      }));
+      mock.method(accountsRepository, 'getAccount', async () => account);
+      // Matches like the database would, see `moveToPockets`
+      mock.method(
+        accountsRepository,
+        'moveToPockets',
+        async (accountNumber, amount, floor) =>
+          account.balance >= floor + amount
+            ? { ...account, balance: account.balance - amount }
+            : null
+      );
+    });
+
+    it('sets aside money above the minimum balance', async () => {
+      const result = await pocketsService.depositToPocket(
+        account,
+        'p1',
+        5000000
+      );
+
+      assert.strictEqual(result.balance, '50000.00');
+    });
+
+    it('keeps the minimum balance out of pockets', async () => {
+      await assert.rejects(
+        pocketsService.depositToPocket(account, 'p1', 5000001),
+        {
+          code: 'INSUFFICIENT_FUNDS_ERROR',
+          message: /Available to set aside: 50000\.00/,
+        }
+      );
+    });
+  });
+
+  describe('withdrawFromPocket', () => {
+    it('answers not found for an unknown pocket', async () => {
+      mock.method(pocketsRepository, 'debitPocket', async () => null);
+      mock.method(pocketsRepository, 'getPocket', async () => null);
+
+      await assert.rejects(
+        pocketsService.withdrawFromPocket(account, 'missing', 100),
+        { status: 404, message: 'Unknown pocket' }
+      );
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const assert = require('node:assert');
+const { afterEach, beforeEach, describe, it, mock } = require('node:test');
+
+const reconciliationService = require('../../../../src/api/components/reconciliation/reconciliation-service');
+const reconciliationRepository = require('../../../../src/api/components/reconciliation/reconciliation-repository');
+const accountsRepository = require('../../../../src/api/components/accounts/accounts-repository');
+const transactionsRepository = require('../../../../src/api/components/transactions/transactions-repository');
+
+const ACCOUNT = '535951916431';
+
+describe('reconciliationService', () => {
+  let session;
+  let transactionOptions;
+
+  beforeEach(() => {
+    transactionOptions = [];
+    session = {
+      withTransaction: async (transaction, options) => {
+        transactionOptions.push(options);
+        return transaction();
+      },
+      endSession: async () => {},
+    };
+
+    mock.method(reconciliationRepository, 'createReport', async (report) => ({
+      id: 'report',
+      ...report,
+    }));
+    mock.method(
+      reconciliationRepository,
+      'completeReport',
+      async (id, update) => ({ id, discrepancies: [], ...update })
+    );
+    mock.method(accountsRepository, 'startSession', async () => session);
+    // Stored balance is off from the ledger when the accounts are listed
+    mock.method(accountsRepository, 'getAllAccounts', async () => [
+      { account_number: ACCOUNT, balance: 5000 },
+    ]);
+    mock.method(transactionsRepository, 'getLedgerBalances', async () => [
+      { _id: ACCOUNT, balance: 4000, entries: 2 },
+    ]);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('reconcile', () => {
+    it('reads a mismatch again from a single snapshot', async () => {
+      const getAccount = mock.method(
+        accountsRepository,
+        'getAccount',
+        async () => ({ account_number: ACCOUNT, balance: 5000 })
+      );
+      const getTransactions = mock.method(
+        transactionsRepository,
+        'getTransactionsByAccount',
+        async () => [{ direction: 'credit', amount: 4000 }]
+      );
+
+      const report = await reconciliationService.reconcile('admin');
+
+      assert.deepStrictEqual(transactionOptions, [
+        { readConcern: { level: 'snapshot' } },
+      ]);
+      assert.strictEqual(getAccount.mock.calls[0].arguments[1], session);
+      assert.strictEqual(getTransactions.mock.calls[0].arguments[1], session);
+      assert.deepStrictEqual(report.discrepancies, [
+        {
+          account_number: ACCOUNT,
+          stored_balance: '50.00',
+          ledger_balance: '40.00',
+          difference: '10.00',
+          entries: 2,
+        },
+      ]);
+    });
+
+    it('leaves out money that moved since the accounts were listed', async () => {
+      mock.method(accountsRepository, 'getAccount', async () => ({
+        account_number: ACCOUNT,
+        balance: 5000,
+      }));
+      mock.method(
+        transactionsRepository,
+        'getTransactionsByAccount',
+        async () => [
+          { direction: 'credit', amount: 4000 },
+          { direction: 'credit', amount: 1000 },
+        ]
+      );
+
+      const report = await reconciliationService.reconcile('admin');
+
+      assert.strictEqual(report.status, 'completed');
+      assert.deepStrictEqual(report.discrepancies, []);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const assert = require('node:assert');
+const { afterEach, describe, it, mock } = require('node:test');
+
+const reversalsService = require('../../../../src/api/components/reversals/reversals-service');
+const reversalsRepository = require('../../../../src/api/components/reversals/reversals-repository');
+const accountsRepository = require('../../../../src/api/components/accounts/accounts-repository');
+const transactionsRepository = require('../../../../src/api/components/transactions/transactions-repository');
+
+/**
+ * Let a ledger entry of a type exist
+ * @param {string} type - Transaction type
+ * @returns {object} The entry
+ */
+function ledgerEntry(type) {
+  const entry = {
+    id: 't1',
+    account_number: '1234567890',
+    type,
+    direction: 'debit',
+    amount: 1000,
+  };
+  mock.method(transactionsRepository, 'getTransaction', async () => entry);
+  mock.method(
+    transactionsRepository,
+    'getTransactionsByReference',
+    async () => [entry]
+  );
+  return entry;
+}
+
+describe('reversalsService', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('createReversalRequest', () => {
+    ['pocket', 'interest', 'opening_balance', 'reversal'].forEach((type) => {
+      it(`refuses to reverse ${type} entries`, async () => {
+        ledgerEntry(type);
+        const create = mock.method(
+          reversalsRepository,
+          'createReversalRequest',
+          async () => {}
+        );
+
+        await assert.rejects(
+          reversalsService.createReversalRequest('t1', 'Mistake', 'staff'),
+          { status: 422, message: /can be reversed/ }
+        );
+        assert.strictEqual(create.mock.callCount(), 0);
+      });
+    });
+
+    ['transfer_out', 'withdrawal', 'top_up'].forEach((type) => {
+      it(`proposes reversing ${type} entries`, async () => {
+        ledgerEntry(type);
+        mock.method(
+          reversalsRepository,
+          'getOpenReversalRequest',
+          async () => null
+        );
+        mock.method(reversalsRepository, 'createReversalRequest', async () => ({
+          id: 'r1',
+          transaction_id: 't1',
+          status: 'pending',
+          history: [],
+        }));
+
+        const result = await reversalsService.createReversalRequest(
+          't1',
+          'Mistake',
+          'staff'
+        );
+
+        assert.strictEqual(result.status, 'pending');
+      });
+    });
+  });
+
+  describe('approveReversalRequest', () => {
+    it('refuses requests for entries that cannot be reversed', async () => {
+      ledgerEntry('pocket');
+      mock.method(reversalsRepository, 'getReversalRequest', async () => ({
+        id: 'r1',
+        transaction_id: 't1',
+        status: 'pending',
+        requested_by: 'teller',
+      }));
+      const startSession = mock.method(accountsRepository, 'startSession');
+
+      await assert.rejects(
+        reversalsService.approveReversalRequest('r1', 'admin', 'ok'),
+        { status: 422 }
+      );
+      assert.strictEqual(startSession.mock.callCount(), 0);
+    });
+  });
+});
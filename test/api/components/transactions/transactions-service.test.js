@@ -0,0 +1,68 @@
+const assert = require('node:assert');
+const { afterEach, describe, it, mock } = require('node:test');
+
+const transactionsService = require('../../../../src/api/components/transactions/transactions-service');
+const transactionsRepository = require('../../../../src/api/components/transactions/transactions-repository');
+const accountsRepository = require('../../../../src/api/components/accounts/accounts-repository');
+const usersRepository = require('../../../../src/api/components/users/users-repository');
+
+describe('transactionsService.getTransactions', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('pages in the query instead of loading the whole ledger', async () => {
+    mock.method(usersRepository, 'getUser', async () => ({ id: 'u1' }));
+    mock.method(accountsRepository, 'getAccountsByUser', async () => [
+      { account_number: '100' },
+    ]);
+    mock.method(
+      transactionsRepository,
+      'countFilteredTransactions',
+      async () => 45
+    );
+    const getTransactions = mock.method(
+      transactionsRepository,
+      'getTransactions',
+      async () => [{ id: 't21', amount: 1000, balance_after: 5000 }]
+    );
+
+    const result = await transactionsService.getTransactions(
+      'u1',
+      undefined,
+      {},
+      3,
+      10
+    );
+
+    assert.deepStrictEqual(getTransactions.mock.calls[0].arguments, [
+      ['100'],
+      {},
+      20,
+      10,
+    ]);
+    assert.strictEqual(result.count, 45);
+    assert.strictEqual(result.total_pages, 5);
+    assert.strictEqual(result.has_next_page, true);
+    assert.strictEqual(result.data[0].amount, '10.00');
+  });
+
+  it('returns everything on one page without a page size', async () => {
+    mock.method(usersRepository, 'getUser', async () => ({ id: 'u1' }));
+    mock.method(accountsRepository, 'getAccountsByUser', async () => []);
+    mock.method(
+      transactionsRepository,
+      'countFilteredTransactions',
+      async () => 0
+    );
+    const getTransactions = mock.method(
+      transactionsRepository,
+      'getTransactions',
+      async () => []
+    );
+
+    const result = await transactionsService.getTransactions('u1', '', {}, 1);
+
+    assert.strictEqual(getTransactions.mock.callCount(), 0);
+    assert.strictEqual(result.total_pages, 0);
+    assert.deepStrictEqual(result.data, []);
+  });
+});
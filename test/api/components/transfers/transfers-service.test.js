@@ -0,0 +1,159 @@
+const assert = require('node:assert');
+const { afterEach, beforeEach, describe, it, mock } = require('node:test');
+
+const transfersService = require('../../../../src/api/components/transfers/transfers-service');
+const accountsRepository = require('../../../../src/api/components/accounts/accounts-repository');
+const transactionsRepository = require('../../../../src/api/components/transactions/transactions-repository');
+const usersService = require('../../../../src/api/components/users/users-service');
+const webhooksService = require('../../../../src/api/components/webhooks/webhooks-service');
+
+const SENDER = '535951916431';
+const RECIPIENT = '535000000019';
+
+describe('transfersService', () => {
+  let accounts;
+  let ledger;
+
+  beforeEach(() => {
+    accounts = {
+      [SENDER]: {
+        account_number: SENDER,
+        type: 'savings',
+        status: 'active',
+        balance: 10000000,
+        currency: 'IDR',
+      },
+      [RECIPIENT]: {
+        account_number: RECIPIENT,
+        type: 'savings',
+        status: 'active',
+        balance: 0,
+        currency: 'IDR',
+      },
+    };
+    ledger = [];
+
+    // A session that puts the accounts and the ledger back when the
+    // transaction fails, like MongoDB aborting it
+    const session = {
+      withTransaction: async (transaction) => {
+        const saved = structuredClone({ accounts, ledger });
+        try {
+          await transaction();
+        } catch (error) {
+          ({ accounts, ledger } = saved);
+          throw error;
+        }
+      },
+      endSession: async () => {},
+    };
+
+    mock.method(accountsRepository, 'startSession', async () => session);
+    mock.method(
+      accountsRepository,
+      'getAccount',
+      async (accountNumber) => accounts[accountNumber] ?? null
+    );
+    // Match like the database would
+    mock.method(
+      accountsRepository,
+      'debitBalance',
+      async (accountNumber, amount, floor) => {
+        const account = accounts[accountNumber];
+        if (account.status !== 'active' || account.balance < floor + amount) {
+          return null;
+        }
+        account.balance -= amount;
+        return { ...account };
+      }
+    );
+    mock.method(
+      accountsRepository,
+      'creditBalance',
+      async (accountNumber, amount) => {
+        const account = accounts[accountNumber];
+        if (!['active', 'dormant'].includes(account.status)) {
+          return null;
+        }
+        account.balance += amount;
+        return { ...account };
+      }
+    );
+    mock.method(transactionsRepository, 'createTransaction', async (entry) => {
+      ledger.push(entry);
+      return [entry];
+    });
+    mock.method(usersService, 'assertWithinLimits', async () => {});
+    mock.method(webhooksService, 'publishBalanceChange', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('transfer', () => {
+    it('moves the amount and records both sides', async () => {
+      await transfersService.transfer(
+        SENDER,
+        RECIPIENT,
+        2500000,
+        'Rent',
+        'reference',
+        false
+      );
+
+      assert.strictEqual(accounts[SENDER].balance, 7500000);
+      assert.strictEqual(accounts[RECIPIENT].balance, 2500000);
+      assert.deepStrictEqual(
+        ledger.map((entry) => entry.type),
+        ['transfer_out', 'transfer_in']
+      );
+    });
+
+    it('refuses an amount over the available balance', async () => {
+      await assert.rejects(
+        transfersService.transfer(
+          SENDER,
+          RECIPIENT,
+          10000001,
+          'Rent',
+          'reference',
+          false
+        ),
+        { code: 'INSUFFICIENT_FUNDS_ERROR' }
+      );
+
+      assert.strictEqual(accounts[SENDER].balance, 10000000);
+      assert.strictEqual(accounts[RECIPIENT].balance, 0);
+      assert.strictEqual(ledger.length, 0);
+    });
+
+    it('rolls the debit back when the credit fails', async () => {
+      // Frozen between the status check and the credit
+      mock.method(accountsRepository, 'creditBalance', async () => {
+        accounts[RECIPIENT].status = 'frozen';
+        return null;
+      });
+
+      await assert.rejects(
+        transfersService.transfer(
+          SENDER,
+          RECIPIENT,
+          2500000,
+          'Rent',
+          'reference',
+          false
+        ),
+        {
+          code: 'UNPROCESSABLE_ENTITY_ERROR',
+          message: `Account ${RECIPIENT} cannot receive money`,
+        }
+      );
+
+      assert.strictEqual(accounts[SENDER].balance, 10000000);
+      assert.strictEqual(ledger.length, 0);
+      assert.strictEqual(
+        webhooksService.publishBalanceChange.mock.callCount(),
+        0
+      );
+    });
+  });
+});
@@ -0,0 +1,288 @@
+const assert = require('node:assert');
+const { afterEach, beforeEach, describe, it, mock } = require('node:test');
+const bcrypt = require('bcrypt');
+
+const usersService = require('../../../../src/api/components/users/users-service');
+const usersRepository = require('../../../../src/api/components/users/users-repository');
+const accountsRepository = require('../../../../src/api/components/accounts/accounts-repository');
+const accountsService = require('../../../../src/api/components/accounts/accounts-service');
+const transactionsRepository = require('../../../../src/api/components/transactions/transactions-repository');
+const webhooksService = require('../../../../src/api/components/webhooks/webhooks-service');
+const { passwordMatched } = require('../../../../src/utils/password');
+
+const account = {
+  account_number: '1234567890',
+  user_id: 'u1',
+  type: 'savings',
+  status: 'active',
+  balance: 1000000000,
+  currency: 'IDR',
+};
+
+// A session running the transaction once, like MongoDB without conflicts
+const session = {
+  withTransaction: async (transaction) => transaction(),
+  endSession: async () => {},
+};
+
+describe('usersService limits', () => {
+  beforeEach(() => {
+    mock.method(usersRepository, 'getUser', async () => ({ tier: 'basic' }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('assertWithinLimits', () => {
+    it('refuses an amount over the per-transaction limit', async () => {
+      mock.method(transactionsRepository, 'sumAmounts', async () => 0);
+
+      await assert.rejects(
+        usersService.assertWithinLimits(account, 'withdrawal', 250000001),
+        { code: 'LIMIT_EXCEEDED_ERROR', message: /2500000\.00 per transaction/ }
+      );
+    });
+
+    it('refuses an amount over what is left of the daily limit', async () => {
+      mock.method(transactionsRepository, 'sumAmounts', async () => 400000000);
+
+      await assert.rejects(
+        usersService.assertWithinLimits(account, 'withdrawal', 100000001),
+        { message: /Remaining today: 1000000\.00/ }
+      );
+    });
+
+    it('accepts the daily limit used up exactly', async () => {
+      mock.method(transactionsRepository, 'sumAmounts', async () => 400000000);
+
+      await usersService.assertWithinLimits(account, 'withdrawal', 100000000);
+    });
+
+    it('applies account overrides before tier limits', async () => {
+      mock.method(transactionsRepository, 'sumAmounts', async () => 0);
+      const overridden = { ...account, limits: { withdrawal: { daily: 100 } } };
+
+      await assert.rejects(
+        usersService.assertWithinLimits(overridden, 'withdrawal', 101),
+        { message: /Remaining today: 1\.00/ }
+      );
+    });
+  });
+
+  describe('withdraw', () => {
+    it('checks the daily limit again inside the transaction', async () => {
+      mock.method(accountsService, 'getOwnedAccount', async () => account);
+      mock.method(accountsRepository, 'startSession', async () => session);
+      mock.method(accountsRepository, 'debitBalance', async () => ({
+        ...account,
+        balance: account.balance - 200000000,
+      }));
+      const createTransaction = mock.method(
+        transactionsRepository,
+        'createTransaction',
+        async () => []
+      );
+      mock.method(webhooksService, 'publishBalanceChange', async () => {});
+
+      // A concurrent withdrawal committed between the early check and the
+      // transaction
+      const sumAmounts = mock.method(
+        transactionsRepository,
+        'sumAmounts',
+        async (accountNumber, type, since, current) => (current ? 400000000 : 0)
+      );
+
+      await assert.rejects(
+        usersService.withdraw('u1', 200000000, account.account_number, false),
+        { message: /Daily withdrawal limit exceeded/ }
+      );
+      assert.strictEqual(sumAmounts.mock.calls[1].arguments[3], session);
+      assert.strictEqual(createTransaction.mock.callCount(), 0);
+    });
+
+    it('reports an account frozen since the early check', async () => {
+      mock.method(accountsService, 'getOwnedAccount', async () => account);
+      mock.method(transactionsRepository, 'sumAmounts', async () => 0);
+      mock.method(accountsRepository, 'startSession', async () => session);
+      mock.method(accountsRepository, 'debitBalance', async () => null);
+      const getAccount = mock.method(
+        accountsRepository,
+        'getAccount',
+        async () => ({ ...account, status: 'frozen' })
+      );
+
+      await assert.rejects(
+        usersService.withdraw('u1', 100, account.account_number, false),
+        {
+          code: 'UNPROCESSABLE_ENTITY_ERROR',
+          message: `Account ${account.account_number} is frozen`,
+        }
+      );
+      assert.strictEqual(getAccount.mock.calls[0].arguments[1], session);
+    });
+
+    it('reports the available balance of an active account', async () => {
+      mock.method(accountsService, 'getOwnedAccount', async () => account);
+      mock.method(transactionsRepository, 'sumAmounts', async () => 0);
+      mock.method(accountsRepository, 'startSession', async () => session);
+      mock.method(accountsRepository, 'debitBalance', async () => null);
+      mock.method(accountsRepository, 'getAccount', async () => ({
+        ...account,
+        balance: 5000,
+      }));
+
+      await assert.rejects(
+        usersService.withdraw('u1', 10000, account.account_number, false),
+        {
+          code: 'INSUFFICIENT_FUNDS_ERROR',
+          message: /Available to withdraw: 50\.00/,
+        }
+      );
+    });
+  });
+});
+
+describe('usersService transaction PIN', () => {
+  const { hash } = bcrypt;
+  let user;
+
+  beforeEach(() => {
+    user = { id: 'u1', transaction_pin: { failed_attempts: 0 } };
+
+    // The production cost takes seconds per hash
+    mock.method(bcrypt, 'hash', (data, rounds, callback) =>
+      hash(data, 4, callback)
+    );
+    mock.method(webhooksService, 'publish', async () => {});
+    // Match and update like the database would
+    mock.method(usersRepository, 'getUser', async () => user);
+    mock.method(usersRepository, 'setTransactionPin', async (id, pinHash) => {
+      user.transaction_pin = { hash: pinHash, failed_attempts: 0 };
+    });
+    mock.method(usersRepository, 'claimPinAttempt', async () => {
+      if (user.transaction_pin.locked_until > new Date()) {
+        return null;
+      }
+      user.transaction_pin.failed_attempts += 1;
+      return structuredClone(user);
+    });
+    mock.method(usersRepository, 'resetFailedPinAttempts', async () => {
+      user.transaction_pin.failed_attempts = 0;
+    });
+    mock.method(usersRepository, 'lockTransactionPin', async (id, until) => {
+      user.transaction_pin.locked_until = until;
+      user.transaction_pin.failed_attempts = 0;
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  /**
+   * Give the user a PIN
+   * @param {string} pin - PIN
+   */
+  async function withPin(pin) {
+    user.transaction_pin = {
+      hash: await hash(pin, 4),
+      failed_attempts: 0,
+    };
+  }
+
+  describe('setTransactionPin', () => {
+    it('stores the hash of the first PIN', async () => {
+      await usersService.setTransactionPin('u1', '123456');
+
+      assert.notStrictEqual(user.transaction_pin.hash, '123456');
+      assert.ok(await passwordMatched('123456', user.transaction_pin.hash));
+    });
+
+    it('refuses to overwrite a PIN', async () => {
+      await withPin('123456');
+
+      await assert.rejects(usersService.setTransactionPin('u1', '654321'), {
+        code: 'UNPROCESSABLE_ENTITY_ERROR',
+      });
+      assert.ok(await passwordMatched('123456', user.transaction_pin.hash));
+    });
+  });
+
+  describe('changeTransactionPin', () => {
+    it('replaces the PIN after checking the current one', async () => {
+      await withPin('123456');
+
+      await usersService.changeTransactionPin('u1', '123456', '654321');
+
+      assert.ok(await passwordMatched('654321', user.transaction_pin.hash));
+    });
+
+    it('keeps the PIN when the current one is wrong', async () => {
+      await withPin('123456');
+
+      await assert.rejects(
+        usersService.changeTransactionPin('u1', '000000', '654321'),
+        { message: 'Wrong transaction PIN, 2 attempts left' }
+      );
+      assert.ok(await passwordMatched('123456', user.transaction_pin.hash));
+    });
+  });
+
+  describe('resetTransactionPin', () => {
+    it('replaces a locked PIN and lifts the lock', async () => {
+      await withPin('123456');
+      user.transaction_pin.locked_until = new Date(Date.now() + 60000);
+
+      await usersService.resetTransactionPin('u1', '654321');
+
+      assert.strictEqual(user.transaction_pin.locked_until, undefined);
+      await usersService.verifyTransactionPin(user, '654321');
+    });
+  });
+
+  describe('verifyTransactionPin', () => {
+    it('resets the attempts after a right PIN', async () => {
+      await withPin('123456');
+      user.transaction_pin.failed_attempts = 2;
+
+      await usersService.verifyTransactionPin(user, '123456');
+
+      assert.strictEqual(user.transaction_pin.failed_attempts, 0);
+    });
+
+    it('locks the PIN after too many wrong ones', async () => {
+      await withPin('123456');
+
+      await assert.rejects(usersService.verifyTransactionPin(user, '000000'), {
+        message: 'Wrong transaction PIN, 2 attempts left',
+      });
+      await assert.rejects(usersService.verifyTransactionPin(user, '000000'), {
+        message: 'Wrong transaction PIN, 1 attempts left',
+      });
+      await assert.rejects(usersService.verifyTransactionPin(user, '000000'), {
+        code: 'FORBIDDEN_ERROR',
+        message: /locked after too many wrong attempts/,
+      });
+      assert.ok(user.transaction_pin.locked_until > new Date());
+
+      await assert.rejects(usersService.verifyTransactionPin(user, '123456'), {
+        code: 'FORBIDDEN_ERROR',
+      });
+    });
+
+    it('checks no more PINs than allowed when they arrive at once', async () => {
+      await withPin('123456');
+
+      const results = await Promise.allSettled(
+        Array.from({ length: 6 }, () =>
+          usersService.verifyTransactionPin(user, '000000')
+        )
+      );
+
+      assert.strictEqual(
+        results.filter((result) =>
+          result.reason.message.startsWith('Wrong transaction PIN')
+        ).length,
+        3
+      );
+      assert.ok(user.transaction_pin.locked_until > new Date());
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const http = require('node:http');
+const {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  it,
+  mock,
+} = require('node:test');
+
+const webhooksService = require('../../../../src/api/components/webhooks/webhooks-service');
+const webhooksRepository = require('../../../../src/api/components/webhooks/webhooks-repository');
+const config = require('../../../../src/core/config');
+
+const SECRET = 'a-receiver-secret-of-some-length';
+
+describe('webhooksService', () => {
+  let receiver;
+  let url;
+  let received;
+  let statuses;
+
+  before(async () => {
+    // Local receiver answering with the queued statuses, 200 once they run out
+    receiver = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', (chunk) => {
+        body += chunk;
+      });
+      request.on('end', () => {
+        received.push({ headers: request.headers, body });
+        response.writeHead(statuses.shift() || 200);
+        response.end();
+      });
+    });
+    await new Promise((resolve) => {
+      receiver.listen(0, '127.0.0.1', resolve);
+    });
+    url = `http://127.0.0.1:${receiver.address().port}/hooks`;
+  });
+
+  after(() => receiver.close());
+
+  let delivery;
+
+  beforeEach(() => {
+    received = [];
+    statuses = [];
+    config.webhooks.allowPrivateUrls = true;
+
+    delivery = {
+      id: 'd1',
+      subscription_id: 's1',
+      event: 'balance.changed',
+      payload: {
+        id: 'e1',
+        event: 'balance.changed',
+        data: { amount: '10.00' },
+      },
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date(0),
+      responses: [],
+    };
+
+    mock.method(webhooksRepository, 'getSubscription', async () => ({
+      id: 's1',
+      url,
+      secret: SECRET,
+      active: true,
+    }));
+    mock.method(webhooksRepository, 'claimDueDelivery', async (now) =>
+      delivery.status === 'pending' && delivery.next_attempt_at <= now
+        ? { ...delivery }
+        : null
+    );
+    mock.method(
+      webhooksRepository,
+      'recordAttempt',
+      async (id, response, update) => {
+        delivery.attempts += 1;
+        delivery.responses.push(response);
+        Object.assign(delivery, update);
+      }
+    );
+  });
+
+  afterEach(() => {
+    config.webhooks.allowPrivateUrls = false;
+    mock.restoreAll();
+  });
+
+  describe('deliverDueWebhooks', () => {
+    it('posts the payload signed with the subscription secret', async () => {
+      await webhooksService.deliverDueWebhooks();
+
+      assert.strictEqual(received.length, 1);
+      const [{ headers, body }] = received;
+      assert.deepStrictEqual(JSON.parse(body), delivery.payload);
+      assert.strictEqual(headers['x-webhook-event'], 'balance.changed');
+      assert.strictEqual(headers['x-webhook-delivery'], 'd1');
+
+      const [, timestamp, signature] = headers['x-webhook-signature'].match(
+        /^t=(\d+),v1=([0-9a-f]+)$/
+      );
+      const expected = crypto
+        .createHmac('sha256', SECRET)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+      assert.strictEqual(signature, expected);
+
+      assert.strictEqual(delivery.status, 'delivered');
+    });
+
+    it('retries with exponential backoff until the receiver accepts', async () => {
+      statuses = [500, 503];
+
+      const start = Date.now();
+      await webhooksService.deliverDueWebhooks();
+      assert.strictEqual(delivery.status, 'pending');
+      const firstDelay = delivery.next_attempt_at.getTime() - start;
+      assert.ok(firstDelay >= config.webhooks.retryDelay * 1000);
+      assert.ok(firstDelay < config.webhooks.retryDelay * 1000 + 5000);
+
+      delivery.next_attempt_at = new Date(0);
+      const retried = Date.now();
+      await webhooksService.deliverDueWebhooks();
+      const secondDelay = delivery.next_attempt_at.getTime() - retried;
+      assert.ok(secondDelay >= 2 * config.webhooks.retryDelay * 1000);
+
+      delivery.next_attempt_at = new Date(0);
+      await webhooksService.deliverDueWebhooks();
+
+      assert.strictEqual(received.length, 3);
+      assert.strictEqual(delivery.status, 'delivered');
+      assert.strictEqual(delivery.attempts, 3);
+      assert.deepStrictEqual(
+        delivery.responses.map((response) => response.status_code),
+        [500, 503, 200]
+      );
+    });
+
+    it('does not post to private addresses', async () => {
+      config.webhooks.allowPrivateUrls = false;
+
+      await webhooksService.deliverDueWebhooks();
+
+      assert.strictEqual(received.length, 0);
+      assert.match(delivery.responses[0].error, /public address/);
+    });
+  });
+
+  describe('createSubscription', () => {
+    [
+      'http://127.0.0.1/hooks',
+      'http://localhost/hooks',
+      'http://10.0.0.8/hooks',
+      'http://192.168.1.10/hooks',
+      'http://169.254.169.254/latest/meta-data',
+      'http://[::1]/hooks',
+      'http://[::ffff:7f00:1]/hooks',
+    ].forEach((privateUrl) => {
+      it(`refuses ${privateUrl}`, async () => {
+        config.webhooks.allowPrivateUrls = false;
+        const create = mock.method(
+          webhooksRepository,
+          'createSubscription',
+          async () => {}
+        );
+
+        await assert.rejects(
+          webhooksService.createSubscription(
+            'admin',
+            privateUrl,
+            ['user.created'],
+            SECRET
+          ),
+          { status: 422, message: /public address/ }
+        );
+        assert.strictEqual(create.mock.callCount(), 0);
+      });
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const assert = require('node:assert');
+const { afterEach, beforeEach, describe, it, mock } = require('node:test');
+
+const authenticationMiddleware = require('../../../src/api/middlewares/authentication-middleware');
+const { User, RevokedToken } = require('../../../src/models');
+const { generateToken } = require('../../../src/utils/session-token');
+
+/**
+ * Run the middleware on a request carrying an access token
+ * @param {string} token - Access token
+ * @returns {Promise<boolean>} Whether the request got through
+ */
+function authenticate(token) {
+  return new Promise((resolve, reject) => {
+    const request = { headers: { authorization: `jwt ${token}` } };
+    const response = {
+      setHeader: () => {},
+      end: () => resolve(false),
+    };
+
+    authenticationMiddleware(request, response, (error) =>
+      error ? reject(error) : resolve(true)
+    );
+  });
+}
+
+describe('authenticationMiddleware', () => {
+  let user;
+
+  beforeEach(() => {
+    user = { id: '6650f0f0f0f0f0f0f0f0f0f0' };
+    mock.method(User, 'findById', async () => user);
+    mock.method(RevokedToken, 'exists', async () => null);
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it('accepts a token issued after the tokens were revoked', async () => {
+    user.tokens_valid_after = new Date(Date.now() - 2000);
+
+    assert.strictEqual(
+      await authenticate(generateToken('user@example.com', user.id)),
+      true
+    );
+  });
+
+  it('rejects a token issued earlier in the second of the revocation', async () => {
+    // Issued at .100 and revoked at .900 of the same second
+    mock.timers.enable({ apis: ['Date'], now: 1800000000100 });
+    const token = generateToken('user@example.com', user.id);
+    user.tokens_valid_after = new Date(1800000000900);
+    mock.timers.reset();
+
+    assert.strictEqual(await authenticate(token), false);
+  });
+});
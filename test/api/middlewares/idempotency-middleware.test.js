@@ -0,0 +1,79 @@
+const assert = require('node:assert');
+const { afterEach, describe, it, mock } = require('node:test');
+
+const idempotencyMiddleware = require('../../../src/api/middlewares/idempotency-middleware');
+const { IdempotencyKey } = require('../../../src/models');
+
+/**
+ * Build a request retried with an Idempotency-Key
+ * @returns {object}
+ */
+function retriedRequest() {
+  return {
+    method: 'POST',
+    originalUrl: '/api/transfers',
+    body: { amount: '10.00' },
+    user: { id: 'u1' },
+    get: (header) => (header === 'Idempotency-Key' ? 'key-1' : undefined),
+  };
+}
+
+/**
+ * Run the middleware on a retried request
+ * @returns {Promise} What the middleware passed to `next`
+ */
+function run() {
+  return new Promise((resolve) => {
+    idempotencyMiddleware(retriedRequest(), { json: () => {} }, resolve);
+  });
+}
+
+/**
+ * Let the key already be held by an unfinished request
+ * @param {number} age - Milliseconds since the key was claimed
+ * @returns {object} Mocks of `create` and `deleteOne`
+ */
+function heldKey(age) {
+  const created = new Date(Date.now() - age);
+  let claims = 0;
+
+  const create = mock.method(IdempotencyKey, 'create', async () => {
+    claims += 1;
+    if (claims === 1) {
+      throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    }
+  });
+  mock.method(IdempotencyKey, 'findOne', async () => ({
+    id: 'k1',
+    status: 'processing',
+    created_at: created,
+  }));
+  const deleteOne = mock.method(IdempotencyKey, 'deleteOne', async () => ({}));
+
+  return { create, deleteOne };
+}
+
+describe('idempotencyMiddleware', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('refuses a retry while the first request may still run', async () => {
+    const { deleteOne } = heldKey(5 * 1000);
+
+    const error = await run();
+
+    assert.strictEqual(error.status, 409);
+    assert.strictEqual(deleteOne.mock.callCount(), 0);
+  });
+
+  it('frees a key whose request crashed once the lease is over', async () => {
+    const { create, deleteOne } = heldKey(2 * 60 * 1000);
+
+    const error = await run();
+
+    assert.strictEqual(error, undefined);
+    assert.deepStrictEqual(deleteOne.mock.calls[0].arguments, [
+      { _id: 'k1', status: 'processing' },
+    ]);
+    assert.strictEqual(create.mock.callCount(), 2);
+  });
+});
@@ -0,0 +1,70 @@
+const assert = require('node:assert');
+const { afterEach, describe, it, mock } = require('node:test');
+
+const { requestAs } = require('../helpers/api');
+
+const ACCOUNT = '/users/6650f0f0f0f0f0f0f0f0f0f0/accounts/535951916431';
+
+// Routes taking a record ID, requested with a malformed one by a user allowed
+// to use them
+const routes = [
+  { method: 'DELETE', path: '/transfers/scheduled/42', role: 'customer' },
+  { method: 'GET', path: '/reversals/abc', role: 'admin' },
+  { method: 'GET', path: '/reversals?transaction_id=abc', role: 'admin' },
+  {
+    method: 'POST',
+    path: '/reversals',
+    role: 'admin',
+    body: { transaction_id: 'abc', reason: 'Mistake' },
+  },
+  { method: 'POST', path: '/reversals/abc/approve', role: 'admin' },
+  { method: 'GET', path: '/payment-requests/abc', role: 'customer' },
+  { method: 'GET', path: '/fraud/reviews/abc', role: 'admin' },
+  { method: 'POST', path: '/fraud/reviews/abc/release', role: 'admin' },
+  { method: 'GET', path: `${ACCOUNT}/pockets/abc`, role: 'admin' },
+  {
+    method: 'POST',
+    path: `${ACCOUNT}/pockets/abc/withdraw`,
+    role: 'admin',
+    body: { amount: '10.00' },
+  },
+  {
+    method: 'GET',
+    path: '/users/6650f0f0f0f0f0f0f0f0f0f0/beneficiaries/abc',
+    role: 'admin',
+  },
+  {
+    method: 'POST',
+    path: '/transfers',
+    role: 'customer',
+    body: {
+      from_account: '535951916431',
+      beneficiary_id: 'abc',
+      amount: '10.00',
+    },
+  },
+  { method: 'GET', path: '/webhooks/subscriptions/abc', role: 'admin' },
+  { method: 'GET', path: '/webhooks/deliveries/abc', role: 'admin' },
+  {
+    method: 'GET',
+    path: '/webhooks/deliveries?subscription_id=abc',
+    role: 'admin',
+  },
+  { method: 'GET', path: '/interest/products/abc', role: 'admin' },
+];
+
+describe('malformed record IDs', () => {
+  afterEach(() => mock.restoreAll());
+
+  routes.forEach(({ method, path, role, body }) => {
+    it(`${method} ${path} is refused before it reaches the database`, async () => {
+      const response = await requestAs(method, path, { role, body });
+
+      assert.strictEqual(response.status, 400);
+      assert.match(
+        JSON.stringify(response.body.validation_errors),
+        /must be a valid ID/
+      );
+    });
+  });
+});
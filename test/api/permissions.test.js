@@ -0,0 +1,84 @@
+const assert = require('node:assert');
+const { afterEach, describe, it, mock } = require('node:test');
+
+const { requestAs } = require('../helpers/api');
+
+const ACCOUNT = '/users/6650f0f0f0f0f0f0f0f0f0f0/accounts/1234567890';
+const ID = '6650f0f0f0f0f0f0f0f0f0f1';
+
+// Staff routes and the roles allowed to use them
+const staffRoutes = [
+  {
+    method: 'PUT',
+    path: `${ACCOUNT}/limits`,
+    roles: ['admin'],
+    body: { transfer: { daily: '999999999.00' } },
+  },
+  {
+    method: 'POST',
+    path: '/accounts/1234567890/freeze',
+    roles: ['teller', 'admin'],
+  },
+  { method: 'POST', path: '/accounts/1234567890/unfreeze', roles: ['admin'] },
+  { method: 'POST', path: '/accounts/1234567890/reactivate', roles: ['admin'] },
+  { method: 'POST', path: `/reversals/${ID}/approve`, roles: ['admin'] },
+  { method: 'POST', path: `/reversals/${ID}/reject`, roles: ['admin'] },
+  { method: 'GET', path: '/fraud/reviews', roles: ['admin'] },
+  { method: 'GET', path: `/fraud/reviews/${ID}`, roles: ['admin'] },
+  { method: 'POST', path: `/fraud/reviews/${ID}/release`, roles: ['admin'] },
+  { method: 'POST', path: `/fraud/reviews/${ID}/reject`, roles: ['admin'] },
+  { method: 'GET', path: '/webhooks/subscriptions', roles: ['admin'] },
+  {
+    method: 'POST',
+    path: '/webhooks/subscriptions',
+    roles: ['admin'],
+    body: {
+      url: 'https://partner.example/hooks',
+      events: ['user.created'],
+      secret: 'a-receiver-secret-of-some-length',
+    },
+  },
+  { method: 'GET', path: `/webhooks/subscriptions/${ID}`, roles: ['admin'] },
+  {
+    method: 'PUT',
+    path: `/webhooks/subscriptions/${ID}`,
+    roles: ['admin'],
+    body: { active: false },
+  },
+  { method: 'DELETE', path: `/webhooks/subscriptions/${ID}`, roles: ['admin'] },
+  { method: 'GET', path: '/webhooks/deliveries', roles: ['admin'] },
+  { method: 'GET', path: `/webhooks/deliveries/${ID}`, roles: ['admin'] },
+  {
+    method: 'POST',
+    path: `/webhooks/deliveries/${ID}/replay`,
+    roles: ['admin'],
+  },
+  { method: 'GET', path: '/reconciliation/reports', roles: ['admin'] },
+  { method: 'POST', path: '/reconciliation/reports', roles: ['admin'] },
+  { method: 'GET', path: `/reconciliation/reports/${ID}`, roles: ['admin'] },
+];
+
+describe('staff routes', () => {
+  afterEach(() => mock.restoreAll());
+
+  staffRoutes.forEach(({ method, path, roles, body }) => {
+    describe(`${method} ${path}`, () => {
+      ['customer', 'teller', 'admin'].forEach((role) => {
+        if (roles.includes(role)) {
+          it(`lets ${role}s through`, async () => {
+            const response = await requestAs(method, path, { role, body });
+
+            assert.notStrictEqual(response.status, 403);
+          });
+        } else {
+          it(`refuses ${role}s`, async () => {
+            const response = await requestAs(method, path, { role, body });
+
+            assert.strictEqual(response.status, 403);
+            assert.strictEqual(response.body.error, 'BAD_ROLE_ERROR');
+          });
+        }
+      });
+    });
+  });
+});
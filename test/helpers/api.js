@@ -0,0 +1,50 @@
+const { mock } = require('node:test');
+
+const server = require('../../src/core/server');
+const { User, RevokedToken } = require('../../src/models');
+const { generateToken } = require('../../src/utils/session-token');
+
+/**
+ * Send a request to the API as a logged in user. The user is mocked, so the
+ * request only gets as far as the middlewares and controllers allow without
+ * a database.
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the API prefix, e.g. '/transfers'
+ * @param {object} options - `role` and `id` of the user, and the JSON `body`
+ * @returns {Promise<object>} Status and JSON body of the response
+ */
+async function requestAs(
+  method,
+  path,
+  { role, id = '6650f0f0f0f0f0f0f0f0f0f0', body } = {}
+) {
+  mock.method(User, 'findById', async () => ({ id, role }));
+  mock.method(RevokedToken, 'exists', async () => null);
+
+  const listener = server.listen(0, '127.0.0.1');
+  await new Promise((resolve) => {
+    listener.once('listening', resolve);
+  });
+
+  try {
+    const response = await fetch(
+      `http://127.0.0.1:${listener.address().port}/api${path}`,
+      {
+        method,
+        headers: {
+          'Authorization': `jwt ${generateToken('user@example.com', id)}`,
+          'Content-Type': 'application/json',
+        },
+        body: body && JSON.stringify(body),
+      }
+    );
+
+    return { status: response.status, body: await response.json() };
+  } finally {
+    listener.close();
+  }
+}
+
+module.exports = {
+  requestAs,
+};
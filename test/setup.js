@@ -0,0 +1,12 @@
+// Loaded before every test file, see `npm test`. Tests run without MongoDB:
+// repositories are mocked where a test needs data, and a query reaching the
+// database unmocked fails at once instead of waiting for a connection.
+const mongoose = require('mongoose');
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'silent';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.TOTP_SECRET = 'test-totp-secret';
+
+mongoose.connect = async () => mongoose;
+mongoose.set('bufferCommands', false);
@@ -0,0 +1,77 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+
+const {
+  generateAccountNumber,
+  isValidAccountNumber,
+  accountNumberSchema,
+} = require('../../src/utils/account-number');
+
+describe('account-number', () => {
+  describe('generateAccountNumber', () => {
+    it('generates 12 digits starting with the bank prefix', () => {
+      for (let i = 0; i < 100; i += 1) {
+        assert.match(generateAccountNumber(), /^535\d{9}$/);
+      }
+    });
+
+    it('generates numbers that pass their own check digit', () => {
+      for (let i = 0; i < 100; i += 1) {
+        assert.strictEqual(isValidAccountNumber(generateAccountNumber()), true);
+      }
+    });
+  });
+
+  describe('isValidAccountNumber', () => {
+    it('accepts a number with the right check digit', () => {
+      assert.strictEqual(isValidAccountNumber('535951916431'), true);
+      assert.strictEqual(isValidAccountNumber('535000000013'), true);
+    });
+
+    it('catches a mistyped digit', () => {
+      assert.strictEqual(isValidAccountNumber('535951916432'), false);
+      assert.strictEqual(isValidAccountNumber('535951916401'), false);
+    });
+
+    it('catches two swapped digits', () => {
+      assert.strictEqual(isValidAccountNumber('535591916431'), false);
+    });
+
+    [
+      '53595191643',
+      '5359519164310',
+      '53595191643a',
+      '',
+      null,
+      535951916431,
+    ].forEach((accountNumber) => {
+      it(`refuses ${JSON.stringify(accountNumber)}`, () => {
+        assert.strictEqual(isValidAccountNumber(accountNumber), false);
+      });
+    });
+
+    it('refuses the 10-digit numbers from before check digits', () => {
+      assert.strictEqual(isValidAccountNumber('1234567890'), false);
+    });
+  });
+
+  describe('accountNumberSchema', () => {
+    it('passes a valid number through', () => {
+      const { value, error } = accountNumberSchema().validate('535951916431');
+
+      assert.strictEqual(error, undefined);
+      assert.strictEqual(value, '535951916431');
+    });
+
+    it('explains an invalid number', () => {
+      const { error } = accountNumberSchema()
+        .label('Account')
+        .validate('535951916432');
+
+      assert.strictEqual(
+        error.message,
+        '"Account" must be a valid 12-digit account number'
+      );
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+
+const {
+  toRateUnits,
+  formatRate,
+  dailyAccrual,
+  splitAccrual,
+  formatAccrual,
+} = require('../../src/utils/interest');
+
+describe('interest', () => {
+  describe('toRateUnits', () => {
+    it('reads rates with up to four decimals', () => {
+      assert.strictEqual(toRateUnits('2.5'), 25000);
+      assert.strictEqual(toRateUnits('0.0001'), 1);
+      assert.strictEqual(toRateUnits('12'), 120000);
+    });
+
+    ['2.50001', '-1', '100', '1e2', '', 2.5].forEach((rate) => {
+      it(`refuses ${JSON.stringify(rate)}`, () => {
+        assert.strictEqual(toRateUnits(rate), null);
+      });
+    });
+
+    it('round-trips through formatRate', () => {
+      assert.strictEqual(formatRate(toRateUnits('2.5')), '2.5000');
+      assert.strictEqual(formatRate(toRateUnits('0.0001')), '0.0001');
+    });
+  });
+
+  describe('dailyAccrual', () => {
+    it('truncates one day of interest to whole accrual units', () => {
+      // 1,000,000.00 at 2.5% is 68.49315068... a day
+      assert.strictEqual(dailyAccrual(100000000, 25000), 68493150);
+      assert.strictEqual(formatAccrual(68493150), '68.493150');
+    });
+
+    it('earns nothing on empty or negative balances', () => {
+      assert.strictEqual(dailyAccrual(0, 25000), 0);
+      assert.strictEqual(dailyAccrual(-5000, 25000), 0);
+      assert.strictEqual(dailyAccrual(5000, 0), 0);
+    });
+
+    it('stays exact for balances beyond safe integer products', () => {
+      const balance = Number.MAX_SAFE_INTEGER;
+      const expected =
+        (BigInt(balance) * 990000n * 10000n) / (100n * 10000n * 365n);
+
+      assert.strictEqual(dailyAccrual(balance, 990000), Number(expected));
+    });
+  });
+
+  describe('splitAccrual', () => {
+    it('posts whole minor units and carries the rest', () => {
+      assert.deepStrictEqual(splitAccrual(68493150), {
+        amount: 6849,
+        remainder: 3150,
+      });
+      assert.deepStrictEqual(splitAccrual(9999), {
+        amount: 0,
+        remainder: 9999,
+      });
+    });
+
+    it('loses no fraction over a month of postings', () => {
+      // 10.00 at 2.5% earns less than a minor unit a day
+      const daily = dailyAccrual(1000, 25000);
+      let carried = 0;
+      let posted = 0;
+      for (let day = 0; day < 30; day += 1) {
+        const { amount, remainder } = splitAccrual(daily + carried);
+        posted += amount;
+        carried = remainder;
+      }
+
+      assert.strictEqual(posted * 10000 + carried, daily * 30);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+
+const { isPublicAddress } = require('../../src/utils/network');
+
+describe('isPublicAddress', () => {
+  ['8.8.8.8', '1.1.1.1', '2606:4700::1111', '::ffff:808:808'].forEach(
+    (address) => {
+      it(`accepts ${address}`, () => {
+        assert.strictEqual(isPublicAddress(address), true);
+      });
+    }
+  );
+
+  [
+    '0.0.0.0',
+    '127.0.0.1',
+    '10.1.2.3',
+    '100.64.0.1',
+    '169.254.169.254',
+    '172.16.0.1',
+    '172.31.255.255',
+    '192.168.0.1',
+    '224.0.0.1',
+    '::',
+    '::1',
+    '::ffff:7f00:1',
+    '::ffff:10.0.0.1',
+    'fd00::1',
+    'fe80::1',
+    'not-an-address',
+  ].forEach((address) => {
+    it(`refuses ${address}`, () => {
+      assert.strictEqual(isPublicAddress(address), false);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+
+const {
+  encodeQrPayload,
+  parseQrPayload,
+} = require('../../src/utils/qr-payload');
+const { generateAccountNumber } = require('../../src/utils/account-number');
+
+/**
+ * Encode a static payload of a merchant
+ * @param {string} merchantName - Merchant name
+ * @returns {string}
+ */
+function payloadOf(merchantName) {
+  return encodeQrPayload({
+    method: 'static',
+    accountNumber: generateAccountNumber(),
+    merchantName,
+    merchantCity: 'JAKARTA',
+    categoryCode: '5999',
+    currency: 'IDR',
+  });
+}
+
+describe('encodeQrPayload', () => {
+  it('drops accents so the payload stays readable', () => {
+    const content = parseQrPayload(payloadOf('Café Ñoño Ümlaut'));
+
+    assert.strictEqual(content.merchantName, 'Cafe Nono Umlaut');
+  });
+
+  it('removes characters without an ASCII form', () => {
+    const content = parseQrPayload(payloadOf('Toko 東京 Ramen 🍜'));
+
+    assert.strictEqual(content.merchantName, 'Toko Ramen');
+  });
+
+  it('falls back to a generic name when nothing printable is left', () => {
+    const content = parseQrPayload(payloadOf('東京'));
+
+    assert.strictEqual(content.merchantName, 'Merchant');
+  });
+
+  it('caps the name at the 25 characters of the format', () => {
+    const content = parseQrPayload(
+      payloadOf('Warung Makan Sederhana Bu Éndang')
+    );
+
+    assert.strictEqual(content.merchantName, 'Warung Makan Sederhana Bu');
+  });
+});
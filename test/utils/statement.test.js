@@ -0,0 +1,50 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+
+const { statementToCsv } = require('../../src/utils/statement');
+
+/**
+ * Render a statement of a single ledger entry
+ * @param {object} transaction - Fields of the entry
+ * @returns {Array} Cells of the entry row
+ */
+function row(transaction) {
+  const csv = statementToCsv({
+    transactions: [
+      {
+        created_at: new Date('2026-10-01T00:00:00Z'),
+        type: 'transfer_out',
+        direction: 'debit',
+        amount: '100.00',
+        balance_after: '-50.00',
+        ...transaction,
+      },
+    ],
+  });
+
+  return csv.split('\r\n')[1].split(',');
+}
+
+describe('statementToCsv', () => {
+  it('keeps formulas in free text columns from being evaluated', () => {
+    ['=1+1', '+1', '-1', '@SUM(A1)', '\tx'].forEach((payload) => {
+      const cells = row({ description: payload, counterparty: payload });
+      assert.strictEqual(cells[4], `'${payload}`);
+      assert.strictEqual(cells[6], `'${payload}`);
+    });
+  });
+
+  it('quotes escaped text containing separators', () => {
+    const csv = statementToCsv({
+      transactions: [{ description: '=A1,"B"' }],
+    });
+    assert.ok(csv.endsWith(`,"'=A1,""B""",`));
+  });
+
+  it('leaves amounts and plain text as they are', () => {
+    const cells = row({ description: 'Rent' });
+    assert.strictEqual(cells[3], '100.00');
+    assert.strictEqual(cells[6], 'Rent');
+    assert.strictEqual(cells[7], '-50.00');
+  });
+});
@@ -0,0 +1,144 @@
+const assert = require('node:assert');
+const { describe, it } = require('node:test');
+
+const {
+  base32Encode,
+  base32Decode,
+  hotp,
+  getTimeStep,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  generateSecret,
+  totpCodeSchema,
+  recoveryCodeSchema,
+} = require('../../src/utils/totp');
+
+// Secret of the RFC 4226 and RFC 6238 test vectors
+const KEY = Buffer.from('12345678901234567890');
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp', () => {
+  describe('base32', () => {
+    it('encodes the test vector secret', () => {
+      assert.strictEqual(base32Encode(KEY), SECRET);
+    });
+
+    it('round-trips random secrets', () => {
+      const secret = generateSecret();
+
+      assert.strictEqual(base32Encode(base32Decode(secret)), secret);
+      assert.strictEqual(base32Decode(secret).length, 20);
+    });
+
+    it('reads lowercase and padded input', () => {
+      assert.deepStrictEqual(base32Decode(`${SECRET.toLowerCase()}===`), KEY);
+    });
+
+    it('refuses characters outside the alphabet', () => {
+      assert.throws(() => base32Decode('GEZ1'), /invalid base32 character/);
+    });
+  });
+
+  describe('hotp', () => {
+    // RFC 4226, appendix D
+    [
+      '755224',
+      '287082',
+      '359152',
+      '969429',
+      '338314',
+      '254676',
+      '287922',
+      '162583',
+      '399871',
+      '520489',
+    ].forEach((code, counter) => {
+      it(`computes ${code} for counter ${counter}`, () => {
+        assert.strictEqual(hotp(KEY, counter), code);
+      });
+    });
+  });
+
+  describe('verifyTotp', () => {
+    // RFC 6238, appendix B, SHA-1, cut to the last 6 digits
+    [
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1111111111, '050471'],
+      [1234567890, '005924'],
+      [2000000000, '279037'],
+      [20000000000, '353130'],
+    ].forEach(([seconds, code]) => {
+      it(`accepts ${code} at ${seconds}`, () => {
+        assert.strictEqual(
+          verifyTotp(SECRET, code, seconds * 1000),
+          Math.floor(seconds / 30)
+        );
+      });
+    });
+
+    it('accepts the codes of the neighbouring steps', () => {
+      const time = 1234567890 * 1000;
+      const step = getTimeStep(time);
+
+      assert.strictEqual(
+        verifyTotp(SECRET, hotp(KEY, step - 1), time),
+        step - 1
+      );
+      assert.strictEqual(
+        verifyTotp(SECRET, hotp(KEY, step + 1), time),
+        step + 1
+      );
+    });
+
+    it('refuses codes outside the window', () => {
+      const time = 1234567890 * 1000;
+      const step = getTimeStep(time);
+
+      assert.strictEqual(verifyTotp(SECRET, hotp(KEY, step - 2), time), null);
+      assert.strictEqual(verifyTotp(SECRET, hotp(KEY, step + 2), time), null);
+    });
+
+    ['', '28708', '2870822', '28708a', null, 287082].forEach((code) => {
+      it(`refuses ${JSON.stringify(code)}`, () => {
+        assert.strictEqual(verifyTotp(SECRET, code, 59 * 1000), null);
+      });
+    });
+  });
+
+  describe('encryptSecret', () => {
+    it('round-trips through decryptSecret', () => {
+      const stored = encryptSecret(SECRET);
+
+      assert.doesNotMatch(stored, new RegExp(SECRET));
+      assert.strictEqual(decryptSecret(stored), SECRET);
+    });
+
+    it('refuses a tampered secret', () => {
+      const [iv, tag, encrypted] = encryptSecret(SECRET).split('.');
+      const tampered = Buffer.from(encrypted, 'base64');
+      // eslint-disable-next-line no-bitwise
+      tampered[0] ^= 1;
+
+      assert.throws(() =>
+        decryptSecret([iv, tag, tampered.toString('base64')].join('.'))
+      );
+    });
+  });
+
+  describe('schemas', () => {
+    it('accept a 6-digit code only', () => {
+      assert.strictEqual(totpCodeSchema().validate('287082').error, undefined);
+      assert.ok(totpCodeSchema().validate('28708').error);
+    });
+
+    it('accept a recovery code with stray spaces or capitals', () => {
+      assert.strictEqual(
+        recoveryCodeSchema().validate(' 3F9A-c0d2-71be ').error,
+        undefined
+      );
+      assert.ok(recoveryCodeSchema().validate('3f9a-c0d2').error);
+    });
+  });
+});